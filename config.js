@@ -0,0 +1,121 @@
+// Service configuration. loadConfig reads the environment variables listed in
+// .env.example; createApp, createRouter and start in server.js take the same
+// keys as overrides, so an embedding service can configure everything in code.
+
+function list(value) {
+  return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// Whole number, or fallback when unset or not a number (0 is a value)
+function int(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+const DEFAULT_RESERVED_NAMES =
+  'xeris,xrs,admin,administrator,root,system,support,help,official,security,staff,moderator,api,www';
+
+function loadConfig(env = process.env) {
+  return {
+    // HTTP server (start() only)
+    port: int(env.PORT, 3000),
+    host: env.HOST || '0.0.0.0',
+    handleSignals: true, // close cleanly on SIGINT / SIGTERM
+    startupRetries: 5, // attempts to reach the database before giving up
+
+    // Storage (see store/): postgres, the default, or memory for local
+    // development and tests. memory is never picked implicitly, so a missing
+    // DATABASE_URL fails at startup instead of silently losing every write.
+    storeDriver: env.STORE || 'postgres',
+    databaseUrl: env.DATABASE_URL,
+    databaseSsl: env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    autoMigrate: env.AUTO_MIGRATE !== 'false',
+
+    // App (createApp only)
+    apiPrefix: '/api',
+    corsOrigins: env.CORS_ORIGINS ? env.CORS_ORIGINS.split(',') : '*',
+    serveFrontend: env.SERVE_FRONTEND !== 'false',
+    doh: env.DOH !== 'false', // DNS-over-HTTPS at /dns-query
+    // Prometheus metrics at /metrics; with metricsToken, only for
+    // "Authorization: Bearer <token>"
+    metrics: env.METRICS !== 'false',
+    metricsToken: env.METRICS_TOKEN || null,
+
+    // Logging (see logger.js): JSON lines, or 'text' for a terminal.
+    // logger replaces the built-in one: { debug, info, warn, error }(msg, fields).
+    logFormat: env.LOG_FORMAT || 'json',
+    logLevel: env.LOG_LEVEL || 'info',
+    logger: null,
+
+    // DNS gateway (see dns/). dnsPort starts a UDP/TCP name server from
+    // start(); TTLs are in seconds and apply to DNS-over-HTTPS too.
+    dnsPort: env.DNS_PORT ? parseInt(env.DNS_PORT) : null,
+    dnsHost: env.DNS_HOST || env.HOST || '0.0.0.0',
+    dnsTtl: int(env.DNS_TTL, 300),
+    dnsNegativeTtl: int(env.DNS_NEGATIVE_TTL, 60),
+
+    // Router. rateLimits: false leaves rate limiting to the embedding service.
+    rateLimits: env.RATE_LIMITS === 'false' ? false : {
+      general: { windowMs: 15 * 60 * 1000, max: 100 },
+      registration: { windowMs: 60 * 60 * 1000, max: 10 },
+      export: { windowMs: 60 * 60 * 1000, max: 10 },
+      dns: { windowMs: 1000, max: 20 } // UDP queries per source address
+    },
+    backgroundJobs: true, // expiry sweeper, nonce and commitment cleanup
+
+    // Signed message domain separation (must match what clients sign)
+    signingDomain: env.SIGNING_DOMAIN || 'xrs-names',
+    signingChain: env.SIGNING_CHAIN || 'xeris-mainnet',
+    legacySignaturesUntil: new Date(env.LEGACY_SIGNATURES_UNTIL || '2027-01-31T00:00:00Z'),
+
+    // Name lifecycle
+    registrationTermDays: int(env.REGISTRATION_TERM_DAYS, 365),
+    gracePeriodDays: int(env.GRACE_PERIOD_DAYS, 30),
+
+    // Service signing key for registry snapshots (see merkle.js) and lookup
+    // attestations: a base58 Ed25519 secret key or seed. Without one every
+    // start signs with a new key.
+    serviceSecretKey: env.SERVICE_SECRET_KEY || null,
+    // Snapshots are rebuilt every snapshotIntervalSeconds (0: only at start)
+    // and kept in the database for snapshotRetentionDays
+    snapshotIntervalSeconds: int(env.SNAPSHOT_INTERVAL_SECONDS, 60),
+    snapshotRetentionDays: int(env.SNAPSHOT_RETENTION_DAYS, 30),
+    // How long a signed resolve / reverse attestation stays valid
+    attestationTtlSeconds: int(env.ATTESTATION_TTL_SECONDS, 300),
+
+    // HTTP caching of lookups: Cache-Control max-age in seconds per route,
+    // notFound covering 404 / 410 / 423 answers. Keep these well under
+    // attestationTtlSeconds. responseCacheSeconds > 0 also keeps answers in
+    // process; a change made through this instance drops them at once.
+    // 0 turns either off.
+    httpCacheMaxAge: {
+      resolve: int(env.HTTP_CACHE_MAX_AGE_RESOLVE, 30),
+      reverse: int(env.HTTP_CACHE_MAX_AGE_REVERSE, 30),
+      directory: int(env.HTTP_CACHE_MAX_AGE_DIRECTORY, 30),
+      stats: int(env.HTTP_CACHE_MAX_AGE_STATS, 60),
+      notFound: int(env.HTTP_CACHE_MAX_AGE_NOT_FOUND, 10)
+    },
+    responseCacheSeconds: int(env.RESPONSE_CACHE_SECONDS, 0),
+
+    // Event stream and webhooks
+    maxSseClients: int(env.MAX_SSE_CLIENTS, 1000),
+    webhookAllowPrivate: env.WEBHOOK_ALLOW_PRIVATE === 'true',
+
+    // Moderation
+    adminKeys: list(env.ADMIN_KEYS),
+    reservedNames: list(env.RESERVED_NAMES || DEFAULT_RESERVED_NAMES).map(p => p.toLowerCase()),
+
+    // Registration
+    commitMinDelaySeconds: int(env.COMMIT_MIN_DELAY_SECONDS, 60),
+    commitMaxAgeHours: int(env.COMMIT_MAX_AGE_HOURS, 24),
+    registrationKeys: list(env.REGISTRATION_KEYS),
+    allowUnsignedRegistration: env.ALLOW_UNSIGNED_REGISTRATION === 'true'
+  };
+}
+
+// Environment defaults with `overrides` on top
+function resolveConfig(overrides = {}) {
+  return { ...loadConfig(), ...overrides };
+}
+
+module.exports = { loadConfig, resolveConfig };
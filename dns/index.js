@@ -0,0 +1,257 @@
+// DNS gateway for the xrs. zone: a UDP/TCP name server and a DNS-over-HTTPS
+// (RFC 8484) handler, both answering through one responder.
+//
+// Each resolving name answers TXT queries with one record per value, in the
+// form key=value:
+//
+//   address=<address>            the name's Xeris address
+//   text.<key>=<value>           text records
+//   addr.<coin type>=<address>   addresses on other chains
+//   contenthash=<uri>            content hash
+//
+// Names that don't resolve (unregistered, expired or held by moderation) are
+// NXDOMAIN; other record types on a resolving name get an empty answer. Both
+// carry the zone's SOA, whose minimum is the negative-caching TTL.
+
+const dgram = require('dgram');
+const net = require('net');
+const express = require('express');
+const wire = require('./wire');
+
+const { TYPES, RCODES } = wire;
+const ZONE = 'xrs';
+const UDP_PAYLOAD_SIZE = 512; // without EDNS(0)
+const EDNS_PAYLOAD_SIZE = 1232;
+const TCP_IDLE_TIMEOUT_MS = 10 * 1000;
+const RATE_LIMIT_MAX_SOURCES = 100000; // addresses tracked per window
+const MAX_DOH_MESSAGE = '4kb';
+
+// Used when no logger is passed in: { error(msg, fields) }
+const defaultLog = { error: (msg, fields) => console.error(`${msg}:`, fields.error) };
+
+// TXT strings for a resolved name, in a stable order
+function txtStrings({ address, records }) {
+  const strings = [`address=${address}`];
+  for (const key of Object.keys(records.text || {}).sort()) {
+    strings.push(`text.${key}=${records.text[key]}`);
+  }
+  for (const coinType of Object.keys(records.addresses || {}).sort()) {
+    strings.push(`addr.${coinType}=${records.addresses[coinType]}`);
+  }
+  if (records.contenthash) strings.push(`contenthash=${records.contenthash}`);
+  return strings;
+}
+
+/**
+ * Build the responder: an async function (message, { udp }) resolving to
+ * { response, ttl } — the response message and how long it may be cached —
+ * or null for a message not worth answering. UDP responses that don't fit
+ * the client's payload size are truncated so it retries over TCP.
+ *
+ * lookup(name) resolves to { address, records, expiresAt } for a name that
+ * resolves (name without .xrs, as stored) or null. validName(name) says
+ * whether the query's labels could be a name at all. ttl and negativeTtl are
+ * in seconds; a name's answers never outlive its registration. Lookup
+ * errors go to log.error and answer SERVFAIL.
+ */
+function createResponder({ lookup, validName, ttl, negativeTtl, nameserver = `ns.${ZONE}`, hostmaster = `hostmaster.${ZONE}`, log = defaultLog }) {
+  const soa = () => ({
+    owner: [ZONE],
+    type: TYPES.SOA,
+    ttl: negativeTtl,
+    data: wire.soaData({
+      mname: nameserver.split('.'),
+      rname: hostmaster.split('.'),
+      serial: Math.floor(Date.now() / 1000),
+      refresh: ttl,
+      retry: ttl,
+      expire: 7 * 24 * 60 * 60,
+      minimum: negativeTtl
+    })
+  });
+
+  return async function answer(message, { udp = false } = {}) {
+    let query;
+    try {
+      query = wire.parseQuery(message);
+    } catch (err) {
+      if (err.name !== 'FormatError' || err.id === null) return null;
+      return { response: wire.buildResponse({ id: err.id }, { rcode: RCODES.FORMERR }), ttl: 0 };
+    }
+
+    const maxSize = !udp ? 65535
+      : query.edns ? Math.max(UDP_PAYLOAD_SIZE, Math.min(query.edns.udpSize, EDNS_PAYLOAD_SIZE))
+        : UDP_PAYLOAD_SIZE;
+    const respond = ({ ttl: cacheTtl = 0, ...options }) => ({
+      response: wire.buildResponse(query, { maxSize, ednsUdpSize: EDNS_PAYLOAD_SIZE, ...options }),
+      ttl: cacheTtl
+    });
+
+    if (query.opcode !== wire.OPCODE_QUERY) return respond({ rcode: RCODES.NOTIMP, authoritative: false });
+
+    const { labels, type, klass } = query.question;
+    const lower = labels.map(l => l.toLowerCase());
+    if ((klass !== wire.CLASS_IN && klass !== wire.CLASS_ANY) || lower[lower.length - 1] !== ZONE) {
+      return respond({ rcode: RCODES.REFUSED, authoritative: false });
+    }
+
+    // The zone apex itself
+    if (lower.length === 1) {
+      return type === TYPES.SOA || type === TYPES.ANY
+        ? respond({ answers: [soa()], ttl: negativeTtl })
+        : respond({ authority: [soa()], ttl: negativeTtl });
+    }
+
+    const name = lower.slice(0, -1).join('.');
+    let found = null;
+    if (validName(name)) {
+      try {
+        found = await lookup(name);
+      } catch (err) {
+        log.error('DB error on DNS query', { error: err.message });
+        return respond({ rcode: RCODES.SERVFAIL });
+      }
+    }
+    if (!found) return respond({ rcode: RCODES.NXDOMAIN, authority: [soa()], ttl: negativeTtl });
+
+    if (type !== TYPES.TXT && type !== TYPES.ANY) return respond({ authority: [soa()], ttl: negativeTtl });
+
+    const remaining = Math.floor((found.expiresAt - Date.now()) / 1000);
+    const recordTtl = Math.max(0, Math.min(ttl, remaining));
+    const answers = txtStrings(found).map(text => ({ type: TYPES.TXT, ttl: recordTtl, data: wire.txtData(text) }));
+    return respond({ answers, ttl: recordTtl });
+  };
+}
+
+/**
+ * Express router for RFC 8484 DNS-over-HTTPS: GET ?dns=<base64url message>
+ * or POST with an application/dns-message body. Mount it at /dns-query.
+ */
+function createDohHandler(answer) {
+  const router = express.Router();
+
+  const reply = async (message, res) => {
+    const result = await answer(message);
+    if (!result) {
+      return res.status(400).json({ error: 'Malformed DNS message' });
+    }
+    res.set('Content-Type', 'application/dns-message');
+    res.set('Cache-Control', `max-age=${result.ttl}`);
+    res.send(result.response);
+  };
+
+  router.get('/', (req, res, next) => {
+    const encoded = req.query.dns;
+    if (typeof encoded !== 'string' || !/^[A-Za-z0-9_-]+$/.test(encoded)) {
+      return res.status(400).json({ error: 'dns query parameter must be a base64url DNS message' });
+    }
+    reply(Buffer.from(encoded, 'base64url'), res).catch(next);
+  });
+
+  router.post('/', express.raw({ type: 'application/dns-message', limit: MAX_DOH_MESSAGE }), (req, res, next) => {
+    if (!req.is('application/dns-message')) {
+      return res.status(415).json({ error: 'Content-Type must be application/dns-message' });
+    }
+    reply(req.body, res).catch(next);
+  });
+
+  return router;
+}
+
+/**
+ * Fixed-window query counts per source address: allow(address) is false once
+ * an address has sent max queries in the current window of windowMs.
+ */
+function createSourceLimiter({ windowMs, max }) {
+  const counts = new Map();
+  const timer = setInterval(() => counts.clear(), windowMs).unref();
+  return {
+    allow(address) {
+      const count = (counts.get(address) || 0) + 1;
+      if (count === 1 && counts.size >= RATE_LIMIT_MAX_SOURCES) return false;
+      counts.set(address, count);
+      return count <= max;
+    },
+    stop: () => clearInterval(timer)
+  };
+}
+
+/**
+ * Serve `answer` over UDP and TCP on port/host. Resolves once both sockets
+ * are listening to { port, close() }. Errors answering go to log.error.
+ *
+ * rateLimit ({ windowMs, max }, optional) caps UDP queries per source
+ * address; queries over it are dropped unanswered, so a spoofed source
+ * can't turn the server into a reflector. TCP needs a handshake and isn't
+ * limited.
+ */
+async function startDnsServer(answer, { port, host, rateLimit = null, log = defaultLog }) {
+  const limiter = rateLimit ? createSourceLimiter(rateLimit) : null;
+  const udp = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+  udp.on('message', (message, remote) => {
+    if (limiter && !limiter.allow(remote.address)) return;
+    answer(message, { udp: true }).then(result => {
+      if (result) udp.send(result.response, remote.port, remote.address);
+    }).catch(err => log.error('DNS error', { error: err.message }));
+  });
+
+  // TCP messages carry a 2-byte length prefix; a connection may send several
+  const connections = new Set();
+  const tcp = net.createServer(socket => {
+    connections.add(socket);
+    socket.setTimeout(TCP_IDLE_TIMEOUT_MS, () => socket.destroy());
+    socket.on('close', () => connections.delete(socket));
+    socket.on('error', () => {});
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length >= 2 && pending.length >= 2 + pending.readUInt16BE(0)) {
+        const message = pending.subarray(2, 2 + pending.readUInt16BE(0));
+        pending = pending.subarray(2 + message.length);
+        answer(message).then(result => {
+          if (!result) return socket.destroy();
+          const length = Buffer.alloc(2);
+          length.writeUInt16BE(result.response.length);
+          socket.write(Buffer.concat([length, result.response]));
+        }).catch(err => log.error('DNS error', { error: err.message }));
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    udp.once('error', reject);
+    udp.bind(port, host, () => {
+      udp.off('error', reject);
+      udp.on('error', err => log.error('DNS socket error', { error: err.message }));
+      resolve();
+    });
+  });
+  // Port 0 picks a free UDP port; serve TCP on the same one
+  const boundPort = udp.address().port;
+  await new Promise((resolve, reject) => {
+    tcp.once('error', reject);
+    tcp.listen(boundPort, host, () => {
+      tcp.off('error', reject);
+      resolve();
+    });
+  }).catch(err => {
+    if (limiter) limiter.stop();
+    udp.close();
+    throw err;
+  });
+
+  return {
+    port: boundPort,
+    close: async () => {
+      if (limiter) limiter.stop();
+      for (const socket of connections) socket.destroy();
+      await Promise.all([
+        new Promise(resolve => udp.close(resolve)),
+        new Promise(resolve => tcp.close(resolve))
+      ]);
+    }
+  };
+}
+
+module.exports = { createResponder, createDohHandler, startDnsServer, txtStrings };
@@ -0,0 +1,193 @@
+// DNS wire format (RFC 1035), just what the .xrs gateway needs: parse a
+// query's header, question and EDNS(0) OPT record, and build responses.
+
+const TYPES = { A: 1, NS: 2, SOA: 6, TXT: 16, AAAA: 28, OPT: 41, ANY: 255 };
+const CLASS_IN = 1;
+const CLASS_ANY = 255;
+const RCODES = { NOERROR: 0, FORMERR: 1, SERVFAIL: 2, NXDOMAIN: 3, NOTIMP: 4, REFUSED: 5 };
+const OPCODE_QUERY = 0;
+const HEADER_SIZE = 12;
+const MAX_NAME_LENGTH = 255;
+const MAX_POINTER_JUMPS = 16;
+
+class FormatError extends Error {
+  constructor(message, id = null) {
+    super(message);
+    this.name = 'FormatError';
+    this.id = id;
+  }
+}
+
+// Read a (possibly compressed) domain name. Returns { labels, offset } with
+// offset just past the name in the original position.
+function readName(buf, offset, id) {
+  const labels = [];
+  let length = 1;
+  let jumps = 0;
+  let end = null;
+
+  for (;;) {
+    if (offset >= buf.length) throw new FormatError('Name runs past the end of the message', id);
+    const len = buf[offset];
+    if (len === 0) {
+      offset += 1;
+      break;
+    }
+    if ((len & 0xc0) === 0xc0) {
+      if (offset + 1 >= buf.length) throw new FormatError('Truncated name pointer', id);
+      if (++jumps > MAX_POINTER_JUMPS) throw new FormatError('Too many name pointers', id);
+      if (end === null) end = offset + 2;
+      offset = ((len & 0x3f) << 8) | buf[offset + 1];
+      continue;
+    }
+    if (len & 0xc0) throw new FormatError('Unsupported label type', id);
+    if (offset + 1 + len > buf.length) throw new FormatError('Label runs past the end of the message', id);
+    length += len + 1;
+    if (length > MAX_NAME_LENGTH) throw new FormatError('Name is too long', id);
+    labels.push(buf.toString('latin1', offset + 1, offset + 1 + len));
+    offset += 1 + len;
+  }
+
+  return { labels, offset: end === null ? offset : end };
+}
+
+// Skip a resource record, returning { type, klass, ttl, offset } of the record
+function readRecordHeader(buf, offset, id) {
+  const { offset: afterName } = readName(buf, offset, id);
+  if (afterName + 10 > buf.length) throw new FormatError('Truncated resource record', id);
+  const type = buf.readUInt16BE(afterName);
+  const klass = buf.readUInt16BE(afterName + 2);
+  const ttl = buf.readUInt32BE(afterName + 4);
+  const rdlength = buf.readUInt16BE(afterName + 8);
+  const next = afterName + 10 + rdlength;
+  if (next > buf.length) throw new FormatError('Truncated record data', id);
+  return { type, klass, ttl, offset: next };
+}
+
+/**
+ * Parse a query message. Returns { id, opcode, rd, question, edns } where
+ * question is { labels, type, klass } and edns is { udpSize } or null.
+ * Throws FormatError (carrying the message id when it could be read).
+ */
+function parseQuery(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < HEADER_SIZE) throw new FormatError('Message is shorter than a header');
+
+  const id = buf.readUInt16BE(0);
+  const flags = buf.readUInt16BE(2);
+  const counts = [4, 6, 8, 10].map(at => buf.readUInt16BE(at));
+  const [qdcount, ancount, nscount, arcount] = counts;
+
+  if (flags & 0x8000) throw new FormatError('Message is a response', id);
+  const opcode = (flags >> 11) & 0x0f;
+  const rd = Boolean(flags & 0x0100);
+  if (opcode !== OPCODE_QUERY) return { id, opcode, rd, question: null, edns: null };
+  if (qdcount !== 1) throw new FormatError('Exactly one question is supported', id);
+
+  const { labels, offset } = readName(buf, HEADER_SIZE, id);
+  if (offset + 4 > buf.length) throw new FormatError('Truncated question', id);
+  const question = { labels, type: buf.readUInt16BE(offset), klass: buf.readUInt16BE(offset + 2) };
+
+  let next = offset + 4;
+  let edns = null;
+  for (let i = 0; i < ancount + nscount + arcount; i++) {
+    const record = readRecordHeader(buf, next, id);
+    if (i >= ancount + nscount && record.type === TYPES.OPT) {
+      edns = { udpSize: record.klass };
+    }
+    next = record.offset;
+  }
+
+  return { id, opcode, rd, question, edns };
+}
+
+function encodeName(labels) {
+  const parts = labels.map(label => {
+    const bytes = Buffer.from(label, 'latin1');
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+  });
+  return Buffer.concat([...parts, Buffer.from([0])]);
+}
+
+// TXT RDATA: the text split into character-strings of at most 255 bytes
+function txtData(text) {
+  const bytes = Buffer.from(text, 'utf8');
+  const chunks = [];
+  for (let i = 0; i === 0 || i < bytes.length; i += 255) {
+    const chunk = bytes.subarray(i, i + 255);
+    chunks.push(Buffer.from([chunk.length]), chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function soaData({ mname, rname, serial, refresh, retry, expire, minimum }) {
+  const numbers = Buffer.alloc(20);
+  [serial, refresh, retry, expire, minimum].forEach((n, i) => numbers.writeUInt32BE(n >>> 0, i * 4));
+  return Buffer.concat([encodeName(mname), encodeName(rname), numbers]);
+}
+
+function encodeRecord(owner, { type, ttl, data, klass = CLASS_IN }) {
+  const fixed = Buffer.alloc(10);
+  fixed.writeUInt16BE(type, 0);
+  fixed.writeUInt16BE(klass, 2);
+  fixed.writeUInt32BE(Math.max(0, Math.floor(ttl)) >>> 0, 4);
+  fixed.writeUInt16BE(data.length, 8);
+  return Buffer.concat([owner, fixed, data]);
+}
+
+/**
+ * Build a response to `query` (as returned by parseQuery, or just { id } for
+ * FORMERR). answers are owned by the question name; authority records carry
+ * their own owner labels. authoritative sets AA, for answers from the zone.
+ * A response larger than maxSize is sent truncated: no records, TC set, so
+ * the client retries over TCP.
+ */
+function buildResponse(query, { rcode = RCODES.NOERROR, answers = [], authority = [], authoritative = true, maxSize = 65535, ednsUdpSize = 1232 } = {}) {
+  const question = query.question;
+  const encode = (truncated) => {
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.writeUInt16BE(query.id || 0, 0);
+    const flags = 0x8000 | // QR
+      ((query.opcode || 0) << 11) |
+      (authoritative ? 0x0400 : 0) |
+      (truncated ? 0x0200 : 0) |
+      (query.rd ? 0x0100 : 0) |
+      (rcode & 0x0f);
+    header.writeUInt16BE(flags, 2);
+
+    const sections = [];
+    if (question) {
+      const q = Buffer.alloc(4);
+      q.writeUInt16BE(question.type, 0);
+      q.writeUInt16BE(question.klass, 2);
+      sections.push(encodeName(question.labels), q);
+    }
+    const owner = Buffer.from([0xc0, HEADER_SIZE]); // pointer to the question name
+    const answerRecords = truncated || !question ? [] : answers.map(r => encodeRecord(owner, r));
+    const authorityRecords = truncated ? [] : authority.map(r => encodeRecord(encodeName(r.owner), r));
+    const additional = query.edns
+      ? [encodeRecord(Buffer.from([0]), { type: TYPES.OPT, klass: ednsUdpSize, ttl: 0, data: Buffer.alloc(0) })]
+      : [];
+
+    header.writeUInt16BE(question ? 1 : 0, 4);
+    header.writeUInt16BE(answerRecords.length, 6);
+    header.writeUInt16BE(authorityRecords.length, 8);
+    header.writeUInt16BE(additional.length, 10);
+    return Buffer.concat([header, ...sections, ...answerRecords, ...authorityRecords, ...additional]);
+  };
+
+  const full = encode(false);
+  return full.length <= maxSize ? full : encode(true);
+}
+
+module.exports = {
+  TYPES,
+  CLASS_IN,
+  CLASS_ANY,
+  RCODES,
+  OPCODE_QUERY,
+  FormatError,
+  parseQuery,
+  buildResponse,
+  txtData,
+  soaData
+};
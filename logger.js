@@ -0,0 +1,46 @@
+// Structured logging: one JSON object per line with time, level, msg, the
+// request_id of the HTTP request being handled (if any) and the fields
+// passed in. Warnings and errors go to stderr, the rest to stdout. Format
+// 'text' prints the same entries as "time LEVEL msg key=value" lines for
+// reading in a terminal.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields added to everything logged while handling one request ({ request_id })
+const requestContext = new AsyncLocalStorage();
+
+function textLine({ time, level, msg, ...fields }) {
+  const pairs = Object.entries(fields).map(([key, value]) =>
+    `${key}=${typeof value === 'string' && !/\s/.test(value) ? value : JSON.stringify(value)}`);
+  return [time, level.toUpperCase(), msg, ...pairs].join(' ');
+}
+
+/**
+ * Create a logger with debug, info, warn and error methods, each taking a
+ * message and optional fields. Entries below `level` are dropped.
+ */
+function createLogger({ format = 'json', level = 'info', stdout = process.stdout, stderr = process.stderr } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  const write = (entryLevel, msg, fields) => {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...requestContext.getStore(), ...fields };
+    const line = format === 'text' ? textLine(entry) : JSON.stringify(entry);
+    (LEVELS[entryLevel] >= LEVELS.warn ? stderr : stdout).write(`${line}\n`);
+  };
+
+  const logger = {};
+  for (const name of Object.keys(LEVELS)) {
+    logger[name] = (msg, fields) => write(name, msg, fields);
+  }
+  return logger;
+}
+
+// config.logger if given, else a logger for config.logFormat / config.logLevel
+function loggerFromConfig(config) {
+  return config.logger || createLogger({ format: config.logFormat, level: config.logLevel });
+}
+
+module.exports = { createLogger, loggerFromConfig, requestContext };
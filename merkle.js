@@ -0,0 +1,77 @@
+// Sorted Merkle tree for registry snapshots (GET /api/snapshot) and the
+// proofs returned by /api/resolve?proof=1.
+//
+//   leaf = SHA-256(0x00 || entry)
+//   node = SHA-256(0x01 || left || right)
+//
+// Leaves are ordered by key in byte order. Each level pairs nodes left to
+// right and an odd node at the end moves up unchanged, so a proof is just the
+// sibling hashes and a verifier works out their sides from index and size.
+// The root of an empty tree is SHA-256 of nothing. Hashes are hex.
+
+const crypto = require('crypto');
+
+const LEAF_PREFIX = Buffer.from([0]);
+const NODE_PREFIX = Buffer.from([1]);
+
+function sha256(...parts) {
+  return crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+}
+
+function leafHash(data) {
+  return sha256(LEAF_PREFIX, Buffer.from(data, 'utf8')).toString('hex');
+}
+
+function nodeHash(left, right) {
+  return sha256(NODE_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex')).toString('hex');
+}
+
+/**
+ * Build a tree over leaves [{ key, data }] (data is the entry as a string),
+ * already sorted by key. Returns { root, size, keys, levels }.
+ */
+function buildTree(leaves) {
+  const keys = leaves.map(l => l.key);
+  const levels = [leaves.map(l => leafHash(l.data))];
+  while (levels[levels.length - 1].length > 1) {
+    const below = levels[levels.length - 1];
+    const level = [];
+    for (let i = 0; i < below.length; i += 2) {
+      level.push(i + 1 < below.length ? nodeHash(below[i], below[i + 1]) : below[i]);
+    }
+    levels.push(level);
+  }
+  const top = levels[levels.length - 1];
+  return {
+    root: top.length ? top[0] : sha256().toString('hex'),
+    size: keys.length,
+    keys,
+    levels
+  };
+}
+
+// Sibling hashes from the leaf at index up to the root
+function proofPath(tree, index) {
+  const path = [];
+  for (const level of tree.levels.slice(0, -1)) {
+    const sibling = index % 2 === 1 ? index - 1 : index + 1;
+    if (sibling < level.length) path.push(level[sibling]);
+    index = Math.floor(index / 2);
+  }
+  return path;
+}
+
+// Where key is in the tree: { found, index }, index being the insertion
+// point when it isn't there
+function findKey(tree, key) {
+  let low = 0;
+  let high = tree.keys.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (tree.keys[mid] < key) low = mid + 1;
+    else high = mid;
+  }
+  return { found: tree.keys[low] === key, index: low };
+}
+
+module.exports = { buildTree, proofPath, findKey, leafHash, nodeHash };
@@ -0,0 +1,132 @@
+// Prometheus metrics in the text exposition format (version 0.0.4), for
+// GET /metrics. A registry holds counters, gauges and histograms, each with
+// a fixed list of label names. Metrics given a collect function are read when
+// rendered instead of being updated as things happen.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  // One series per combination of label values, in labelNames order
+  function seriesStore(labelNames, initial) {
+    const series = new Map();
+    return {
+      get(labels) {
+        const values = labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+        const key = JSON.stringify(values);
+        if (!series.has(key)) {
+          const named = Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+          series.set(key, { labels: named, ...initial() });
+        }
+        return series.get(key);
+      },
+      all: () => [...series.values()]
+    };
+  }
+
+  function register(metric) {
+    if (metrics.some(m => m.name === metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Counter or gauge: one value per series, or collect() => [{ labels, value }]
+  function simple(type, name, help, labelNames = [], collect = null) {
+    const series = seriesStore(labelNames, () => ({ value: 0 }));
+    return register({
+      name,
+      help,
+      type,
+      inc(labels = {}, amount = 1) {
+        series.get(labels).value += amount;
+      },
+      set(labels, value) {
+        series.get(labels).value = value;
+      },
+      async samples() {
+        const entries = collect ? await collect() : series.all();
+        return entries.map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+    });
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = seriesStore(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe(labels, value) {
+        const entry = series.get(labels);
+        buckets.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      },
+      async samples() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of series.all()) {
+          buckets.forEach((bound, i) => {
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+      }
+    });
+  }
+
+  async function render() {
+    const blocks = [];
+    for (const metric of metrics) {
+      const samples = await metric.samples();
+      blocks.push([`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...samples].join('\n'));
+    }
+    return `${blocks.join('\n')}\n`;
+  }
+
+  return {
+    counter: (name, help, labelNames, collect) => simple('counter', name, help, labelNames, collect),
+    gauge: (name, help, labelNames, collect) => simple('gauge', name, help, labelNames, collect),
+    histogram,
+    render,
+    contentType: CONTENT_TYPE
+  };
+}
+
+// The standard process_* metrics Prometheus client libraries export
+function registerProcessMetrics(registry) {
+  const startTime = Math.floor(Date.now() / 1000 - process.uptime());
+  registry.counter('process_cpu_seconds_total', 'Total user and system CPU time spent in seconds', [], () => {
+    const { user, system } = process.cpuUsage();
+    return [{ value: (user + system) / 1e6 }];
+  });
+  registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], () =>
+    [{ value: process.memoryUsage().rss }]);
+  registry.gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds', [], () =>
+    [{ value: startTime }]);
+}
+
+module.exports = { createRegistry, registerProcessMetrics, DEFAULT_BUCKETS };
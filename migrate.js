@@ -0,0 +1,203 @@
+// Versioned schema migrations.
+//
+// Migrations live in migrations/NNN_description.js and export async up(db, ctx)
+// and down(db, ctx); ctx.config is the service configuration (config.js), so
+// a migration that depends on a setting sees what the server enforces. Each
+// runs in its own transaction and is recorded in schema_migrations. A
+// Postgres advisory lock serialises concurrent runs, so several instances can
+// start at once and only one applies pending migrations.
+//
+// Usage: node migrate.js migrate | rollback [steps] | status
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_REGEX = /^(\d+)_([a-z0-9_]+)\.js$/;
+const LOCK_KEY = 58731001; // any constant shared by every instance
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_REGEX);
+      if (!match) return null;
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+      return { version: parseInt(match[1], 10), name: match[2], up, down };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+// Run fn(client) on one connection holding the migration lock
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function appliedMigrations(db) {
+  const result = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+  return result.rows;
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Apply every pending migration in version order.
+ * Resolves to the list of applied { version, name }.
+ */
+async function migrate(pool, { log = console.log, config = loadConfig() } = {}) {
+  const migrations = loadMigrations();
+  return withMigrationLock(pool, async client => {
+    const applied = new Set((await appliedMigrations(client)).map(r => r.version));
+    const ran = [];
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+      log(`Applying migration ${migration.version} ${migration.name}`);
+      await runInTransaction(client, async () => {
+        await migration.up(client, { config });
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+      });
+      ran.push({ version: migration.version, name: migration.name });
+    }
+    return ran;
+  });
+}
+
+/**
+ * Revert the most recent `steps` applied migrations, newest first.
+ * Resolves to the list of reverted { version, name }.
+ */
+async function rollback(pool, { steps = 1, log = console.log, config = loadConfig() } = {}) {
+  const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+  return withMigrationLock(pool, async client => {
+    const applied = (await appliedMigrations(client)).reverse().slice(0, steps);
+    const reverted = [];
+    for (const row of applied) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration ${row.version} ${row.name} is applied but its file is missing`);
+      }
+      log(`Reverting migration ${migration.version} ${migration.name}`);
+      await runInTransaction(client, async () => {
+        await migration.down(client, { config });
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+      reverted.push({ version: migration.version, name: migration.name });
+    }
+    return reverted;
+  });
+}
+
+/**
+ * Every known migration with applied_at (null when pending). Applied
+ * migrations whose file is gone are included with missing: true. Read-only:
+ * takes no lock and creates nothing, so it is safe against a live database.
+ */
+async function status(pool) {
+  const migrations = loadMigrations();
+  // A database that was never migrated has no schema_migrations yet
+  const table = await pool.query("SELECT to_regclass('schema_migrations') AS migrations_table");
+  const applied = new Map(
+    table.rows[0].migrations_table ? (await appliedMigrations(pool)).map(r => [r.version, r]) : []
+  );
+  const rows = migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    applied_at: applied.has(m.version) ? new Date(applied.get(m.version).applied_at).toISOString() : null
+  }));
+  for (const row of applied.values()) {
+    if (!migrations.some(m => m.version === row.version)) {
+      rows.push({ version: row.version, name: row.name, applied_at: new Date(row.applied_at).toISOString(), missing: true });
+    }
+  }
+  return rows.sort((a, b) => a.version - b.version);
+}
+
+module.exports = { migrate, rollback, status, loadMigrations };
+
+// Command line
+if (require.main === module) {
+  const { Pool } = require('pg');
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL environment variable is not set');
+    process.exit(1);
+  }
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  const commands = {
+    async migrate() {
+      const ran = await migrate(pool);
+      console.log(ran.length > 0 ? `Applied ${ran.length} migration(s)` : 'Database is up to date');
+    },
+    async rollback() {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('rollback takes a positive number of steps');
+      }
+      const reverted = await rollback(pool, { steps });
+      console.log(`Reverted ${reverted.length} migration(s)`);
+    },
+    async status() {
+      for (const row of await status(pool)) {
+        const state = row.missing ? 'MISSING FILE' : row.applied_at ? `applied ${row.applied_at}` : 'pending';
+        console.log(`${String(row.version).padStart(3, '0')} ${row.name.padEnd(32)} ${state}`);
+      }
+    }
+  };
+
+  if (!commands[command]) {
+    console.error('Usage: node migrate.js migrate | rollback [steps] | status');
+    process.exit(1);
+  }
+
+  commands[command]()
+    .then(() => pool.end())
+    .catch(err => {
+      console.error(`Migration ${command} failed:`, err.message);
+      pool.end().finally(() => process.exit(1));
+    });
+}
@@ -0,0 +1,184 @@
+// Migration 1: the schema as it stood when migrations were introduced.
+//
+// Databases created by the old boot-time DDL in initDatabase may be at any
+// earlier stage, so every statement is idempotent: missing tables, columns and
+// indexes are added and older rows are backfilled. names.registered_at and
+// names.updated_at move from epoch-millisecond BIGINTs to TIMESTAMPTZ.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function columnType(db, table, column) {
+  const result = await db.query(
+    `SELECT data_type FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2`,
+    [table, column]
+  );
+  return result.rows.length > 0 ? result.rows[0].data_type : null;
+}
+
+async function up(db, { config }) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS names (
+      id SERIAL PRIMARY KEY,
+      name TEXT UNIQUE NOT NULL,
+      address TEXT NOT NULL,
+      owner_signature TEXT,
+      registered_at TIMESTAMPTZ NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL,
+      expires_at BIGINT,
+      metadata TEXT
+    )
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_name ON names(name)`);
+
+  // Timestamps were stored as epoch milliseconds before this migration
+  for (const column of ['registered_at', 'updated_at']) {
+    if (await columnType(db, 'names', column) === 'bigint') {
+      await db.query(
+        `ALTER TABLE names ALTER COLUMN ${column} TYPE TIMESTAMPTZ USING to_timestamp(${column} / 1000.0)`
+      );
+    }
+  }
+
+  // An address may hold several names; the old unique index is gone for good
+  await db.query(`DROP INDEX IF EXISTS idx_address`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_names_address ON names(address)`);
+
+  // Owner key (signs changes) is separate from the resolved address.
+  // Rows from before the split are owned by their address.
+  await db.query(`ALTER TABLE names ADD COLUMN IF NOT EXISTS owner TEXT`);
+  await db.query(`ALTER TABLE names ADD COLUMN IF NOT EXISTS pending_owner TEXT`);
+  await db.query(`UPDATE names SET owner = address WHERE owner IS NULL`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_owner ON names(owner)`);
+
+  // Names registered before expiry existed get a full term (as configured) from now
+  await db.query('UPDATE names SET expires_at = $1 WHERE expires_at IS NULL', [Date.now() + config.registrationTermDays * DAY_MS]);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_expires_at ON names(expires_at)`);
+
+  // Subnames ("pay.alice") point at their direct parent. They share the
+  // parent's expiry, so renewals and the sweeper cover the whole subtree.
+  await db.query(`ALTER TABLE names ADD COLUMN IF NOT EXISTS parent TEXT`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_parent ON names(parent)`);
+
+  // Record store JSON (text, addresses, contenthash). Older rows keep their
+  // flat metadata until the owner first writes records.
+  await db.query(`ALTER TABLE names ADD COLUMN IF NOT EXISTS records TEXT`);
+
+  // Confusable skeleton (UTS-39) of the Unicode form. Every name stored
+  // before Unicode support is plain ASCII, which is its own skeleton.
+  await db.query(`ALTER TABLE names ADD COLUMN IF NOT EXISTS skeleton TEXT`);
+  await db.query(`UPDATE names SET skeleton = name WHERE skeleton IS NULL`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_skeleton ON names(skeleton)`);
+
+  // Admin holds: 'frozen' (dispute pending) or 'suspended' (policy violation)
+  await db.query(`ALTER TABLE names ADD COLUMN IF NOT EXISTS moderation TEXT`);
+  await db.query(`ALTER TABLE names ADD COLUMN IF NOT EXISTS moderation_reason TEXT`);
+
+  // Owner-chosen reverse record per address. Only honoured while the
+  // name still forward-resolves to that address.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS primary_names (
+      address TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      signature TEXT,
+      updated_at BIGINT NOT NULL
+    )
+  `);
+
+  // Server-issued nonces for signed messages. A nonce is kept (used or not)
+  // until it expires; after that any signature over it is rejected anyway.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS signature_nonces (
+      nonce TEXT PRIMARY KEY,
+      issued_at BIGINT NOT NULL,
+      expires_at BIGINT NOT NULL,
+      used_at BIGINT
+    )
+  `);
+
+  // Append-only change log. Rows are never updated or deleted, including
+  // when the name itself is released.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS name_events (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      address TEXT,
+      previous_address TEXT,
+      owner TEXT,
+      previous_owner TEXT,
+      data TEXT,
+      signature TEXT,
+      created_at BIGINT NOT NULL
+    )
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_events_name ON name_events(name, id)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_events_address ON name_events(address, id)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_events_previous_address ON name_events(previous_address, id)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_events_owner ON name_events(owner, id)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_events_previous_owner ON name_events(previous_owner, id)`);
+
+  // Webhook subscriptions. Filters are JSON arrays; an empty filter matches everything.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id SERIAL PRIMARY KEY,
+      owner TEXT NOT NULL,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      names TEXT,
+      addresses TEXT,
+      event_types TEXT,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      failure_count INTEGER NOT NULL DEFAULT 0,
+      last_delivery_at BIGINT,
+      last_status TEXT,
+      created_at BIGINT NOT NULL
+    )
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_webhooks_owner ON webhooks(owner)`);
+
+  // Names held back from registration by admins (exact names or * / ? patterns)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS reserved_names (
+      id SERIAL PRIMARY KEY,
+      pattern TEXT UNIQUE NOT NULL,
+      reason TEXT,
+      created_by TEXT NOT NULL,
+      created_at BIGINT NOT NULL
+    )
+  `);
+
+  // Pending commit-reveal registrations: sha256 of name, address and secret
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS registration_commitments (
+      commitment TEXT PRIMARY KEY,
+      created_at BIGINT NOT NULL
+    )
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_commitments_created ON registration_commitments(created_at)`);
+
+  // Every admin action, append-only like name_events
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id SERIAL PRIMARY KEY,
+      admin TEXT NOT NULL,
+      action TEXT NOT NULL,
+      target TEXT NOT NULL,
+      data TEXT,
+      signature TEXT,
+      created_at BIGINT NOT NULL
+    )
+  `);
+}
+
+// Drops everything, data included
+async function down(db) {
+  for (const table of [
+    'admin_audit_log', 'registration_commitments', 'reserved_names', 'webhooks',
+    'name_events', 'signature_nonces', 'primary_names', 'names'
+  ]) {
+    await db.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+// Migration 2: signed registry snapshots. Each row is the Merkle root over
+// every name at one point in time, signed by the service key (tree in merkle.js).
+// The signature covers the sequence, so instances pick the next one themselves
+// and the primary key turns a race between them into a conflict.
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS registry_snapshots (
+      sequence INTEGER PRIMARY KEY,
+      root TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      public_key TEXT NOT NULL,
+      signature TEXT NOT NULL,
+      created_at BIGINT NOT NULL
+    )
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS registry_snapshots');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+// Migration 3: fuzzy name search. /api/search matches substrings and
+// near-misses by trigram similarity (pg_trgm); a trigram GIN index serves
+// both LIKE '%q%' and the % operator. Creating the extension needs a role
+// allowed to (the database owner on managed Postgres).
+
+async function up(db) {
+  await db.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_names_name_trgm ON names USING gin (name gin_trgm_ops)');
+}
+
+// The extension stays: other database objects may have come to use it
+async function down(db) {
+  await db.query('DROP INDEX IF EXISTS idx_names_name_trgm');
+}
+
+module.exports = { up, down };
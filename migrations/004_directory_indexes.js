@@ -0,0 +1,18 @@
+// Migration 4: keyset pagination for /api/directory and /api/export. Each
+// sort order gets an index that matches its ORDER BY, so a page costs the
+// same wherever it starts. Names sort in byte order (COLLATE "C"), which the
+// plain idx_name only serves when the database collation is C.
+
+async function up(db) {
+  await db.query('CREATE INDEX IF NOT EXISTS idx_names_name_bytes ON names (name COLLATE "C")');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_names_registered ON names (registered_at, id)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_names_updated ON names (updated_at, id)');
+}
+
+async function down(db) {
+  await db.query('DROP INDEX IF EXISTS idx_names_updated');
+  await db.query('DROP INDEX IF EXISTS idx_names_registered');
+  await db.query('DROP INDEX IF EXISTS idx_names_name_bytes');
+}
+
+module.exports = { up, down };
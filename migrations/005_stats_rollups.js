@@ -0,0 +1,84 @@
+// Migration 5: rollup tables behind the statistics endpoints (see stats.js).
+// stats_activity counts changes per UTC hour; stats_names counts names per
+// distribution bucket. Both are backfilled here: activity from name_events,
+// with the rules of stats.activityCounts in SQL, and distributions from names.
+//
+// The distribution rules below are a copy of stats.js as of this migration, so
+// a later change to stats.js can't change what this migration counts. Only
+// RFC 3492 punycode decoding comes from the name rules.
+
+const { punycode } = require('../public/xrs-name-rules');
+
+const PICTOGRAPHIC = /[\p{Extended_Pictographic}\p{Regional_Indicator}]/u;
+
+function characterClass(label) {
+  if (PICTOGRAPHIC.test(label)) return 'emoji';
+  if (/[^\x00-\x7f]/.test(label)) return 'unicode';
+  if (label.includes('-')) return 'hyphenated';
+  if (/^[0-9]+$/.test(label)) return 'digits';
+  if (/^[a-z]+$/.test(label)) return 'letters';
+  return 'alphanumeric';
+}
+
+function distributionBuckets(name) {
+  if (name.includes('.')) return [['level', 'subname']];
+  const label = name.startsWith('xn--') ? punycode.decode(name.slice(4)) : name;
+  return [
+    ['level', 'top_level'],
+    ['length', String([...label].length)],
+    ['class', characterClass(label)]
+  ];
+}
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS stats_activity (
+      hour TIMESTAMPTZ PRIMARY KEY,
+      registrations INTEGER NOT NULL DEFAULT 0,
+      updates INTEGER NOT NULL DEFAULT 0,
+      address_changes INTEGER NOT NULL DEFAULT 0,
+      releases INTEGER NOT NULL DEFAULT 0
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS stats_names (
+      dimension TEXT NOT NULL,
+      bucket TEXT NOT NULL,
+      names INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (dimension, bucket)
+    )
+  `);
+
+  await db.query('DELETE FROM stats_activity');
+  await db.query(`
+    INSERT INTO stats_activity (hour, registrations, updates, address_changes, releases)
+    SELECT date_trunc('hour', to_timestamp(created_at / 1000.0), 'UTC'),
+           COUNT(*) FILTER (WHERE event_type = 'register'),
+           COUNT(*) FILTER (WHERE event_type NOT IN ('register', 'release')),
+           COUNT(*) FILTER (WHERE event_type <> 'release' AND address <> previous_address),
+           COUNT(*) FILTER (WHERE event_type = 'release')
+    FROM name_events
+    GROUP BY 1
+  `);
+
+  const counts = new Map();
+  const result = await db.query('SELECT name FROM names');
+  for (const { name } of result.rows) {
+    for (const [dimension, bucket] of distributionBuckets(name)) {
+      const key = `${dimension}\n${bucket}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  await db.query('DELETE FROM stats_names');
+  for (const [key, names] of counts) {
+    const [dimension, bucket] = key.split('\n');
+    await db.query('INSERT INTO stats_names (dimension, bucket, names) VALUES ($1, $2, $3)', [dimension, bucket, names]);
+  }
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS stats_names');
+  await db.query('DROP TABLE IF EXISTS stats_activity');
+}
+
+module.exports = { up, down };
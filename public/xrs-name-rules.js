@@ -0,0 +1,351 @@
+/**
+ * XRS Names - Name Rules
+ *
+ * Normalization and validation shared by the server and xrs-names-lib.js, so a
+ * name the library accepts is exactly a name the server accepts.
+ *
+ * Labels are either plain ASCII (a-z, 0-9, hyphens) or Unicode. Unicode labels are
+ * mapped close to UTS-46 (NFKC, lowercase, NFC, variation selectors dropped) and
+ * stored as punycode ("xn--..."). They are rejected when they mix scripts
+ * (UTS-39 "highly restrictive") or when their confusable skeleton is plain ASCII,
+ * so "аlice" with a Cyrillic а can never pass for "alice".
+ *
+ * Loads as CommonJS (server) or as a browser script/module (window.XRSNameRules).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.XRSNameRules = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    const MAX_NAME_DEPTH = 4; // alice plus up to three levels of subnames
+    const MAX_LABEL_CODE_POINTS = 32;
+    const MAX_ASCII_LABEL_LENGTH = 63; // DNS label limit for the punycode form
+
+    const ASCII_LABEL_REGEX = /^[a-z0-9]([a-z0-9-]{1,30}[a-z0-9])?$/;
+
+    // Punycode (RFC 3492)
+    const BASE = 36;
+    const TMIN = 1;
+    const TMAX = 26;
+    const SKEW = 38;
+    const DAMP = 700;
+    const INITIAL_BIAS = 72;
+    const INITIAL_N = 128;
+
+    function adapt(delta, numPoints, firstTime) {
+        delta = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+        delta += Math.floor(delta / numPoints);
+        let k = 0;
+        while (delta > ((BASE - TMIN) * TMAX) >> 1) {
+            delta = Math.floor(delta / (BASE - TMIN));
+            k += BASE;
+        }
+        return k + Math.floor(((BASE - TMIN + 1) * delta) / (delta + SKEW));
+    }
+
+    function threshold(k, bias) {
+        if (k <= bias) return TMIN;
+        if (k >= bias + TMAX) return TMAX;
+        return k - bias;
+    }
+
+    function digitToChar(digit) {
+        return String.fromCharCode(digit < 26 ? digit + 97 : digit + 22);
+    }
+
+    function charToDigit(char) {
+        const code = char.charCodeAt(0);
+        if (code >= 48 && code <= 57) return code - 22;
+        if (code >= 97 && code <= 122) return code - 97;
+        return BASE;
+    }
+
+    function punycodeEncode(input) {
+        const codePoints = Array.from(input, c => c.codePointAt(0));
+        let output = codePoints.filter(c => c < 0x80).map(c => String.fromCharCode(c)).join('');
+        const basicLength = output.length;
+        let handled = basicLength;
+        let n = INITIAL_N;
+        let delta = 0;
+        let bias = INITIAL_BIAS;
+
+        if (basicLength > 0) output += '-';
+
+        while (handled < codePoints.length) {
+            let m = Infinity;
+            for (const c of codePoints) {
+                if (c >= n && c < m) m = c;
+            }
+            delta += (m - n) * (handled + 1);
+            n = m;
+
+            for (const c of codePoints) {
+                if (c < n) delta++;
+                if (c === n) {
+                    let q = delta;
+                    for (let k = BASE; ; k += BASE) {
+                        const t = threshold(k, bias);
+                        if (q < t) break;
+                        output += digitToChar(t + ((q - t) % (BASE - t)));
+                        q = Math.floor((q - t) / (BASE - t));
+                    }
+                    output += digitToChar(q);
+                    bias = adapt(delta, handled + 1, handled === basicLength);
+                    delta = 0;
+                    handled++;
+                }
+            }
+            delta++;
+            n++;
+        }
+        return output;
+    }
+
+    function punycodeDecode(input) {
+        const output = [];
+        const basic = input.lastIndexOf('-');
+        for (let j = 0; j < Math.max(basic, 0); j++) {
+            if (input.charCodeAt(j) >= 0x80) throw new Error('Invalid punycode');
+            output.push(input.charCodeAt(j));
+        }
+
+        let n = INITIAL_N;
+        let bias = INITIAL_BIAS;
+        let i = 0;
+        for (let index = basic > 0 ? basic + 1 : 0; index < input.length;) {
+            const oldi = i;
+            for (let w = 1, k = BASE; ; k += BASE) {
+                if (index >= input.length) throw new Error('Invalid punycode');
+                const digit = charToDigit(input[index++]);
+                if (digit >= BASE) throw new Error('Invalid punycode');
+                i += digit * w;
+                const t = threshold(k, bias);
+                if (digit < t) break;
+                w *= BASE - t;
+                if (w > 0x10FFFF * BASE) throw new Error('Invalid punycode');
+            }
+            const length = output.length + 1;
+            bias = adapt(i - oldi, length, oldi === 0);
+            n += Math.floor(i / length);
+            if (n > 0x10FFFF) throw new Error('Invalid punycode');
+            i %= length;
+            output.splice(i, 0, n);
+            i++;
+        }
+        return String.fromCodePoint(...output);
+    }
+
+    // Scripts a label may use. Anything else is reported as "Other".
+    const SCRIPTS = [
+        'Latin', 'Greek', 'Cyrillic', 'Armenian', 'Hebrew', 'Arabic', 'Syriac', 'Thaana',
+        'Devanagari', 'Bengali', 'Gurmukhi', 'Gujarati', 'Oriya', 'Tamil', 'Telugu',
+        'Kannada', 'Malayalam', 'Sinhala', 'Thai', 'Lao', 'Tibetan', 'Myanmar', 'Georgian',
+        'Hangul', 'Ethiopic', 'Cherokee', 'Khmer', 'Mongolian', 'Hiragana', 'Katakana',
+        'Bopomofo', 'Han'
+    ].map(script => [script, new RegExp(`\\p{Script=${script}}`, 'u')]);
+
+    // Script combinations UTS-39 "highly restrictive" allows in one label
+    const ALLOWED_SCRIPT_SETS = [
+        ['Latin', 'Han', 'Hiragana', 'Katakana'],
+        ['Latin', 'Han', 'Bopomofo'],
+        ['Latin', 'Han', 'Hangul']
+    ];
+
+    const COMMON_OR_INHERITED = /[\p{Script=Common}\p{Script=Inherited}]/u;
+    const ALLOWED_CHAR = /[\p{L}\p{M}\p{Nd}\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Regional_Indicator}‍-]/u;
+    const PICTOGRAPHIC = /[\p{Extended_Pictographic}\p{Emoji_Modifier}]/u;
+
+    function scriptOf(char) {
+        if (COMMON_OR_INHERITED.test(char)) return null;
+        for (const [script, regex] of SCRIPTS) {
+            if (regex.test(char)) return script;
+        }
+        return 'Other';
+    }
+
+    function isSingleScript(label) {
+        const scripts = new Set();
+        for (const char of label) {
+            const script = scriptOf(char);
+            if (script) scripts.add(script);
+        }
+        if (scripts.size <= 1) return true;
+        return ALLOWED_SCRIPT_SETS.some(set => [...scripts].every(s => set.includes(s)));
+    }
+
+    // Subset of the UTS-39 confusables table: non-ASCII letters that render like
+    // ASCII letters or digits. Full-width and compatibility forms are already
+    // folded by NFKC before this table is consulted.
+    const CONFUSABLES = {
+        // Cyrillic
+        'а': 'a', 'б': '6', 'в': 'b', 'г': 'r', 'д': 'a', 'е': 'e', 'ё': 'e', 'з': '3',
+        'и': 'n', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'п': 'n', 'р': 'p', 'с': 'c',
+        'т': 't', 'у': 'y', 'х': 'x', 'ь': 'b', 'ѕ': 's', 'і': 'i', 'ї': 'i', 'ј': 'j',
+        'ԁ': 'd', 'һ': 'h', 'ԛ': 'q', 'ԝ': 'w', 'ӏ': 'l', 'ɡ': 'g', 'ү': 'y', 'ҽ': 'e',
+        'ө': 'o', 'ᴦ': 'r', 'ꙇ': 'i',
+        // Greek
+        'α': 'a', 'β': 'b', 'γ': 'y', 'δ': 'd', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k',
+        'ν': 'v', 'ο': 'o', 'ρ': 'p', 'σ': 'o', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+        'ϲ': 'c', 'ϳ': 'j', 'ϱ': 'p',
+        // Armenian
+        'ա': 'w', 'հ': 'h', 'ո': 'n', 'ս': 'u', 'ց': 'g', 'զ': 'q', 'օ': 'o', 'ք': 'p',
+        'ւ': 'l', 'լ': 'l',
+        // Latin lookalikes outside a-z
+        'ı': 'i', 'ɩ': 'i', 'ɪ': 'i', 'ɑ': 'a', 'ɒ': 'a', 'ʀ': 'r', 'ʏ': 'y', 'ᴄ': 'c',
+        'ᴅ': 'd', 'ᴇ': 'e', 'ᴋ': 'k', 'ᴍ': 'm', 'ᴏ': 'o', 'ᴘ': 'p', 'ᴛ': 't', 'ᴜ': 'u',
+        'ᴠ': 'v', 'ᴡ': 'w', 'ᴢ': 'z', 'ƅ': 'b', 'ɓ': 'b', 'ꞵ': 'b', 'ſ': 'f', 'ȷ': 'j',
+        'ĸ': 'k', 'ŀ': 'l', 'ɫ': 'l', 'ƚ': 'l', 'ɴ': 'n', 'ɾ': 'r', 'ʋ': 'u', 'ʌ': 'v',
+        'ɣ': 'y', 'ƶ': 'z', 'ʐ': 'z',
+        // Cherokee (lowercase forms)
+        'ꭺ': 'a', 'ꮃ': 'w', 'ꭼ': 'e', 'ꮋ': 'h', 'ꮓ': 'z', 'ꮪ': 's', 'ꮯ': 'c', 'ꮮ': 'l',
+        'ꭰ': 'd', 'ꮲ': 'p', 'ꮇ': 'm', 'ꮶ': 'k', 'ꭲ': 't', 'ꮩ': 'v',
+        // Digits from other scripts
+        '٠': 'o', '۰': 'o', '०': 'o', '০': 'o', '੦': 'o', '૦': 'o', '୦': 'o', '௦': 'o',
+        '౦': 'o', '೦': 'o', '൦': 'o', '๐': 'o', '໐': 'o', '၀': 'o', '١': 'l', '۱': 'l',
+        '٣': 'r', '۷': 'v', '٧': 'v'
+    };
+
+    /**
+     * UTS-39 style skeleton: NFD, map confusables, NFD. Two names with the
+     * same skeleton look alike.
+     */
+    function skeleton(value) {
+        let mapped = '';
+        for (const char of value.normalize('NFD')) {
+            mapped += Object.prototype.hasOwnProperty.call(CONFUSABLES, char) ? CONFUSABLES[char] : char;
+        }
+        return mapped.normalize('NFD');
+    }
+
+    function isAscii(value) {
+        return /^[\x00-\x7f]*$/.test(value);
+    }
+
+    function mapLabel(label) {
+        return label.normalize('NFKC').toLowerCase().normalize('NFC').replace(/️/g, '');
+    }
+
+    /**
+     * Normalize and validate one label.
+     * Returns { ascii, unicode } or { error }.
+     */
+    function prepareLabel(input) {
+        if (typeof input !== 'string' || input.length === 0) {
+            return { error: 'Empty label' };
+        }
+
+        const fromPunycode = /^xn--/i.test(input);
+        let unicode;
+        if (fromPunycode) {
+            if (input.length > MAX_ASCII_LABEL_LENGTH) return { error: 'Label is too long' };
+            try {
+                unicode = punycodeDecode(input.slice(4).toLowerCase());
+            } catch {
+                return { error: 'Invalid punycode label' };
+            }
+        } else {
+            unicode = input;
+        }
+        unicode = mapLabel(unicode);
+
+        if (isAscii(unicode)) {
+            if (fromPunycode) return { error: 'Punycode label decodes to plain ASCII' };
+            if (!ASCII_LABEL_REGEX.test(unicode) || unicode.includes('--')) {
+                return { error: '3-32 characters, lowercase letters, numbers, hyphens (no consecutive hyphens)' };
+            }
+            return { ascii: unicode, unicode };
+        }
+
+        const chars = Array.from(unicode);
+        if (chars.length > MAX_LABEL_CODE_POINTS) {
+            return { error: `Labels are at most ${MAX_LABEL_CODE_POINTS} characters` };
+        }
+        if (unicode.startsWith('-') || unicode.endsWith('-') || unicode.includes('--')) {
+            return { error: 'Hyphens cannot start or end a label or appear twice in a row' };
+        }
+        for (let i = 0; i < chars.length; i++) {
+            const char = chars[i];
+            if (!ALLOWED_CHAR.test(char)) {
+                return { error: `Character "${char}" is not allowed` };
+            }
+            // Zero-width joiner only inside emoji sequences
+            if (char === '‍' && !(PICTOGRAPHIC.test(chars[i - 1] || '') && PICTOGRAPHIC.test(chars[i + 1] || ''))) {
+                return { error: 'Zero-width joiner is only allowed inside emoji sequences' };
+            }
+        }
+        if (/^\p{M}/u.test(unicode)) {
+            return { error: 'Labels cannot start with a combining mark' };
+        }
+        if (!isSingleScript(unicode)) {
+            return { error: 'Labels cannot mix scripts' };
+        }
+        if (isAscii(skeleton(unicode))) {
+            return { error: `Label is confusable with "${skeleton(unicode)}"` };
+        }
+
+        const ascii = `xn--${punycodeEncode(unicode)}`;
+        if (ascii.length > MAX_ASCII_LABEL_LENGTH) {
+            return { error: 'Label is too long' };
+        }
+        if (fromPunycode && ascii !== input.toLowerCase()) {
+            return { error: 'Punycode label is not in normalized form' };
+        }
+        return { ascii, unicode };
+    }
+
+    /**
+     * Normalize and validate a full name ("alice", "Ålice.xrs", "pay.alice").
+     * Returns { ascii, unicode } (both without .xrs) or { error }.
+     */
+    function prepareName(input) {
+        if (typeof input !== 'string') return { error: 'Name must be a string' };
+
+        const name = input
+            .replace(/[。．｡]/g, '.') // ideographic and full-width full stops
+            .replace(/\.xrs$/i, '');
+        const labels = name.split('.');
+        if (labels.length > MAX_NAME_DEPTH) {
+            return { error: `Names can be at most ${MAX_NAME_DEPTH} labels deep` };
+        }
+
+        const ascii = [];
+        const unicode = [];
+        for (const label of labels) {
+            const prepared = prepareLabel(label);
+            if (prepared.error) return { error: prepared.error };
+            ascii.push(prepared.ascii);
+            unicode.push(prepared.unicode);
+        }
+        return { ascii: ascii.join('.'), unicode: unicode.join('.') };
+    }
+
+    // Stored (punycode) form, or null if the name is invalid
+    function toASCII(name) {
+        const prepared = prepareName(name);
+        return prepared.error ? null : prepared.ascii;
+    }
+
+    // Display (Unicode) form; invalid names are returned unchanged
+    function toUnicode(name) {
+        const prepared = prepareName(name);
+        return prepared.error ? name : prepared.unicode;
+    }
+
+    function isValidName(name) {
+        return !prepareName(name).error;
+    }
+
+    return {
+        MAX_NAME_DEPTH,
+        prepareLabel,
+        prepareName,
+        toASCII,
+        toUnicode,
+        isValidName,
+        skeleton,
+        punycode: { encode: punycodeEncode, decode: punycodeDecode }
+    };
+});
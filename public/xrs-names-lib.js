@@ -8,101 +8,591 @@
  *   
  *   const address = await resolveXRS('alice.xrs');
  *   const names = await reverseXRS('Xrs7d1e4f...');
+ *
+ * Name rules (Unicode folding, punycode, confusables) come from xrs-name-rules.js,
+ * which must be served next to this file.
+ *
+ * Writes are signed with a raw Ed25519 secret key or a wallet's signMessage:
+ *   await xrs.register('alice.xrs', { signer: secretKey });
+ *   await xrs.setRecords('alice.xrs', { text: { url: 'https://alice.example' } }, { signer: wallet });
+ *
+ * With the service's public key, lookups check the signature the service puts
+ * on every answer, and verify also checks forward lookups against the signed
+ * registry snapshot (both need WebCrypto with Ed25519):
+ *   const xrs = new XRSNames(apiUrl, { serviceKey: '<base58 public key>', verify: true });
+ *
+ * Answers are cached (in memory by default; LocalStorageCache, IndexedDBCache
+ * and FileCache persist them). Expired answers are served while they are
+ * refreshed, and resolveResult/reverseResult tell not-found, failed and stale
+ * lookups apart:
+ *   const xrs = new XRSNames(apiUrl, { cache: new IndexedDBCache() });
+ *   const { status, value, stale } = await xrs.resolveResult('alice.xrs');
  */
 
+import * as nameRulesModule from './xrs-name-rules.js';
+
+// Browsers load the rules as a script (window.XRSNameRules); Node and bundlers see CommonJS
+const nameRules = globalThis.XRSNameRules || nameRulesModule.default;
+
+/**
+ * Thrown when a lookup doesn't match the service's signature or snapshot
+ */
+class XRSVerificationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'XRSVerificationError';
+    }
+}
+
+/**
+ * A request the service refused. status is the HTTP status and details the
+ * JSON error body ({ error, ... }). Subclasses cover the cases callers
+ * usually handle.
+ */
+class XRSRequestError extends Error {
+    constructor(message, status, details = {}) {
+        super(message);
+        this.name = 'XRSRequestError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// 400: the request itself is invalid (name format, address, records, ...)
+class XRSValidationError extends XRSRequestError {
+    constructor(message, status, details) {
+        super(message, status, details);
+        this.name = 'XRSValidationError';
+    }
+}
+
+// 401: signature missing, invalid or expired, or nonce already used
+class XRSAuthError extends XRSRequestError {
+    constructor(message, status, details) {
+        super(message, status, details);
+        this.name = 'XRSAuthError';
+    }
+}
+
+// 409: the name is taken; confusableWith is set when it only looks like a registered name
+class XRSNameTakenError extends XRSRequestError {
+    constructor(message, status, details) {
+        super(message, status, details);
+        this.name = 'XRSNameTakenError';
+        this.existingName = details.confusable_with || details.name || null;
+        this.confusableWith = details.confusable_with || null;
+    }
+}
+
+// 429: retryAfter is in seconds, or null if the service didn't say
+class XRSRateLimitError extends XRSRequestError {
+    constructor(message, status, details, retryAfter = null) {
+        super(message, status, details);
+        this.name = 'XRSRateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+async function requestError(response) {
+    const details = await response.json().catch(() => ({}));
+    const message = details.error || `HTTP ${response.status}`;
+    switch (response.status) {
+        case 400: return new XRSValidationError(message, response.status, details);
+        case 401: return new XRSAuthError(message, response.status, details);
+        case 409: return new XRSNameTakenError(message, response.status, details);
+        case 429: {
+            const retryAfter = parseInt(response.headers.get('Retry-After') || response.headers.get('RateLimit-Reset'));
+            return new XRSRateLimitError(message, response.status, details, Number.isNaN(retryAfter) ? null : retryAfter);
+        }
+        default: return new XRSRequestError(message, response.status, details);
+    }
+}
+
+/**
+ * Cache storage. XRSNames works with any object that has these async
+ * methods; entries are small JSON-serialisable objects:
+ *   get(key) -> entry or undefined, set(key, entry), delete(key), keys() -> [key]
+ */
+class MemoryCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return this.entries.get(key);
+    }
+
+    async set(key, entry) {
+        this.entries.set(key, entry);
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async keys() {
+        return [...this.entries.keys()];
+    }
+}
+
+// Browser localStorage (or any Storage). Keys are prefixed so other data is left alone.
+class LocalStorageCache {
+    constructor({ storage = globalThis.localStorage, prefix = 'xrs-names:' } = {}) {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    async get(key) {
+        const text = this.storage.getItem(this.prefix + key);
+        return text === null ? undefined : JSON.parse(text);
+    }
+
+    async set(key, entry) {
+        this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+    }
+
+    async delete(key) {
+        this.storage.removeItem(this.prefix + key);
+    }
+
+    async keys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(this.prefix)) keys.push(key.slice(this.prefix.length));
+        }
+        return keys;
+    }
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Browser IndexedDB: one object store, opened on first use
+class IndexedDBCache {
+    constructor({ database = 'xrs-names', store = 'cache' } = {}) {
+        this.database = database;
+        this.store = store;
+        this._db = null;
+    }
+
+    _open() {
+        if (!this._db) {
+            const request = indexedDB.open(this.database, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.store);
+            this._db = idbRequest(request);
+        }
+        return this._db;
+    }
+
+    async _run(mode, operation) {
+        const db = await this._open();
+        return idbRequest(operation(db.transaction(this.store, mode).objectStore(this.store)));
+    }
+
+    get(key) {
+        return this._run('readonly', store => store.get(key));
+    }
+
+    async set(key, entry) {
+        await this._run('readwrite', store => store.put(entry, key));
+    }
+
+    async delete(key) {
+        await this._run('readwrite', store => store.delete(key));
+    }
+
+    keys() {
+        return this._run('readonly', store => store.getAllKeys());
+    }
+}
+
+// Node: a JSON file, read on first use and rewritten after each change
+class FileCache {
+    constructor(path) {
+        this.path = path;
+        this._entries = null;
+        this._writing = Promise.resolve();
+    }
+
+    _load() {
+        if (!this._entries) {
+            this._entries = import('node:fs/promises').then(async fs => {
+                try {
+                    return new Map(Object.entries(JSON.parse(await fs.readFile(this.path, 'utf8'))));
+                } catch (error) {
+                    // No cache yet, or a damaged one: start empty
+                    if (error.code === 'ENOENT' || error instanceof SyntaxError) return new Map();
+                    throw error;
+                }
+            });
+        }
+        return this._entries;
+    }
+
+    _save(entries) {
+        const write = this._writing.then(async () => {
+            const fs = await import('node:fs/promises');
+            const temp = `${this.path}.tmp`;
+            await fs.writeFile(temp, JSON.stringify(Object.fromEntries(entries)));
+            await fs.rename(temp, this.path);
+        });
+        this._writing = write.catch(() => {});
+        return write;
+    }
+
+    async get(key) {
+        return (await this._load()).get(key);
+    }
+
+    async set(key, entry) {
+        const entries = await this._load();
+        entries.set(key, entry);
+        await this._save(entries);
+    }
+
+    async delete(key) {
+        const entries = await this._load();
+        if (entries.delete(key)) await this._save(entries);
+    }
+
+    async keys() {
+        return [...(await this._load()).keys()];
+    }
+}
+
+/**
+ * @typedef {Object} XRSLookupResult
+ * @property {'found'|'not_found'|'error'} status
+ * @property {string|Object|null} value - The address (resolve) or { names, primary } (reverse); null unless found
+ * @property {boolean} stale - Served from an expired cache entry that is being refreshed
+ * @property {Error|null} error - Why the lookup failed, when status is 'error'
+ */
+
+// A resolve answer (address) or reverse answer ({ names, primary }) that found something
+function isFound(value) {
+    return typeof value === 'string' ? value.length > 0 : !!value && value.names.length > 0;
+}
+
+function lookupResult(value, { stale = false, error = null } = {}) {
+    const found = !error && isFound(value);
+    return {
+        status: error ? 'error' : found ? 'found' : 'not_found',
+        value: found ? value : null,
+        stale,
+        error
+    };
+}
+
+// How far ahead of this clock a service timestamp may be
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+// Signed write messages expire this long after signing (the service allows up to 1 hour)
+const SIGNATURE_LIFETIME_MS = 5 * 60 * 1000;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58Decode(text) {
+    const bytes = [];
+    for (const char of text) {
+        let carry = BASE58_ALPHABET.indexOf(char);
+        if (carry < 0) throw new XRSVerificationError('Invalid base58 string');
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+    for (const char of text) {
+        if (char !== '1') break;
+        bytes.push(0);
+    }
+    return new Uint8Array(bytes.reverse());
+}
+
+function base58Encode(bytes) {
+    const digits = [];
+    for (const byte of bytes) {
+        let carry = byte;
+        for (let i = 0; i < digits.length; i++) {
+            carry += digits[i] << 8;
+            digits[i] = carry % 58;
+            carry = (carry / 58) | 0;
+        }
+        while (carry > 0) {
+            digits.push(carry % 58);
+            carry = (carry / 58) | 0;
+        }
+    }
+    let text = '';
+    for (const byte of bytes) {
+        if (byte !== 0) break;
+        text += '1';
+    }
+    return text + digits.reverse().map(d => BASE58_ALPHABET[d]).join('');
+}
+
+function base64UrlDecode(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(text.length / 4) * 4, '=');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+function hexToBytes(hex) {
+    return new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+}
+
+// Same canonical JSON the server hashes: keys sorted at every level, no whitespace
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// SHA-256 in hex of bytes, after a one-byte domain prefix unless prefix is null
+async function sha256Hex(prefix, bytes) {
+    const input = prefix === null ? bytes : new Uint8Array([prefix, ...bytes]);
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Root of the snapshot tree implied by a leaf and its sibling path (see the
+ * snapshots section of the API docs), or null if the path doesn't fit
+ */
+async function merkleRoot(entry, index, size, path) {
+    if (!Number.isInteger(index) || index < 0 || index >= size || !Array.isArray(path)) return null;
+
+    let hash = await sha256Hex(0, new TextEncoder().encode(canonicalJson(entry)));
+    let used = 0;
+    for (let width = size; width > 1; width = Math.ceil(width / 2)) {
+        if (index % 2 === 1 || index + 1 < width) {
+            if (used >= path.length || !/^[0-9a-f]{64}$/.test(path[used])) return null;
+            const sibling = hexToBytes(path[used++]);
+            const node = index % 2 === 1 ? [...sibling, ...hexToBytes(hash)] : [...hexToBytes(hash), ...sibling];
+            hash = await sha256Hex(1, new Uint8Array(node));
+        }
+        index = Math.floor(index / 2);
+    }
+    return used === path.length ? hash : null;
+}
+
+// PKCS#8 header for a raw 32-byte Ed25519 seed
+const ED25519_PKCS8_PREFIX = [0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20];
+
+/**
+ * Normalise a signer: a raw Ed25519 secret key (64-byte tweetnacl/Solana
+ * format, or the 32-byte seed) or a wallet { publicKey, signMessage } whose
+ * signMessage(bytes) resolves to the signature as bytes, base58 or
+ * { signature }. Resolves to { publicKey, sign(message) } in base58.
+ */
+async function resolveSigner(signer) {
+    if (signer instanceof Uint8Array) {
+        if (signer.length !== 64 && signer.length !== 32) {
+            throw new TypeError('An Ed25519 secret key is 64 bytes (or a 32-byte seed)');
+        }
+        const pkcs8 = new Uint8Array([...ED25519_PKCS8_PREFIX, ...signer.slice(0, 32)]);
+        const key = await crypto.subtle.importKey('pkcs8', pkcs8, { name: 'Ed25519' }, true, ['sign']);
+        const { x } = await crypto.subtle.exportKey('jwk', key);
+        return {
+            publicKey: base58Encode(base64UrlDecode(x)),
+            sign: async message => base58Encode(new Uint8Array(
+                await crypto.subtle.sign('Ed25519', key, new TextEncoder().encode(message))
+            ))
+        };
+    }
+
+    if (signer && signer.publicKey && typeof signer.signMessage === 'function') {
+        const { publicKey } = signer;
+        return {
+            publicKey: typeof publicKey === 'string'
+                ? publicKey
+                : base58Encode(typeof publicKey.toBytes === 'function' ? publicKey.toBytes() : publicKey),
+            sign: async message => {
+                const result = await signer.signMessage(new TextEncoder().encode(message));
+                const signature = result && result.signature ? result.signature : result;
+                return typeof signature === 'string' ? signature : base58Encode(signature);
+            }
+        };
+    }
+
+    throw new TypeError('signer must be an Ed25519 secret key or a wallet with publicKey and signMessage');
+}
+
 class XRSNames {
-    constructor(apiUrl = 'https://your-xrs-names-service.com/api') {
+    /**
+     * @param {string} apiUrl - Base URL of the names API
+     * @param {Object} [options]
+     * @param {string} [options.serviceKey] - Pinned base58 public key of the service (GET /api/snapshot).
+     *   Every resolve and reverse answer, "not found" included, must then carry a valid attestation
+     *   by this key, or the lookup throws XRSVerificationError.
+     * @param {boolean} [options.verify] - Also check resolve answers against the signed registry snapshot
+     * @param {Object} [options.cache] - Cache storage: MemoryCache (default), LocalStorageCache,
+     *   IndexedDBCache, FileCache or any object with the same methods. Answers are checked before
+     *   they are cached, so a persistent cache is only as trustworthy as the storage behind it.
+     * @param {number} [options.cacheTTL] - How long answers that found something are fresh, in ms
+     * @param {number} [options.negativeCacheTTL] - How long "not found" answers are fresh, in ms
+     * @param {number} [options.staleTTL] - How long after expiring an answer may still be served
+     *   while it is refreshed in the background (0 turns this off), in ms
+     * @param {Function} [options.onInvalidate] - Called with { name } or { address } when a cached
+     *   answer is dropped or a refresh changes it
+     */
+    constructor(apiUrl = 'https://your-xrs-names-service.com/api', {
+        verify = false,
+        serviceKey = null,
+        cache = new MemoryCache(),
+        cacheTTL = 5 * 60 * 1000, // 5 minutes
+        negativeCacheTTL = 30 * 1000,
+        staleTTL = 60 * 60 * 1000,
+        onInvalidate = null
+    } = {}) {
+        if (verify && !serviceKey) {
+            throw new Error('verify needs the service public key (serviceKey)');
+        }
         this.apiUrl = apiUrl;
-        this.cache = new Map();
-        this.cacheTTL = 5 * 60 * 1000; // 5 minutes
+        this.verify = verify;
+        this.serviceKey = serviceKey;
+        this._verifiedSnapshots = new Set(); // snapshot messages and signatures already checked
+        this.cache = cache;
+        this.cacheTTL = cacheTTL;
+        this.negativeCacheTTL = negativeCacheTTL;
+        this.staleTTL = staleTTL;
+        this.onInvalidate = onInvalidate;
+        // Storage may be shared, so keys say which service and which checks their answers passed
+        this._cachePrefix = `${apiUrl}|${serviceKey || ''}|${verify ? 'proof' : ''}|`;
+        this.maxBatchSize = 300; // server limit for /resolve/batch and /reverse/batch
+
+        // Lookups requested in the same tick are sent as one batch request
+        this._inflight = new Map(); // cacheKey -> Promise
+        this._queues = { resolve: new Map(), reverse: new Map() };
     }
 
     /**
-     * Check if a string is an XRS name
+     * Check if a string is an XRS name (including subnames like "pay.alice.xrs"
+     * and Unicode names like "ålice.xrs")
      */
     isXRSName(input) {
-        return input && (input.endsWith('.xrs') || /^[a-z0-9][a-z0-9-]{1,30}[a-z0-9]$/.test(input));
+        return !!input && (input.endsWith('.xrs') || nameRules.isValidName(input));
     }
 
     /**
-     * Resolve XRS name to address
-     * @param {string} name - Name like "alice.xrs" or "alice"
-     * @returns {Promise<string|null>} - Address or null if not found
+     * Stored form of a name: "Ålice.xrs" -> "xn--lice-poa"
+     * @returns {string|null} - null if the name is invalid
      */
-    async resolve(name) {
-        if (!name) return null;
-
-        const cleanName = name.toLowerCase().replace('.xrs', '');
-        const cacheKey = `name:${cleanName}`;
-
-        // Check cache
-        const cached = this._getFromCache(cacheKey);
-        if (cached) return cached;
-
-        try {
-            const response = await fetch(`${this.apiUrl}/resolve/${cleanName}`);
-            
-            if (!response.ok) {
-                if (response.status === 404) return null;
-                throw new Error(`HTTP ${response.status}`);
-            }
+    toASCII(name) {
+        return nameRules.toASCII(name);
+    }
 
-            const data = await response.json();
-            const address = data.address;
+    /**
+     * Display form of a name: "xn--lice-poa.xrs" -> "ålice.xrs"
+     */
+    toUnicode(name) {
+        return nameRules.isValidName(name) ? `${nameRules.toUnicode(name)}.xrs` : name;
+    }
 
-            // Cache result
-            this._saveToCache(cacheKey, address);
+    /**
+     * Resolve XRS name to address
+     * @param {string} name - Name like "alice.xrs" or "alice"
+     * @param {Object} [options]
+     * @param {boolean} [options.allowStale=true] - Accept an expired cached answer while it is refreshed
+     * @returns {Promise<string|null>} - Address, or null if not found or the lookup failed
+     *   (resolveResult tells these apart)
+     * @throws {XRSVerificationError} - With serviceKey, when the answer isn't signed by the
+     *   service (or, with verify, doesn't match the snapshot)
+     */
+    async resolve(name, options) {
+        const result = await this.resolveResult(name, options);
+        if (result.error) console.error('XRS Names resolve error:', result.error);
+        return result.value;
+    }
 
-            return address;
-        } catch (error) {
-            console.error('XRS Names resolve error:', error);
-            return null;
-        }
+    /**
+     * Resolve with the details: whether the name was found, not found or the
+     * lookup failed, and whether the answer came from an expired cache entry
+     * @returns {Promise<XRSLookupResult>} - value is the address
+     * @throws {XRSVerificationError} - As resolve
+     */
+    async resolveResult(name, { allowStale = true } = {}) {
+        const cleanName = name ? nameRules.toASCII(name) : null;
+        if (!cleanName) return lookupResult(null);
+        return this._cachedLookup('resolve', cleanName, this._cacheKey('resolve', cleanName), allowStale);
     }
 
     /**
      * Reverse lookup - get names for an address
      * @param {string} address - Xeris address
      * @returns {Promise<Array<string>>} - Array of names (empty if none found)
+     * @throws {XRSVerificationError} - With serviceKey, when the answer isn't signed by the service
      */
     async reverse(address) {
-        if (!address) return [];
-
-        const cacheKey = `addr:${address}`;
-
-        // Check cache
-        const cached = this._getFromCache(cacheKey);
-        if (cached) return cached;
+        const record = await this._reverseRecord(address);
+        return record ? record.names : [];
+    }
 
-        try {
-            const response = await fetch(`${this.apiUrl}/reverse/${address}`);
-            
-            if (!response.ok) {
-                if (response.status === 404) return [];
-                throw new Error(`HTTP ${response.status}`);
-            }
+    /**
+     * Get primary name for an address (owner-chosen, else first registered).
+     * Only returned if the name still resolves back to the same address.
+     * @param {string} address - Xeris address
+     * @returns {Promise<string|null>} - Primary name or null
+     */
+    async getPrimaryName(address) {
+        const record = await this._reverseRecord(address);
+        if (!record || !record.primary) return null;
 
-            const data = await response.json();
-            const names = data.names.map(n => n.name);
+        const resolved = await this.resolve(record.primary);
+        return resolved === address ? record.primary : null;
+    }
 
-            // Cache result
-            this._saveToCache(cacheKey, names);
+    /**
+     * Reverse lookup with the details (see resolveResult)
+     * @returns {Promise<XRSLookupResult>} - value is { names, primary }
+     * @throws {XRSVerificationError} - With serviceKey, when the answer isn't signed by the service
+     */
+    async reverseResult(address, { allowStale = true } = {}) {
+        if (!address) return lookupResult(null);
+        return this._cachedLookup('reverse', address, this._cacheKey('reverse', address), allowStale);
+    }
 
-            return names;
-        } catch (error) {
-            console.error('XRS Names reverse error:', error);
-            return [];
-        }
+    /**
+     * Fetch and cache { names, primary } for an address
+     */
+    async _reverseRecord(address) {
+        const result = await this.reverseResult(address);
+        if (result.error) console.error('XRS Names reverse error:', result.error);
+        return result.value;
     }
 
     /**
-     * Get primary name for an address (first registered)
-     * @param {string} address - Xeris address
-     * @returns {Promise<string|null>} - Primary name or null
+     * Answer from the cache when it's fresh. An expired answer still within
+     * staleTTL is returned at once (stale) and refreshed in the background;
+     * otherwise the service is asked.
      */
-    async getPrimaryName(address) {
-        const names = await this.reverse(address);
-        return names.length > 0 ? names[0] : null;
+    async _cachedLookup(kind, key, cacheKey, allowStale) {
+        const entry = await this._readCache(cacheKey);
+        const now = Date.now();
+        if (entry && now < entry.expiresAt) return lookupResult(entry.value);
+
+        if (entry && allowStale && now < entry.expiresAt + this.staleTTL) {
+            this._lookup(kind, key, cacheKey).catch(error => {
+                console.error(`XRS Names ${kind} refresh error:`, error);
+            });
+            return lookupResult(entry.value, { stale: true });
+        }
+
+        try {
+            return lookupResult(await this._lookup(kind, key, cacheKey));
+        } catch (error) {
+            if (error instanceof XRSVerificationError) throw error;
+            return lookupResult(null, { error });
+        }
     }
 
     /**
@@ -114,7 +604,7 @@ class XRSNames {
         if (!input) return '';
 
         // If it looks like an address, return as-is
-        if (input.length > 32 && !input.includes('.')) {
+        if (this._isAddress(input)) {
             return input;
         }
 
@@ -137,7 +627,7 @@ class XRSNames {
         if (!address) return '';
 
         const name = await this.getPrimaryName(address);
-        if (name) return name;
+        if (name) return this.toUnicode(name);
 
         if (full) return address;
 
@@ -151,7 +641,8 @@ class XRSNames {
      * @returns {Promise<boolean>} - True if available
      */
     async checkAvailability(name) {
-        const cleanName = name.toLowerCase().replace('.xrs', '');
+        const cleanName = nameRules.toASCII(name);
+        if (!cleanName) return false;
 
         try {
             const response = await fetch(`${this.apiUrl}/check/${cleanName}`);
@@ -164,33 +655,465 @@ class XRSNames {
     }
 
     /**
-     * Cache helpers
+     * Register a name with commit-reveal: commit to a hash that hides the
+     * name, wait out the service's minimum delay (a minute by default), then
+     * reveal it. Nobody watching lookups can take the name in between. The
+     * name is owned by its address; transfer it afterwards for another owner.
+     * @param {string} name - Name like "alice.xrs" or "alice"
+     * @param {Object} options
+     * @param {string} [options.address] - Address the name resolves to (defaults to the signer's)
+     * @param {Uint8Array|Object} [options.signer] - Ed25519 secret key or wallet, only used for its address
+     * @param {number} [options.years] - Registration terms to pay for
+     * @param {Object} [options.metadata] - Initial text records
+     * @param {Function} [options.onCommitted] - Called with { commitment, reveal_after, reveal_before } while waiting
+     * @returns {Promise<Object>} - { success, name, unicode, address, owner, registered, expires }
+     * @throws {XRSNameTakenError|XRSValidationError|XRSRateLimitError|XRSRequestError}
+     */
+    async register(name, { signer, address, years, metadata, onCommitted } = {}) {
+        const cleanName = this._writableName(name);
+        const target = address || (await resolveSigner(signer)).publicKey;
+
+        const secret = Array.from(crypto.getRandomValues(new Uint8Array(32)),
+            byte => byte.toString(16).padStart(2, '0')).join('');
+        const commitment = await sha256Hex(null, new TextEncoder().encode(`${cleanName}:${target}:${secret}`));
+        const committed = await this._request('POST', '/commit', { commitment });
+        if (onCommitted) onCommitted(committed);
+
+        const wait = new Date(committed.reveal_after).getTime() + 1000 - Date.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+
+        const result = await this._request('POST', '/reveal', {
+            name: cleanName, address: target, secret, years, metadata
+        });
+        await this._invalidate(cleanName, [target]);
+        return result;
+    }
+
+    /**
+     * Register a name in one signed step. Only for trusted integrations: the
+     * signer must be one of the service's REGISTRATION_KEYS.
+     * @param {string} name - Name like "alice.xrs" or "alice"
+     * @param {Object} options
+     * @param {Uint8Array|Object} options.signer - The integration's Ed25519 secret key or wallet
+     * @param {string} options.address - Address the name resolves to
+     * @param {string} [options.owner] - Owner key (defaults to the address)
+     * @param {number} [options.years] - Registration terms to pay for
+     * @param {Object} [options.metadata] - Initial text records
+     * @returns {Promise<Object>} - { success, name, unicode, address, owner, registered, expires }
+     * @throws {XRSNameTakenError|XRSValidationError|XRSAuthError|XRSRateLimitError|XRSRequestError}
+     */
+    async registerDirect(name, { signer, address, owner, years, metadata } = {}) {
+        const cleanName = this._writableName(name);
+        const { sign } = await resolveSigner(signer);
+        const nameOwner = owner || address;
+
+        const auth = await this._sign(sign, 'register', { name: cleanName, address, owner: nameOwner });
+        const result = await this._request('POST', '/register', {
+            name: cleanName, address, owner: nameOwner, years, metadata, ...auth
+        });
+        await this._invalidate(cleanName, [address]);
+        return result;
+    }
+
+    /**
+     * Point a name at a new address. Signed by the current owner.
+     * @returns {Promise<Object>} - { success, name, address, owner, updated }
+     * @throws {XRSValidationError|XRSAuthError|XRSRateLimitError|XRSRequestError}
+     */
+    async update(name, { signer, address } = {}) {
+        const cleanName = this._writableName(name);
+        const { sign } = await resolveSigner(signer);
+
+        const auth = await this._sign(sign, 'update', { name: cleanName, address });
+        const result = await this._request('PUT', `/update/${cleanName}`, { address, ...auth });
+        await this._invalidate(cleanName, [address]);
+        return result;
+    }
+
+    /**
+     * Read a name's records
+     * @returns {Promise<Object>} - { name, records: { text, addresses, contenthash }, updated }
+     */
+    async getRecords(name) {
+        return this._request('GET', `/records/${this._writableName(name)}`);
+    }
+
+    /**
+     * Change records. Only keys present change; null deletes a record.
+     * Signed by the owner (or the parent owner for subnames).
+     * @param {Object} changes - { text?: { key: value|null }, addresses?: { coinType: address|null }, contenthash?: string|null }
+     * @returns {Promise<Object>} - { success, name, records, updated }
+     * @throws {XRSValidationError|XRSAuthError|XRSRateLimitError|XRSRequestError}
+     */
+    async setRecords(name, changes, { signer } = {}) {
+        const cleanName = this._writableName(name);
+        const { sign } = await resolveSigner(signer);
+
+        const sent = {};
+        for (const key of ['text', 'addresses', 'contenthash']) {
+            if (changes[key] !== undefined) sent[key] = changes[key];
+        }
+        const recordsHash = await sha256Hex(null, new TextEncoder().encode(canonicalJson(sent)));
+
+        const auth = await this._sign(sign, 'set-records', { name: cleanName, records: recordsHash });
+        const result = await this._request('PUT', `/records/${cleanName}`, { ...sent, ...auth });
+        await this._invalidate(cleanName);
+        return result;
+    }
+
+    _isAddress(input) {
+        return input.length > 32 && !input.includes('.');
+    }
+
+    _writableName(name) {
+        const cleanName = nameRules.toASCII(name || '');
+        if (!cleanName) {
+            throw new XRSValidationError('Invalid name format', 400, { error: 'Invalid name format' });
+        }
+        return cleanName;
+    }
+
+    /**
+     * Sign a v1 message for action with a fresh nonce. Resolves to the
+     * { signature, nonce, expires } the request body carries.
+     */
+    async _sign(sign, action, fields) {
+        const { nonce, version, domain, chain } = await this._request('POST', '/nonce');
+        const expires = Date.now() + SIGNATURE_LIFETIME_MS;
+        const message = [
+            'xrs-names signed message',
+            `version: ${version}`,
+            `domain: ${domain}`,
+            `chain: ${chain}`,
+            `action: ${action}`,
+            ...Object.entries(fields).map(([key, value]) => `${key}: ${value}`),
+            `nonce: ${nonce}`,
+            `expires: ${expires}`
+        ].join('\n');
+        return { signature: await sign(message), nonce, expires };
+    }
+
+    async _request(method, path, body) {
+        const response = await fetch(`${this.apiUrl}${path}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (!response.ok) throw await requestError(response);
+        return response.json();
+    }
+
+    /**
+     * Drop cached answers for a name (and reverse answers that list it) or for
+     * an address, e.g. after a change made elsewhere
+     * @param {string} input - Name or address
+     */
+    async invalidate(input) {
+        if (!input) return;
+        const cleanName = this._isAddress(input) ? null : nameRules.toASCII(input);
+        await (cleanName ? this._invalidate(cleanName) : this._invalidate(null, [input]));
+    }
+
+    // Drop cached lookups a write may have changed
+    async _invalidate(cleanName, addresses = []) {
+        const cached = await this._cacheKeys();
+        const doomed = new Set(addresses.map(address => `addr:${address}`));
+        if (cleanName) {
+            doomed.add(`name:${cleanName}`);
+            for (const cacheKey of cached) {
+                if (!cacheKey.startsWith('addr:') || doomed.has(cacheKey)) continue;
+                const entry = await this._readCache(cacheKey);
+                if (entry && entry.value && entry.value.names.includes(`${cleanName}.xrs`)) doomed.add(cacheKey);
+            }
+        }
+
+        await Promise.all(cached.filter(cacheKey => doomed.has(cacheKey)).map(async cacheKey => {
+            try {
+                await this.cache.delete(this._cachePrefix + cacheKey);
+            } catch (error) {
+                console.error('XRS Names cache error:', error);
+            }
+            this._notifyInvalidate(cacheKey);
+        }));
+    }
+
+    /**
+     * Request coalescing: concurrent lookups for the same key share one promise,
+     * and keys queued in the same tick go out as a single batch request
+     */
+    _lookup(kind, key, cacheKey) {
+        if (!this._inflight.has(cacheKey)) {
+            const promise = this._enqueue(kind, key)
+                .then(async ({ value, etag }) => {
+                    await this._saveToCache(cacheKey, value, etag);
+                    return value;
+                })
+                .finally(() => this._inflight.delete(cacheKey));
+            this._inflight.set(cacheKey, promise);
+        }
+        return this._inflight.get(cacheKey);
+    }
+
+    _enqueue(kind, key) {
+        const queue = this._queues[kind];
+        if (!queue.has(key)) {
+            const entry = {};
+            entry.promise = new Promise((resolve, reject) => {
+                entry.resolve = resolve;
+                entry.reject = reject;
+            });
+            queue.set(key, entry);
+            if (queue.size === 1) queueMicrotask(() => this._flush(kind));
+        }
+        return queue.get(key).promise;
+    }
+
+    async _flush(kind) {
+        const queue = this._queues[kind];
+        this._queues[kind] = new Map();
+
+        const keys = [...queue.keys()];
+        const chunks = [];
+        for (let i = 0; i < keys.length; i += this.maxBatchSize) {
+            chunks.push(keys.slice(i, i + this.maxBatchSize));
+        }
+
+        await Promise.all(chunks.map(async chunk => {
+            try {
+                const results = await this._fetchLookups(kind, chunk);
+                chunk.forEach((key, i) => queue.get(key).resolve(results[i]));
+            } catch (error) {
+                chunk.forEach(key => queue.get(key).reject(error));
+            }
+        }));
+    }
+
+    /**
+     * Fetch lookups for keys, in order, as { value, etag }. A single key uses
+     * the plain GET endpoint, conditionally when a cached answer has an ETag.
+     * resolve -> address or null; reverse -> { names, primary } or null
      */
-    _getFromCache(key) {
-        const item = this.cache.get(key);
-        if (!item) return null;
+    async _fetchLookups(kind, keys) {
+        const proof = this.verify && kind === 'resolve';
+
+        if (keys.length === 1) {
+            // A 304 carries no fresh attestation, so signed answers are always fetched whole
+            const cached = this.serviceKey ? null : await this._readCache(this._cacheKey(kind, keys[0]));
+            const headers = cached && cached.etag ? { 'If-None-Match': cached.etag } : {};
+            const response = await fetch(`${this.apiUrl}/${kind}/${keys[0]}${proof ? '?proof=true' : ''}`, { headers });
+            if (response.status === 304 && cached) {
+                return [{ value: cached.value, etag: cached.etag }];
+            }
+            // 410: registered but expired; 423: held by moderation, which is the
+            // service's call (as in batches). Neither resolves.
+            if (kind === 'resolve' && [404, 410, 423].includes(response.status)) {
+                const data = await response.json();
+                if (this.serviceKey) await this._verifyAttestation(kind, [keys[0]], [{ address: null }], data.attestation);
+                if (proof && response.status !== 423) await this._verifyProof(keys[0], data);
+                return [{ value: null }];
+            }
+            if (!response.ok) throw await requestError(response);
+            const data = await response.json();
+            if (this.serviceKey) await this._verifyAttestation(kind, [keys[0]], [data], data.attestation);
+            if (proof) await this._verifyProof(keys[0], data);
+            return [{ value: this._lookupValue(kind, data), etag: response.headers.get('ETag') }];
+        }
+
+        const response = await fetch(`${this.apiUrl}/${kind}/batch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(kind === 'resolve' ? { names: keys, proof } : { addresses: keys })
+        });
+        if (!response.ok) throw await requestError(response);
+
+        const data = await response.json();
+        if (this.serviceKey) await this._verifyAttestation(kind, keys, data.results, data.attestation);
+        if (proof) {
+            // Moderation holds are the service's call; there is nothing to prove
+            await Promise.all(data.results.map((result, i) => result.moderation ? null : this._verifyProof(keys[i], result)));
+        }
+        return data.results.map(result => ({ value: this._lookupValue(kind, result) }));
+    }
+
+    /**
+     * Check a resolve answer against its proof: the snapshot must be signed by
+     * serviceKey and the proof must lead to its root. A resolving name must be
+     * in the snapshot with the same address and not expired; a name that
+     * doesn't resolve must be absent, or present but expired.
+     */
+    async _verifyProof(name, data) {
+        const proof = data.proof;
+        if (!proof || !proof.snapshot) throw new XRSVerificationError(`No proof for ${name}.xrs`);
+        await this._verifySnapshot(proof.snapshot);
+        const { root, size } = proof.snapshot;
+
+        const proves = async leaf => leaf && leaf.entry &&
+            await merkleRoot(leaf.entry, leaf.index, size, leaf.path) === root;
+
+        if (proof.included) {
+            if (!await proves(proof) || proof.entry.name !== name) {
+                throw new XRSVerificationError(`Invalid inclusion proof for ${name}.xrs`);
+            }
+            const expired = proof.entry.expires <= Date.now();
+            const matches = data.address ? !expired && proof.entry.address === data.address : expired;
+            if (!matches) {
+                throw new XRSVerificationError(`${name}.xrs does not match snapshot ${proof.snapshot.sequence}`);
+            }
+            return;
+        }
+
+        if (data.address) {
+            throw new XRSVerificationError(`${name}.xrs is not in snapshot ${proof.snapshot.sequence}`);
+        }
+        const { left, right } = proof;
+        const adjacent =
+            (!left || (await proves(left) && left.entry.name < name)) &&
+            (!right || (await proves(right) && name < right.entry.name)) &&
+            (left ? (right ? right.index === left.index + 1 : left.index === size - 1) : (right ? right.index === 0 : size === 0));
+        if (!adjacent) {
+            throw new XRSVerificationError(`Invalid non-inclusion proof for ${name}.xrs`);
+        }
+    }
+
+    /**
+     * Check the service's signature over the answers in a response. Its lines
+     * are built here from what this client is about to return, so an answer
+     * changed on the way (or one the service didn't sign) is refused.
+     */
+    async _verifyAttestation(kind, keys, results, attestation) {
+        if (!attestation) throw new XRSVerificationError(`Unsigned ${kind} response`);
+
+        const stored = name => name.replace(/\.xrs$/, '');
+        const lines = [];
+        results.forEach((result, i) => {
+            if (kind === 'resolve') {
+                lines.push(`${keys[i]}: ${result.address || '-'}`);
+            } else if (kind === 'reverse' && !result.error) {
+                const names = result.names.map(n => stored(n.name)).join(',') || '-';
+                lines.push(`${keys[i]}: ${result.primary ? stored(result.primary) : '-'} ${names}`);
+            }
+        });
+
+        const message = [
+            `xrs-names ${kind} attestation`,
+            'version: 1',
+            `domain: ${attestation.domain}`,
+            `chain: ${attestation.chain}`,
+            `timestamp: ${attestation.timestamp}`,
+            `expires: ${attestation.expires}`,
+            ...lines
+        ].join('\n');
 
         const now = Date.now();
-        if (now - item.timestamp > this.cacheTTL) {
-            this.cache.delete(key);
+        if (!(attestation.expires > now) || !(attestation.timestamp <= now + MAX_CLOCK_SKEW_MS)) {
+            throw new XRSVerificationError(`Expired ${kind} attestation`);
+        }
+        if (attestation.public_key !== this.serviceKey ||
+            !await this._verifyServiceSignature(message, attestation.signature)) {
+            throw new XRSVerificationError(`Invalid signature on ${kind} response`);
+        }
+    }
+
+    async _verifyServiceSignature(message, signature) {
+        try {
+            const key = await crypto.subtle.importKey('raw', base58Decode(this.serviceKey), { name: 'Ed25519' }, false, ['verify']);
+            return await crypto.subtle.verify('Ed25519', key, base58Decode(signature), new TextEncoder().encode(message));
+        } catch {
+            return false;
+        }
+    }
+
+    async _verifySnapshot(snapshot) {
+        if (snapshot.public_key !== this.serviceKey) {
+            throw new XRSVerificationError(`Snapshot ${snapshot.sequence} is signed by an unknown key`);
+        }
+
+        const message = [
+            'xrs-names registry snapshot',
+            'version: 1',
+            `domain: ${snapshot.domain}`,
+            `chain: ${snapshot.chain}`,
+            `sequence: ${snapshot.sequence}`,
+            `root: ${snapshot.root}`,
+            `size: ${snapshot.size}`,
+            `timestamp: ${Date.parse(snapshot.created)}`
+        ].join('\n');
+        const verified = `${message}\n${snapshot.signature}`;
+        if (this._verifiedSnapshots.has(verified)) return;
+
+        if (!await this._verifyServiceSignature(message, snapshot.signature)) throw new XRSVerificationError(`Invalid signature on snapshot ${snapshot.sequence}`);
+        this._verifiedSnapshots.add(verified);
+    }
+
+    _lookupValue(kind, data) {
+        if (kind === 'resolve') return data.address || null;
+        if (data.error) return null;
+        return {
+            names: data.names.map(n => n.name),
+            primary: data.primary
+        };
+    }
+
+    /**
+     * Cache helpers. Entries are { value, storedAt, expiresAt, etag? }; "not
+     * found" answers are cached too, for negativeCacheTTL. A cache that fails
+     * is logged and treated as empty rather than failing the lookup.
+     */
+    _cacheKey(kind, key) {
+        return kind === 'resolve' ? `name:${key}` : `addr:${key}`;
+    }
+
+    async _readCache(cacheKey) {
+        try {
+            return (await this.cache.get(this._cachePrefix + cacheKey)) || null;
+        } catch (error) {
+            console.error('XRS Names cache error:', error);
             return null;
         }
+    }
+
+    async _saveToCache(cacheKey, value, etag = null) {
+        const previous = await this._readCache(cacheKey);
+        const now = Date.now();
+        const ttl = isFound(value) ? this.cacheTTL : this.negativeCacheTTL;
+        const entry = { value, storedAt: now, expiresAt: now + ttl };
+        if (etag) entry.etag = etag;
+        try {
+            await this.cache.set(this._cachePrefix + cacheKey, entry);
+        } catch (error) {
+            console.error('XRS Names cache error:', error);
+        }
+        if (previous && JSON.stringify(previous.value) !== JSON.stringify(value)) {
+            this._notifyInvalidate(cacheKey);
+        }
+    }
 
-        return item.value;
+    async _cacheKeys() {
+        try {
+            return (await this.cache.keys())
+                .filter(key => key.startsWith(this._cachePrefix))
+                .map(key => key.slice(this._cachePrefix.length));
+        } catch (error) {
+            console.error('XRS Names cache error:', error);
+            return [];
+        }
     }
 
-    _saveToCache(key, value) {
-        this.cache.set(key, {
-            value,
-            timestamp: Date.now()
-        });
+    _notifyInvalidate(cacheKey) {
+        if (!this.onInvalidate) return;
+        const [kind, key] = [cacheKey.slice(0, 5), cacheKey.slice(5)];
+        try {
+            this.onInvalidate(kind === 'name:' ? { name: `${key}.xrs` } : { address: key });
+        } catch (error) {
+            console.error('XRS Names onInvalidate error:', error);
+        }
     }
 
     /**
-     * Clear cache
+     * Clear this client's cached answers
      */
-    clearCache() {
-        this.cache.clear();
+    async clearCache() {
+        await Promise.all((await this._cacheKeys()).map(cacheKey => this.cache.delete(this._cachePrefix + cacheKey)));
     }
 }
 
@@ -205,10 +1128,24 @@ export const resolveToAddress = (input) => xrsNames.resolveToAddress(input);
 export const toDisplayString = (address, full) => xrsNames.toDisplayString(address, full);
 export const checkAvailability = (name) => xrsNames.checkAvailability(name);
 export const isXRSName = (input) => xrsNames.isXRSName(input);
+export const toASCII = (name) => xrsNames.toASCII(name);
+export const toUnicode = (name) => xrsNames.toUnicode(name);
 export const clearCache = () => xrsNames.clearCache();
 
 // Also export the class for advanced usage
-export { XRSNames };
+export {
+    XRSNames,
+    MemoryCache,
+    LocalStorageCache,
+    IndexedDBCache,
+    FileCache,
+    XRSVerificationError,
+    XRSRequestError,
+    XRSValidationError,
+    XRSAuthError,
+    XRSNameTakenError,
+    XRSRateLimitError
+};
 
 // For non-module usage (browser script tag)
 if (typeof window !== 'undefined') {
@@ -220,7 +1157,19 @@ if (typeof window !== 'undefined') {
         toDisplayString,
         checkAvailability,
         isXRSName,
+        toASCII,
+        toUnicode,
         clearCache,
-        XRSNames // Export class
+        XRSNames, // Export class
+        MemoryCache,
+        LocalStorageCache,
+        IndexedDBCache,
+        FileCache,
+        XRSVerificationError,
+        XRSRequestError,
+        XRSValidationError,
+        XRSAuthError,
+        XRSNameTakenError,
+        XRSRateLimitError
     };
 }
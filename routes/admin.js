@@ -0,0 +1,399 @@
+// Admin API: reservations, moderation holds and dispute reassignment, signed
+// by an ADMIN_KEYS key and recorded in the audit log.
+
+const express = require('express');
+const { ConflictError } = require('../store');
+const {
+  isValidXRSName, isSubname, normalizeName, nameSkeleton, isValidXRSAddress, safeJsonParse, historyPage
+} = require('./common');
+const { emptyRecords } = require('./records');
+
+// Moderation holds
+const MODERATION_STATES = ['frozen', 'suspended'];
+
+// /admin/*
+function createAdminRoutes(ctx) {
+  const {
+    store, config, log, TERM_MS, GRACE_PERIOD_MS, RESERVED_NAMES, authorizeAction, withTransaction, recordEvent,
+    releaseNames, cascadeOwnership
+  } = ctx;
+  const router = express.Router();
+
+  // Admin keys are base58 Ed25519 public keys; the admin API is off without them.
+  const ADMIN_KEYS = config.adminKeys;
+
+  // Reservation patterns: * matches any run of characters, ? a single one
+  function isValidReservationPattern(pattern) {
+    if (typeof pattern !== 'string' || pattern.length === 0 || pattern.length > 64) return false;
+    return /[*?]/.test(pattern) ? /^[a-z0-9.*?-]+$/.test(pattern) : isValidXRSName(pattern);
+  }
+
+  /**
+   * Verify an admin action: body.admin must be one of ADMIN_KEYS and sign a v1
+   * message whose fields start with admin. Same result shape as authorizeAction.
+   */
+  async function authorizeAdmin(action, fields, body) {
+    if (ADMIN_KEYS.length === 0) {
+      return { ok: false, status: 503, error: 'Admin API is disabled — set ADMIN_KEYS' };
+    }
+    if (!ADMIN_KEYS.includes(body.admin)) {
+      return { ok: false, status: 403, error: 'admin must be a configured admin key' };
+    }
+    return authorizeAction({
+      action,
+      fields: { admin: body.admin, ...fields },
+      body,
+      signer: body.admin,
+      invalidError: 'Invalid signature — must be signed by the admin key'
+    });
+  }
+
+  async function recordAudit(db, entry) {
+    await db.appendAudit({
+      admin: entry.admin,
+      action: entry.action,
+      target: entry.target,
+      data: entry.data ? JSON.stringify(entry.data) : null,
+      signature: entry.signature || null,
+      created_at: entry.at || Date.now()
+    });
+  }
+
+  // Admin API. Writes are signed by an ADMIN_KEYS key and written to the audit log;
+  // the reserved list and the audit log are public.
+
+  function formatAudit(row) {
+    return {
+      id: row.id,
+      admin: row.admin,
+      action: row.action,
+      target: row.target,
+      data: safeJsonParse(row.data),
+      signature: row.signature,
+      timestamp: new Date(parseInt(row.created_at)).toISOString()
+    };
+  }
+
+  // List reservations: the built-in list plus those added by admins
+  router.get('/admin/reserved', async (req, res) => {
+    try {
+      const reservations = await store.listReservations();
+      res.json({
+        reserved: [
+          ...RESERVED_NAMES.map(pattern => ({ pattern, source: 'config' })),
+          ...reservations.map(r => ({
+            id: r.id,
+            pattern: r.pattern,
+            reason: r.reason,
+            source: 'admin',
+            created_by: r.created_by,
+            created: new Date(parseInt(r.created_at)).toISOString()
+          }))
+        ]
+      });
+    } catch (err) {
+      log.error('DB error on reserved list', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Reserve a name or pattern
+  router.post('/admin/reserved', async (req, res) => {
+    const { admin, reason, signature } = req.body;
+    const rawPattern = typeof req.body.pattern === 'string' ? req.body.pattern.trim().toLowerCase() : '';
+    const pattern = /[*?]/.test(rawPattern) ? rawPattern : normalizeName(rawPattern);
+
+    if (!isValidReservationPattern(pattern)) {
+      return res.status(400).json({
+        error: 'Invalid pattern',
+        rules: 'A name, or up to 64 of a-z 0-9 . - with * (any run) and ? (one character) wildcards'
+      });
+    }
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 256)) {
+      return res.status(400).json({ error: 'reason must be a string of at most 256 characters' });
+    }
+
+    const now = Date.now();
+
+    try {
+      const auth = await authorizeAdmin('admin-reserve', { pattern }, req.body);
+      if (!auth.ok) {
+        return res.status(auth.status).json({ error: auth.error });
+      }
+
+      const row = await withTransaction(async tx => {
+        const reservation = await tx.insertReservation({ pattern, reason: reason || null, created_by: admin, created_at: now });
+        await recordAudit(tx, {
+          admin,
+          action: 'reserve',
+          target: pattern,
+          data: { id: reservation.id, reason: reason || null },
+          signature,
+          at: now
+        });
+        return reservation;
+      });
+
+      res.status(201).json({
+        success: true,
+        id: row.id,
+        pattern,
+        reason: reason || null,
+        created: new Date(now).toISOString()
+      });
+    } catch (err) {
+      if (err instanceof ConflictError) {
+        return res.status(409).json({ error: 'Pattern already reserved', pattern });
+      }
+      log.error('DB error on reserve', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Lift a reservation
+  router.delete('/admin/reserved/:id', async (req, res) => {
+    const id = parseInt(req.params.id);
+    const { admin, signature } = req.body;
+
+    if (!Number.isSafeInteger(id) || id < 1 || String(id) !== req.params.id) {
+      return res.status(400).json({ error: 'Invalid reservation id' });
+    }
+
+    try {
+      const auth = await authorizeAdmin('admin-unreserve', { id }, req.body);
+      if (!auth.ok) {
+        return res.status(auth.status).json({ error: auth.error });
+      }
+
+      const removed = await withTransaction(async tx => {
+        const reservation = await tx.deleteReservation(id);
+        if (!reservation) return null;
+        await recordAudit(tx, {
+          admin,
+          action: 'unreserve',
+          target: reservation.pattern,
+          data: { id },
+          signature
+        });
+        return reservation;
+      });
+
+      if (!removed) {
+        return res.status(404).json({ error: 'Reservation not found' });
+      }
+
+      res.json({ success: true, id, pattern: removed.pattern });
+    } catch (err) {
+      log.error('DB error on unreserve', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Freeze, suspend or release a name. The hold covers its subnames too.
+  router.put('/admin/names/:name/moderation', async (req, res) => {
+    const name = normalizeName(req.params.name);
+    const { admin, status, reason, signature } = req.body;
+
+    if (!isValidXRSName(name)) {
+      return res.status(400).json({ error: 'Invalid name format' });
+    }
+
+    if (status !== 'active' && !MODERATION_STATES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of active, ${MODERATION_STATES.join(', ')}` });
+    }
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 256)) {
+      return res.status(400).json({ error: 'reason must be a string of at most 256 characters' });
+    }
+
+    const now = Date.now();
+    const moderation = status === 'active' ? null : status;
+
+    try {
+      const auth = await authorizeAdmin('admin-moderate', { name, status }, req.body);
+      if (!auth.ok) {
+        return res.status(auth.status).json({ error: auth.error });
+      }
+
+      const affected = await withTransaction(async tx => {
+        const rows = await tx.updateSubtree(name, {
+          moderation,
+          moderation_reason: moderation ? reason || null : null,
+          updated_at: new Date(now)
+        });
+        if (rows.length === 0) return null;
+
+        for (const row of rows) {
+          await recordEvent(tx, {
+            name: row.name,
+            type: 'moderation',
+            address: row.address,
+            owner: row.owner,
+            data: { status, reason: reason || null, ...(row.name !== name && { cascaded_from: name }) },
+            signature: row.name === name ? signature : null,
+            at: now
+          });
+        }
+        await recordAudit(tx, {
+          admin,
+          action: 'moderate',
+          target: name,
+          data: { status, reason: reason || null, names: rows.map(r => r.name) },
+          signature,
+          at: now
+        });
+        return rows;
+      });
+
+      if (!affected) {
+        return res.status(404).json({ error: 'Name not found' });
+      }
+
+      res.json({
+        success: true,
+        name: `${name}.xrs`,
+        status,
+        reason: moderation ? reason || null : null,
+        affected: affected.map(r => `${r.name}.xrs`).sort(),
+        updated: new Date(now).toISOString()
+      });
+    } catch (err) {
+      log.error('DB error on moderation', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Hand a disputed name to a new owner. Unregistered names (reserved ones
+  // included) are registered to them for one term.
+  router.put('/admin/names/:name/reassign', async (req, res) => {
+    const name = normalizeName(req.params.name);
+    const { admin, owner, address, reason, signature } = req.body;
+
+    if (!isValidXRSName(name)) {
+      return res.status(400).json({ error: 'Invalid name format' });
+    }
+
+    if (!isValidXRSAddress(owner)) {
+      return res.status(400).json({ error: 'Invalid owner format' });
+    }
+
+    if (!isValidXRSAddress(address)) {
+      return res.status(400).json({ error: 'Invalid address format' });
+    }
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 256)) {
+      return res.status(400).json({ error: 'reason must be a string of at most 256 characters' });
+    }
+
+    const now = Date.now();
+
+    try {
+      const auth = await authorizeAdmin('admin-reassign', { name, owner, address }, req.body);
+      if (!auth.ok) {
+        return res.status(auth.status).json({ error: auth.error });
+      }
+
+      const outcome = await withTransaction(async tx => {
+        await releaseNames(tx, { subtreeOf: name, expiresBy: now - GRACE_PERIOD_MS }, 'expired');
+
+        const previous = await tx.getName(name);
+        let expiresAt;
+        if (previous) {
+          expiresAt = parseInt(previous.expires_at);
+          await tx.updateName(name, { owner, address, pending_owner: null, updated_at: new Date(now) });
+          await recordEvent(tx, {
+            name,
+            type: 'reassign',
+            address,
+            previousAddress: previous.address,
+            owner,
+            previousOwner: previous.owner,
+            data: { reason: reason || null },
+            signature,
+            at: now
+          });
+          if (previous.owner !== owner) {
+            await cascadeOwnership(tx, name, previous.owner, owner);
+          }
+        } else {
+          if (isSubname(name)) return { error: 'Name not found' };
+          expiresAt = now + TERM_MS;
+          await tx.insertName({
+            name,
+            address,
+            owner,
+            registered_at: new Date(now),
+            updated_at: new Date(now),
+            expires_at: expiresAt,
+            records: JSON.stringify(emptyRecords()),
+            skeleton: nameSkeleton(name)
+          });
+          await recordEvent(tx, {
+            name,
+            type: 'register',
+            address,
+            owner,
+            data: { years: 1, reassigned: true, reason: reason || null },
+            signature,
+            at: now
+          });
+        }
+
+        await recordAudit(tx, {
+          admin,
+          action: 'reassign',
+          target: name,
+          data: {
+            owner,
+            address,
+            previous_owner: previous ? previous.owner : null,
+            previous_address: previous ? previous.address : null,
+            reason: reason || null
+          },
+          signature,
+          at: now
+        });
+        return { created: !previous, expiresAt };
+      });
+
+      if (outcome.error) {
+        return res.status(404).json({ error: outcome.error });
+      }
+
+      res.status(outcome.created ? 201 : 200).json({
+        success: true,
+        name: `${name}.xrs`,
+        owner,
+        address,
+        created: outcome.created,
+        expires: new Date(outcome.expiresAt).toISOString(),
+        updated: new Date(now).toISOString()
+      });
+    } catch (err) {
+      log.error('DB error on reassign', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Admin audit log, newest first (?limit=&before=<id>)
+  router.get('/admin/audit', async (req, res) => {
+    const { limit, before } = historyPage(req);
+
+    try {
+      const rows = await store.auditLog({ before, limit: limit + 1 });
+      const entries = rows.slice(0, limit).map(formatAudit);
+      res.json({
+        entries,
+        next_cursor: rows.length > limit ? entries[entries.length - 1].id : null
+      });
+    } catch (err) {
+      log.error('DB error on audit log', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRoutes };
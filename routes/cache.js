@@ -0,0 +1,98 @@
+// HTTP caching for lookups. 200 responses carry a weak ETag over their
+// content (attestations differ on every response and are left out), and
+// a matching If-None-Match / If-Modified-Since gets 304. With
+// RESPONSE_CACHE_MS, answers are also kept in process until anything
+// changes through this instance; a change through another instance shows
+// up within RESPONSE_CACHE_MS.
+
+const crypto = require('crypto');
+
+const CACHEABLE_STATUSES = new Set([200, 404, 410, 423]);
+const MAX_CACHED_RESPONSES = 10000;
+
+function contentTag(body) {
+  const { attestation, ...content } = body;
+  return `W/"${crypto.createHash('sha256').update(JSON.stringify(content)).digest('base64url').slice(0, 27)}"`;
+}
+
+// Whether the client's copy is current. Checked here rather than with
+// req.fresh, which ignores validators on requests sent with
+// Cache-Control: no-cache, as fetch() sends every conditional request.
+// If-None-Match, when sent, decides alone: the ETag changes with every
+// change, where If-Modified-Since only has one-second precision.
+function clientIsCurrent(req, res) {
+  const etag = res.get('ETag');
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    const opaque = tag => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => opaque(tag) === opaque(etag));
+  }
+  const ifModifiedSince = Date.parse(req.get('If-Modified-Since'));
+  const lastModified = Date.parse(res.get('Last-Modified'));
+  return ifModifiedSince >= lastModified;
+}
+
+/**
+ * Returns httpCache(policy), the middleware for one router. Every event on
+ * registryEvents clears its in-process answers.
+ */
+function createHttpCache({ registryEvents, HTTP_CACHE_MAX_AGE, RESPONSE_CACHE_MS, ATTESTATION_TTL_MS }) {
+  const responseCache = new Map(); // originalUrl -> { status, body, headers, expiresAt }
+  let cacheGeneration = 0;
+  registryEvents.on('event', () => {
+    responseCache.clear();
+    cacheGeneration++;
+  });
+
+  // Middleware for a cacheable GET route; policy names its HTTP_CACHE_MAX_AGE
+  function httpCache(policy) {
+    return (req, res, next) => {
+      const json = res.json.bind(res);
+      const reply = (status, body) => {
+        if (status === 200 && clientIsCurrent(req, res)) return res.status(304).end();
+        res.status(status);
+        return json(body);
+      };
+
+      const hit = responseCache.get(req.originalUrl);
+      if (hit && hit.expiresAt > Date.now()) {
+        res.set(hit.headers);
+        return reply(hit.status, hit.body);
+      }
+      responseCache.delete(req.originalUrl);
+
+      const generation = cacheGeneration;
+      res.json = body => {
+        const status = res.statusCode;
+        if (!CACHEABLE_STATUSES.has(status)) return json(body);
+
+        res.set('Cache-Control', `public, max-age=${status === 200 ? HTTP_CACHE_MAX_AGE[policy] : HTTP_CACHE_MAX_AGE.notFound}`);
+        if (status === 200) res.set('ETag', contentTag(body));
+
+        // Skip answers read before a change that has since cleared the cache
+        if (RESPONSE_CACHE_MS > 0 && generation === cacheGeneration) {
+          // A served attestation keeps at least half its lifetime
+          const signed = body.attestation;
+          const expiresAt = Math.min(
+            Date.now() + RESPONSE_CACHE_MS,
+            signed ? Math.min(signed.expires, signed.timestamp + ATTESTATION_TTL_MS / 2) : Infinity
+          );
+          if (responseCache.size >= MAX_CACHED_RESPONSES) {
+            responseCache.delete(responseCache.keys().next().value);
+          }
+          const headers = {};
+          for (const header of ['Cache-Control', 'ETag', 'Last-Modified']) {
+            if (res.get(header)) headers[header] = res.get(header);
+          }
+          responseCache.set(req.originalUrl, { status, body, headers, expiresAt });
+        }
+        return reply(status, body);
+      };
+      next();
+    };
+  }
+
+  return httpCache;
+}
+
+module.exports = { createHttpCache };
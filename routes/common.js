@@ -0,0 +1,142 @@
+// Constants and pure helpers shared by the route modules: name and address
+// validation, signed-message limits, canonical JSON and signature checks.
+
+const nacl = require('tweetnacl');
+const bs58 = require('bs58');
+const nameRules = require('../public/xrs-name-rules');
+
+// Signed message scheme (v1): domain-separated, single-use nonce, expiry
+const SIGNING_VERSION = 1;
+const NONCE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_SIGNATURE_LIFETIME_MS = 60 * 60 * 1000; // 1 hour
+// Name lifecycle: registrations last a term, then a grace period during
+// which only the owner can renew, then the sweeper releases the name
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TERMS = 5; // a name can be paid up at most 5 terms ahead
+
+// Batch lookups (POST /api/resolve/batch, /api/reverse/batch)
+const MAX_BATCH_SIZE = 300;
+
+// Validation helpers. Name rules live in public/xrs-name-rules.js so the
+// client library validates exactly like the server.
+const MAX_NAME_DEPTH = nameRules.MAX_NAME_DEPTH;
+
+// Accepts stored names only: "alice", "pay.alice", "xn--lice-poa" (without .xrs)
+function isValidXRSName(name) {
+  if (typeof name !== 'string') return false;
+  return nameRules.toASCII(name) === name;
+}
+
+function isSubname(name) {
+  return name.includes('.');
+}
+
+// "pay.alice" -> "alice"
+function parentName(name) {
+  return name.slice(name.indexOf('.') + 1);
+}
+
+// Map to the stored form: UTS-46 style folding, punycode for Unicode labels,
+// trailing .xrs stripped. Invalid input comes back lowercased so
+// isValidXRSName rejects it.
+function normalizeName(input) {
+  return nameRules.toASCII(String(input)) || String(input).toLowerCase().replace(/\.xrs$/, '');
+}
+
+// A search query in stored form, label by label: a label that is a valid
+// name label becomes its stored form (so Unicode and emoji match their
+// punycode), a partial ASCII label keeps its name characters. Returns
+// { term } or { error } for a Unicode label no name could contain.
+function searchTerm(query) {
+  const labels = query.replace(/[。．｡]/g, '.').replace(/\.xrs$/i, '').split('.').map(label => {
+    const prepared = nameRules.prepareLabel(label);
+    if (!prepared.error) return prepared;
+    const mapped = label.normalize('NFKC').toLowerCase();
+    if (/^[\x00-\x7f]*$/.test(mapped)) return { ascii: mapped.replace(/[^a-z0-9-]/g, '') };
+    // A fragment may cut a Unicode label at a hyphen
+    const trimmed = nameRules.prepareLabel(label.replace(/^-+|-+$/g, ''));
+    return trimmed.error ? { error: prepared.error } : trimmed;
+  });
+  const failed = labels.find(label => label.error);
+  return failed ? { error: failed.error } : { term: labels.map(label => label.ascii).join('.') };
+}
+
+// Why a name was rejected, for 400 responses
+function nameError(input) {
+  return nameRules.prepareName(String(input)).error || null;
+}
+
+// "xn--lice-poa" -> "ålice.xrs"
+function displayName(name) {
+  return `${nameRules.toUnicode(name)}.xrs`;
+}
+
+function nameSkeleton(name) {
+  return nameRules.skeleton(nameRules.toUnicode(name));
+}
+
+// A Unicode name must not look like another registered name. ASCII names
+// can't collide: a label whose skeleton is plain ASCII is rejected outright.
+async function findConfusable(db, name) {
+  if (!name.split('.').some(label => label.startsWith('xn--'))) return null;
+  const match = await db.findBySkeleton(nameSkeleton(name), name);
+  return match ? match.name : null;
+}
+
+// A query-string time: ISO date or Unix ms. Returns a Date, or null if invalid.
+function parseTime(value) {
+  if (typeof value !== 'string') return null;
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function isValidXRSAddress(address) {
+  if (typeof address !== 'string') return false;
+  return address.length >= 32 && address.length <= 64 && /^[a-zA-Z0-9]+$/.test(address);
+}
+
+function safeJsonParse(str) {
+  if (!str) return null;
+  try {
+    return JSON.parse(str);
+  } catch {
+    return null;
+  }
+}
+
+// JSON with object keys sorted at every level, so clients can hash it reproducibly
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Ed25519 signature verification
+function verifySignature(message, signature, address) {
+  try {
+    const publicKeyBytes = bs58.decode(address);
+    if (publicKeyBytes.length !== 32) return false;
+    const signatureBytes = bs58.decode(signature);
+    if (signatureBytes.length !== 64) return false;
+    const messageBytes = new TextEncoder().encode(message);
+    return nacl.sign.detached.verify(messageBytes, signatureBytes, publicKeyBytes);
+  } catch {
+    return false;
+  }
+}
+
+// Keyset pagination for history and the audit log: ?limit=&before=<id>, newest first
+function historyPage(req) {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const before = parseInt(req.query.before);
+  return { limit, before: Number.isSafeInteger(before) && before > 0 ? before : null };
+}
+
+module.exports = {
+  SIGNING_VERSION, NONCE_TTL_MS, MAX_SIGNATURE_LIFETIME_MS, DAY_MS, MAX_TERMS, MAX_BATCH_SIZE,
+  MAX_NAME_DEPTH, isValidXRSName, isSubname, parentName, normalizeName, searchTerm, nameError, displayName,
+  nameSkeleton, findConfusable, parseTime, isValidXRSAddress, safeJsonParse, canonicalJson, verifySignature,
+  historyPage
+};
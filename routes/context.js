@@ -0,0 +1,380 @@
+// State and helpers that every area of the API shares (see index.js):
+// settings derived from config, the registry event bus, signed-action
+// checks, transactions and the change log, the name lifecycle,
+// reservations, moderation holds and service-signed attestations.
+// createContext returns them all on one object; each route module takes
+// what it uses.
+
+const { EventEmitter } = require('events');
+const nacl = require('tweetnacl');
+const bs58 = require('bs58');
+const registryStats = require('../stats');
+const {
+  SIGNING_VERSION, MAX_SIGNATURE_LIFETIME_MS, DAY_MS, isSubname, parentName, nameSkeleton, safeJsonParse,
+  verifySignature
+} = require('./common');
+const { parseRecords } = require('./records');
+const { createHttpCache } = require('./cache');
+const { createSnapshots } = require('./snapshots');
+
+// Service signing key from a base58 Ed25519 secret key (64 bytes) or seed (32 bytes)
+function serviceKeyPair(secret) {
+  const bytes = bs58.decode(secret);
+  if (bytes.length === 64) return nacl.sign.keyPair.fromSecretKey(bytes);
+  if (bytes.length === 32) return nacl.sign.keyPair.fromSeed(bytes);
+  throw new Error('SERVICE_SECRET_KEY must be a base58 Ed25519 secret key (64 bytes) or seed (32 bytes)');
+}
+
+function createContext({ store, config, metrics, log }) {
+  const SIGNING_DOMAIN = config.signingDomain;
+  const SIGNING_CHAIN = config.signingChain;
+  const TERM_MS = config.registrationTermDays * DAY_MS;
+  const GRACE_PERIOD_MS = config.gracePeriodDays * DAY_MS;
+  // Legacy "xrs-names:<action>:..." signatures are accepted until this date
+  const LEGACY_SIGNATURES_UNTIL = new Date(config.legacySignaturesUntil);
+  // RESERVED_NAMES is a built-in list (exact names or * / ? patterns) on top of
+  // the reservations admins add at runtime.
+  const RESERVED_NAMES = config.reservedNames;
+  // Commit-reveal registration. A commitment can be revealed between the
+  // minimum delay and the maximum age; older ones are purged.
+  const COMMIT_MIN_DELAY_MS = config.commitMinDelaySeconds * 1000;
+  const COMMIT_MAX_AGE_MS = config.commitMaxAgeHours * 60 * 60 * 1000;
+  // Signs registry snapshots and lookup attestations; verifying clients pin the public key
+  const SERVICE_KEY = config.serviceSecretKey ? serviceKeyPair(config.serviceSecretKey) : nacl.sign.keyPair();
+  const SERVICE_PUBLIC_KEY = bs58.encode(SERVICE_KEY.publicKey);
+  const SNAPSHOT_INTERVAL_MS = config.snapshotIntervalSeconds * 1000;
+  const SNAPSHOT_RETENTION_MS = config.snapshotRetentionDays * DAY_MS;
+  const ATTESTATION_TTL_MS = config.attestationTtlSeconds * 1000;
+  const HTTP_CACHE_MAX_AGE = config.httpCacheMaxAge;
+  const RESPONSE_CACHE_MS = config.responseCacheSeconds * 1000;
+
+  const registryEvents = new EventEmitter();
+  registryEvents.setMaxListeners(0);
+  const eventStreams = new Set(); // open /events responses
+
+  const signatureFailures = metrics.counter('xrs_signature_failures_total',
+    'Signed actions rejected, by action and reason', ['action', 'reason']);
+
+  // When a name's answer last changed: its last write, or the moment it
+  // expired or left its grace period, which change the answer without one
+  function lastChange(row, now = Date.now()) {
+    const expires = parseInt(row.expires_at);
+    const changes = [new Date(row.updated_at || row.registered_at).getTime()];
+    if (now >= expires) changes.push(expires);
+    if (now >= expires + GRACE_PERIOD_MS) changes.push(expires + GRACE_PERIOD_MS);
+    return Math.max(...changes);
+  }
+
+  // 'active' resolves normally, 'grace' only the owner can renew,
+  // 'expired' is past grace and waiting for the sweeper to release it
+  function nameStatus(expiresAt, now = Date.now()) {
+    const expires = parseInt(expiresAt);
+    if (now < expires) return 'active';
+    if (now < expires + GRACE_PERIOD_MS) return 'grace';
+    return 'expired';
+  }
+
+  function expiryInfo(expiresAt, now = Date.now()) {
+    const expires = parseInt(expiresAt);
+    return {
+      status: nameStatus(expires, now),
+      expires: new Date(expires).toISOString(),
+      grace_ends: new Date(expires + GRACE_PERIOD_MS).toISOString()
+    };
+  }
+
+  // Canonical v1 message. Field order is fixed per action by the caller.
+  function buildSignedMessage(action, fields, nonce, expires) {
+    const lines = [
+      'xrs-names signed message',
+      `version: ${SIGNING_VERSION}`,
+      `domain: ${SIGNING_DOMAIN}`,
+      `chain: ${SIGNING_CHAIN}`,
+      `action: ${action}`
+    ];
+    for (const [key, value] of Object.entries(fields)) {
+      lines.push(`${key}: ${value}`);
+    }
+    lines.push(`nonce: ${nonce}`);
+    lines.push(`expires: ${expires}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Verify an owner action signed by `signer` (a key, or an array of keys any of which may sign).
+   * Accepts a v1 message (body carries signature, nonce, expires) or, until
+   * LEGACY_SIGNATURES_UNTIL, the legacy string format (no nonce in body).
+   * Actions without a legacy format pass no legacyMessage and require a nonce.
+   * Resolves to { ok: true, legacy } or { ok: false, status, error }; failures
+   * are counted in xrs_signature_failures_total.
+   */
+  async function authorizeAction({ action, fields, legacyMessage, body, signer, invalidError = 'Invalid signature' }) {
+    const { signature, nonce, expires } = body;
+    const signers = [].concat(signer);
+    const fail = (reason, status, error) => {
+      signatureFailures.inc({ action, reason });
+      return { ok: false, status, error };
+    };
+
+    if (!signature || typeof signature !== 'string') {
+      return fail('missing', 401, 'Signature required');
+    }
+
+    if (nonce === undefined || nonce === null) {
+      if (!legacyMessage) {
+        return fail('missing', 400, 'nonce and expires are required — see POST /api/nonce');
+      }
+      if (Date.now() >= LEGACY_SIGNATURES_UNTIL.getTime()) {
+        return fail('legacy_expired', 401,
+          'Legacy signature format is no longer accepted — sign a v1 message using a nonce from POST /api/nonce');
+      }
+      if (!signers.some(key => verifySignature(legacyMessage, signature, key))) {
+        return fail('invalid', 401, invalidError);
+      }
+      return { ok: true, legacy: true };
+    }
+
+    if (typeof nonce !== 'string' || !/^[0-9a-f]{32}$/.test(nonce)) {
+      return fail('malformed', 400, 'Invalid nonce format');
+    }
+
+    const expiresAt = Number(expires);
+    if (!Number.isSafeInteger(expiresAt)) {
+      return fail('malformed', 400, 'expires must be a Unix timestamp in milliseconds');
+    }
+
+    const now = Date.now();
+    if (expiresAt <= now) {
+      return fail('expired', 401, 'Signed message has expired');
+    }
+    if (expiresAt > now + MAX_SIGNATURE_LIFETIME_MS) {
+      return fail('malformed', 400, 'expires is too far in the future (max 1 hour)');
+    }
+
+    const message = buildSignedMessage(action, fields, nonce, expiresAt);
+    if (!signers.some(key => verifySignature(message, signature, key))) {
+      return fail('invalid', 401, invalidError);
+    }
+
+    // Only burn the nonce once the signature checks out
+    if (!(await store.consumeNonce(nonce, Date.now()))) {
+      return fail('nonce', 401, 'Nonce is unknown, expired or already used');
+    }
+
+    return { ok: true, legacy: false };
+  }
+
+  // Flag responses that were authorised with a legacy signature
+  function markLegacySignature(res) {
+    res.set('Deprecation', 'true');
+    res.set('Sunset', LEGACY_SIGNATURES_UNTIL.toUTCString());
+  }
+
+  // Run fn(tx) inside a store transaction so a change and its event commit together.
+  // Events recorded in the transaction are published only after it commits.
+  async function withTransaction(fn) {
+    const committedEvents = [];
+    const result = await store.transaction(tx => fn(Object.assign(tx, { afterCommit: committedEvents })));
+    committedEvents.forEach(publishEvent);
+    return result;
+  }
+
+  // Append a row to the name_events log
+  async function recordEvent(db, event) {
+    const row = await db.appendEvent({
+      name: event.name,
+      event_type: event.type,
+      address: event.address || null,
+      previous_address: event.previousAddress || null,
+      owner: event.owner || null,
+      previous_owner: event.previousOwner || null,
+      data: event.data ? JSON.stringify(event.data) : null,
+      signature: event.signature || null,
+      created_at: event.at || Date.now()
+    });
+
+    // Keep the statistics rollups current, in the same transaction
+    const at = parseInt(row.created_at);
+    await db.addActivity(new Date(registryStats.bucketStart(at, 'hour')), registryStats.activityCounts(row));
+    if (row.event_type === 'register' || row.event_type === 'release') {
+      await db.adjustNameStats(registryStats.distributionBuckets(row.name), row.event_type === 'register' ? 1 : -1);
+    }
+
+    const formatted = formatEvent(row);
+    if (db.afterCommit) {
+      db.afterCommit.push(formatted);
+    } else {
+      publishEvent(formatted);
+    }
+  }
+
+  // Announce a committed event. SSE streams and webhook delivery (events.js),
+  // the response cache and snapshots all listen on registryEvents.
+  function publishEvent(event) {
+    registryEvents.emit('event', event);
+  }
+
+  // Delete names ({ subtreeOf?, expiresBy? }, see deleteNames in store/) and
+  // log a release event for each one
+  async function releaseNames(db, filter, reason, signature = null) {
+    const released = await db.deleteNames(filter);
+    for (const row of released) {
+      await recordEvent(db, {
+        name: row.name,
+        type: 'release',
+        previousAddress: row.address,
+        previousOwner: row.owner,
+        data: { reason },
+        signature
+      });
+    }
+    return released;
+  }
+
+  function formatEvent(row) {
+    return {
+      id: row.id,
+      type: row.event_type,
+      name: `${row.name}.xrs`,
+      address: row.address,
+      previous_address: row.previous_address,
+      owner: row.owner,
+      previous_owner: row.previous_owner,
+      data: safeJsonParse(row.data),
+      signature: row.signature,
+      timestamp: new Date(parseInt(row.created_at)).toISOString()
+    };
+  }
+
+  // Keys allowed to manage a name: its owner and, for subnames, the parent's owner
+  async function managersOf(name, owner) {
+    if (!isSubname(name)) return [owner];
+    const parent = await store.getName(parentName(name));
+    return parent ? [owner, parent.owner] : [owner];
+  }
+
+  // When a name changes hands, subnames still held by the previous owner move with it.
+  // Subnames owned by anyone else keep their owner.
+  async function cascadeOwnership(db, name, previousOwner, newOwner) {
+    const moved = await db.updateSubtree(
+      name,
+      { owner: newOwner, pending_owner: null },
+      { descendantsOnly: true, expected: { owner: previousOwner } }
+    );
+    for (const row of moved) {
+      await recordEvent(db, {
+        name: row.name,
+        type: 'transfer',
+        address: row.address,
+        owner: newOwner,
+        previousOwner,
+        data: { cascaded_from: name }
+      });
+    }
+  }
+
+  // Whether name matches a reservation: exactly, or by * and ? wildcards
+  function reservationMatches(pattern, name) {
+    if (!/[*?]/.test(pattern)) return pattern === name;
+    const regex = pattern.replace(/[.-]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${regex}$`).test(name);
+  }
+
+  // The reservation blocking a name, if any. Names are matched in stored form
+  // and by confusable skeleton, so a reservation also covers lookalikes.
+  async function findReservation(name) {
+    return matchReservation(await reservationEntries(), name);
+  }
+
+  // Built-in and admin reservations, for checking several names at once
+  async function reservationEntries() {
+    return [
+      ...RESERVED_NAMES.map(pattern => ({ pattern, reason: 'Reserved by the registry' })),
+      ...await store.listReservations()
+    ];
+  }
+
+  function matchReservation(entries, name) {
+    const skeleton = nameSkeleton(name);
+    return entries.find(e => reservationMatches(e.pattern, name) || reservationMatches(e.pattern, skeleton)) || null;
+  }
+
+  // 423 body for a frozen or suspended name, or null
+  function moderationError(row) {
+    if (!row.moderation) return null;
+    return {
+      error: `Name is ${row.moderation}`,
+      moderation: row.moderation,
+      reason: row.moderation_reason
+    };
+  }
+
+  // Detached signature by the service key, base58
+  function serviceSignature(message) {
+    return bs58.encode(nacl.sign.detached(new TextEncoder().encode(message), SERVICE_KEY.secretKey));
+  }
+
+  /**
+   * Signed attestation over the answers in a lookup response, one line per
+   * answer: "<name>: <address|->" for resolve ("-" when the name doesn't
+   * resolve), "<address>: <primary|-> <names|->" for reverse (stored names, comma-separated). Valid for ATTESTATION_TTL_MS,
+   * or until validUntil if that comes first.
+   */
+  function attestation(kind, lines, validUntil = Infinity) {
+    const timestamp = Date.now();
+    const expires = Math.min(timestamp + ATTESTATION_TTL_MS, validUntil);
+    const message = [
+      `xrs-names ${kind} attestation`,
+      `version: ${SIGNING_VERSION}`,
+      `domain: ${SIGNING_DOMAIN}`,
+      `chain: ${SIGNING_CHAIN}`,
+      `timestamp: ${timestamp}`,
+      `expires: ${expires}`,
+      ...lines
+    ].join('\n');
+    return {
+      timestamp,
+      expires,
+      domain: SIGNING_DOMAIN,
+      chain: SIGNING_CHAIN,
+      public_key: SERVICE_PUBLIC_KEY,
+      signature: serviceSignature(message)
+    };
+  }
+
+  /**
+   * Forward resolution as /resolve and the DNS gateway see it. Resolves to
+   * { row, records, expiry, held } (held is the moderation error or null),
+   * or null for a name that doesn't exist or is past its grace period.
+   */
+  async function lookupName(name, now = Date.now()) {
+    const row = await store.getName(name);
+    if (!row || nameStatus(row.expires_at, now) === 'expired') return null;
+    return {
+      row,
+      records: parseRecords(row.records, row.metadata),
+      expiry: expiryInfo(row.expires_at, now),
+      held: moderationError(row)
+    };
+  }
+
+  const settings = {
+    SIGNING_DOMAIN, SIGNING_CHAIN, TERM_MS, GRACE_PERIOD_MS, LEGACY_SIGNATURES_UNTIL, RESERVED_NAMES,
+    COMMIT_MIN_DELAY_MS, COMMIT_MAX_AGE_MS, SERVICE_PUBLIC_KEY, SNAPSHOT_INTERVAL_MS, SNAPSHOT_RETENTION_MS,
+    ATTESTATION_TTL_MS, HTTP_CACHE_MAX_AGE, RESPONSE_CACHE_MS
+  };
+  const shared = {
+    store, config, metrics, log, ...settings, registryEvents, eventStreams,
+    lastChange, nameStatus, expiryInfo, authorizeAction, markLegacySignature,
+    withTransaction, recordEvent, releaseNames, formatEvent, managersOf, cascadeOwnership,
+    findReservation, reservationEntries, matchReservation, moderationError,
+    serviceSignature, attestation, lookupName
+  };
+  return {
+    ...shared,
+    httpCache: createHttpCache(shared),
+    ...createSnapshots(shared)
+  };
+}
+
+module.exports = { createContext };
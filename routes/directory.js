@@ -0,0 +1,263 @@
+// Browsing the registry: search, recent registrations, the paginated
+// directory and full exports.
+
+const express = require('express');
+const { searchTerm, displayName, parseTime } = require('./common');
+const { parseRecords } = require('./records');
+
+// Directory sort keys, and the export's formats, batch size and CSV columns
+const DIRECTORY_SORTS = ['name', 'registered', 'updated'];
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const EXPORT_BATCH_SIZE = 500;
+const EXPORT_COLUMNS = ['name', 'unicode', 'address', 'owner', 'parent', 'registered', 'updated', 'expires', 'records'];
+
+// /search, /recent, /directory and /export
+function createDirectoryRoutes(ctx) {
+  const { store, log, httpCache, exportLimiter } = ctx;
+  const router = express.Router();
+
+  // Search names
+  router.get('/search', async (req, res) => {
+    const query = req.query.q;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (!query || typeof query !== 'string' || query.length < 2 || query.length > 132) {
+      return res.status(400).json({ error: 'Query must be 2-132 characters' });
+    }
+
+    const { term: cleanQuery, error: queryError } = searchTerm(query);
+    if (queryError) {
+      return res.status(400).json({ error: 'Query cannot match any name', reason: queryError });
+    }
+    if (cleanQuery.length < 2) {
+      return res.status(400).json({ error: 'Query too short after sanitization' });
+    }
+
+    // How a result matched, best first
+    const matchKind = name => (name === cleanQuery ? 'exact'
+      : name.startsWith(cleanQuery) ? 'prefix'
+        : name.includes(cleanQuery) ? 'substring'
+          : 'similar');
+
+    try {
+      const matches = await store.searchNames(cleanQuery, limit);
+
+      res.json({
+        query: cleanQuery,
+        results: matches.map(r => ({
+          name: `${r.name}.xrs`,
+          unicode: displayName(r.name),
+          address: r.address,
+          registered: new Date(r.registered_at).toISOString(),
+          match: matchKind(r.name),
+          similarity: Math.round(Number(r.similarity) * 1000) / 1000
+        }))
+      });
+    } catch (err) {
+      log.error('DB error on search', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Get recent registrations
+  router.get('/recent', async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    try {
+      const recent = await store.recentNames(limit);
+
+      res.json({
+        recent: recent.map(r => ({
+          name: `${r.name}.xrs`,
+          unicode: displayName(r.name),
+          address: r.address,
+          registered: new Date(r.registered_at).toISOString()
+        }))
+      });
+    } catch (err) {
+      log.error('DB error on recent', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Directory and export: sort, order and filters from the query string
+  function directoryQuery(query) {
+    const sort = query.sort || 'name';
+    if (!DIRECTORY_SORTS.includes(sort)) {
+      return { error: `sort must be one of ${DIRECTORY_SORTS.join(', ')}` };
+    }
+    const order = query.order || 'asc';
+    if (order !== 'asc' && order !== 'desc') {
+      return { error: 'order must be asc or desc' };
+    }
+
+    const filters = {};
+    for (const [param, key] of [['min_length', 'minLength'], ['max_length', 'maxLength']]) {
+      if (query[param] === undefined) continue;
+      const length = Number(query[param]);
+      if (!Number.isInteger(length) || length < 1) {
+        return { error: `${param} must be a positive integer` };
+      }
+      filters[key] = length;
+    }
+    if (query.registered_after !== undefined) {
+      const after = parseTime(query.registered_after);
+      if (!after) {
+        return { error: 'registered_after must be an ISO date or a Unix timestamp in ms' };
+      }
+      filters.registeredAfter = after;
+    }
+    if (query.has_metadata !== undefined) {
+      if (query.has_metadata !== 'true' && query.has_metadata !== 'false') {
+        return { error: 'has_metadata must be true or false' };
+      }
+      filters.hasMetadata = query.has_metadata === 'true';
+    }
+    return { sort, order, filters };
+  }
+
+  // A row's position in the sort order: what listNames continues after
+  function listingKey(row, sort) {
+    if (sort === 'name') return { value: row.name };
+    return { value: new Date(sort === 'updated' ? row.updated_at : row.registered_at), id: row.id };
+  }
+
+  // The key a page ends on, as the opaque cursor the next request passes back
+  function directoryCursor(row, sort) {
+    const { value, id } = listingKey(row, sort);
+    const key = sort === 'name' ? [value] : [value.toISOString(), id];
+    return Buffer.from(JSON.stringify(key)).toString('base64url');
+  }
+
+  function parseDirectoryCursor(cursor, sort) {
+    try {
+      const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      if (sort === 'name') {
+        return typeof value === 'string' && id === undefined ? { value } : null;
+      }
+      const date = new Date(value);
+      return typeof value === 'string' && !isNaN(date.getTime()) && Number.isSafeInteger(id) ? { value: date, id } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function directoryEntry(row) {
+    return {
+      name: `${row.name}.xrs`,
+      unicode: displayName(row.name),
+      address: row.address,
+      owner: row.owner,
+      parent: row.parent ? `${row.parent}.xrs` : null,
+      registered: new Date(row.registered_at).toISOString(),
+      updated: new Date(row.updated_at || row.registered_at).toISOString(),
+      expires: new Date(parseInt(row.expires_at)).toISOString()
+    };
+  }
+
+  // Directory - every registered name, a page at a time (keyset pagination)
+  router.get('/directory', httpCache('directory'), async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const listing = directoryQuery(req.query);
+    if (listing.error) {
+      return res.status(400).json({ error: listing.error });
+    }
+    const { sort, order, filters } = listing;
+
+    let after = null;
+    if (req.query.cursor !== undefined) {
+      after = typeof req.query.cursor === 'string' ? parseDirectoryCursor(req.query.cursor, sort) : null;
+      if (!after) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    try {
+      const rows = await store.listNames({ sort, order, after, limit: limit + 1, filters });
+      const page = rows.slice(0, limit);
+
+      res.json({
+        entries: page.map(directoryEntry),
+        sort,
+        order,
+        next_cursor: rows.length > limit ? directoryCursor(page[page.length - 1], sort) : null
+      });
+    } catch (err) {
+      log.error('DB error on directory', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Export - the whole registry (or a filtered part of it) as CSV or NDJSON,
+  // streamed in keyset batches so memory stays flat however large it gets.
+  // Names written while an export runs may or may not be in it.
+  router.get('/export', exportLimiter, async (req, res) => {
+    const format = req.query.format || 'ndjson';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const listing = directoryQuery(req.query);
+    if (listing.error) {
+      return res.status(400).json({ error: listing.error });
+    }
+    const { sort, order, filters } = listing;
+
+    // Stop reading batches once the client has gone
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    const write = chunk => {
+      if (res.write(chunk) || closed) return null;
+      return new Promise(resolve => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    };
+
+    let started = false;
+    let after = null;
+    try {
+      do {
+        const rows = await store.listNames({ sort, order, after, limit: EXPORT_BATCH_SIZE, filters });
+        if (!started) {
+          const date = new Date().toISOString().slice(0, 10);
+          res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+          res.set('Content-Disposition', `attachment; filename="xrs-names-${date}.${format}"`);
+          res.set('Cache-Control', 'no-store');
+          if (format === 'csv') await write(`${EXPORT_COLUMNS.join(',')}\n`);
+          started = true;
+        }
+        for (const row of rows) {
+          if (closed) break;
+          const entry = { ...directoryEntry(row), records: parseRecords(row.records, row.metadata) };
+          const line = format === 'csv'
+            ? EXPORT_COLUMNS.map(column => csvField(column === 'records' ? JSON.stringify(entry.records) : entry[column])).join(',')
+            : JSON.stringify(entry);
+          await write(`${line}\n`);
+        }
+        after = rows.length === EXPORT_BATCH_SIZE ? listingKey(rows[rows.length - 1], sort) : null;
+      } while (after && !closed);
+      res.end();
+    } catch (err) {
+      log.error('DB error on export', { error: err.message });
+      if (!started) {
+        res.status(500).json({ error: 'Database error' });
+      } else {
+        res.destroy(); // a truncated file must not look complete
+      }
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDirectoryRoutes, EXPORT_COLUMNS };
@@ -0,0 +1,428 @@
+// Change notifications: the Server-Sent Events stream, webhooks and the
+// change history of names and addresses.
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const express = require('express');
+const { isValidXRSName, normalizeName, isValidXRSAddress, safeJsonParse, historyPage } = require('./common');
+
+// Event stream and webhooks. Events are published by the instance that
+// committed the change, to its own SSE clients and to every matching webhook.
+const SSE_HEARTBEAT_MS = 25 * 1000;
+const SSE_REPLAY_LIMIT = 500; // events replayed after Last-Event-ID
+const MAX_WEBHOOKS_PER_OWNER = 5;
+const WEBHOOK_TIMEOUT_MS = 5000;
+const WEBHOOK_RETRY_DELAYS_MS = [10e3, 60e3, 5 * 60e3, 30 * 60e3, 2 * 60 * 60e3];
+const WEBHOOK_MAX_CONSECUTIVE_FAILURES = 50; // then the webhook is disabled
+
+// /events, /webhooks and /history. Delivers webhooks for every event on registryEvents.
+function createEventRoutes(ctx) {
+  const { store, config, log, registryEvents, eventStreams, authorizeAction, formatEvent } = ctx;
+  const router = express.Router();
+
+  const MAX_SSE_CLIENTS = config.maxSseClients;
+  // Local development only: allow http:// and private/loopback webhook targets
+  const WEBHOOK_ALLOW_PRIVATE = config.webhookAllowPrivate;
+
+  // filter: { names?: string[], addresses?: string[], types?: string[] }; empty lists match all
+  function eventMatches(event, filter) {
+    if (filter.names && filter.names.length > 0 && !filter.names.includes(event.name)) return false;
+    if (filter.types && filter.types.length > 0 && !filter.types.includes(event.type)) return false;
+    if (filter.addresses && filter.addresses.length > 0) {
+      const involved = [event.address, event.previous_address, event.owner, event.previous_owner];
+      if (!filter.addresses.some(a => involved.includes(a))) return false;
+    }
+    return true;
+  }
+
+  function isPrivateIp(ip) {
+    if (net.isIPv4(ip)) {
+      const [a, b] = ip.split('.').map(Number);
+      return a === 0 || a === 10 || a === 127 ||
+        (a === 100 && b >= 64 && b <= 127) ||
+        (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168) ||
+        a >= 224;
+    }
+    const lower = ip.toLowerCase();
+    if (lower.startsWith('::ffff:')) {
+      // IPv4-mapped, dotted (::ffff:127.0.0.1) or as WHATWG URL writes it (::ffff:7f00:1)
+      const mapped = lower.slice(7);
+      const hex = mapped.match(/^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+      if (!hex) return isPrivateIp(mapped);
+      const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+      return isPrivateIp([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+  }
+
+  // Returns an error message, or null if the URL may be used as a webhook target
+  function validateWebhookUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'Invalid webhook URL';
+    }
+    if (url.length > 512) return 'Webhook URL is too long';
+    if (WEBHOOK_ALLOW_PRIVATE) {
+      return ['https:', 'http:'].includes(parsed.protocol) ? null : 'Webhook URL must use http or https';
+    }
+    if (parsed.protocol !== 'https:') return 'Webhook URL must use https';
+    if (parsed.username || parsed.password) return 'Webhook URL must not contain credentials';
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateIp(host))) {
+      return 'Webhook URL must not point at a private or loopback address';
+    }
+    return null;
+  }
+
+  // dns.lookup for webhook connections that fails on private and loopback
+  // answers. The socket connects to the address checked here, so DNS can't
+  // give the check a public address and the connection a private one.
+  function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      if (addresses.length === 0 || addresses.some(a => isPrivateIp(a.address))) {
+        return callback(new Error('resolves to a private address'));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  // POST body to url without following redirects; resolves to the HTTP status
+  function postWebhook(url, headers, body) {
+    return new Promise((resolve, reject) => {
+      const request = (url.startsWith('https:') ? https : http).request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: WEBHOOK_ALLOW_PRIVATE ? undefined : publicLookup,
+        timeout: WEBHOOK_TIMEOUT_MS
+      }, response => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on('timeout', () => request.destroy(new Error('Timed out')));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  function parseWebhookRow(row) {
+    return {
+      id: row.id,
+      owner: row.owner,
+      url: row.url,
+      secret: row.secret,
+      names: safeJsonParse(row.names) || [],
+      addresses: safeJsonParse(row.addresses) || [],
+      types: safeJsonParse(row.event_types) || []
+    };
+  }
+
+  async function dispatchWebhooks(event) {
+    const webhooks = await store.activeWebhooks();
+    for (const webhook of webhooks.map(parseWebhookRow)) {
+      if (eventMatches(event, webhook)) {
+        deliverWebhook(webhook, event, 0);
+      }
+    }
+  }
+
+  registryEvents.on('event', event => {
+    dispatchWebhooks(event).catch(err => {
+      log.error('Webhook dispatch error', { error: err.message });
+    });
+  });
+
+  // POST the event; on failure retry after WEBHOOK_RETRY_DELAYS_MS[attempt].
+  // Body is signed as HMAC-SHA256(secret, "<timestamp>.<body>").
+  async function deliverWebhook(webhook, event, attempt) {
+    const body = JSON.stringify({ delivery: crypto.randomUUID(), event });
+    const timestamp = Date.now().toString();
+    const signature = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+    let status;
+
+    try {
+      // Checked again in case the rules changed since the webhook was registered
+      const urlError = validateWebhookUrl(webhook.url);
+      if (urlError) throw new Error(urlError);
+      const code = await postWebhook(webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'xrs-names-webhooks/1',
+        'X-XRS-Event': event.type,
+        'X-XRS-Event-Id': String(event.id),
+        'X-XRS-Timestamp': timestamp,
+        'X-XRS-Signature': `sha256=${signature}`
+      }, body);
+      status = String(code);
+      if (code < 200 || code > 299) throw new Error(`HTTP ${code}`);
+    } catch (err) {
+      status = status || err.message;
+      const retry = attempt < WEBHOOK_RETRY_DELAYS_MS.length;
+      log.warn(retry ? 'Webhook delivery failed, will retry' : 'Webhook delivery failed, giving up', {
+        webhook_id: webhook.id,
+        event_id: event.id,
+        status
+      });
+      await store.webhookFailed(webhook.id, {
+        status,
+        at: Date.now(),
+        maxFailures: WEBHOOK_MAX_CONSECUTIVE_FAILURES
+      }).catch(() => {});
+      if (retry) {
+        setTimeout(() => deliverWebhook(webhook, event, attempt + 1), WEBHOOK_RETRY_DELAYS_MS[attempt]).unref();
+      }
+      return;
+    }
+
+    await store.webhookDelivered(webhook.id, { status, at: Date.now() }).catch(() => {});
+  }
+
+  // Parse ?name=&address=&types= (comma-separated) into an event filter
+  function parseEventFilter(query) {
+    const list = value => (typeof value === 'string' && value ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+    const names = list(query.name).map(n => normalizeName(n));
+    const addresses = list(query.address);
+    if (!names.every(isValidXRSName)) return { error: 'Invalid name format' };
+    if (!addresses.every(isValidXRSAddress)) return { error: 'Invalid address format' };
+    return {
+      filter: {
+        names: names.map(n => `${n}.xrs`),
+        addresses,
+        types: list(query.types)
+      }
+    };
+  }
+
+  // Server-Sent Events stream of registry changes from this instance.
+  // Reconnecting clients send Last-Event-ID to replay what they missed from the log.
+  router.get('/events', async (req, res) => {
+    const { filter, error } = parseEventFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (eventStreams.size >= MAX_SSE_CLIENTS) {
+      return res.status(503).json({ error: 'Too many event stream connections, please try again later' });
+    }
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.last_event_id);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    // Events go out once each, in id order: the replay and the live feed
+    // both drop anything at or below the last id sent
+    let lastSent = 0;
+    const send = event => {
+      if (event.id <= lastSent) return;
+      lastSent = event.id;
+      if (eventMatches(event, filter)) {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      }
+    };
+
+    // Subscribe before replaying so nothing falls in the gap; live events
+    // wait in `held` until the replay has been sent
+    const replaying = Number.isSafeInteger(lastEventId) && lastEventId > 0;
+    let held = replaying ? [] : null;
+    const onEvent = event => {
+      if (held) held.push(event);
+      else send(event);
+    };
+    registryEvents.on('event', onEvent);
+    eventStreams.add(res);
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+    const stop = () => {
+      clearInterval(heartbeat);
+      registryEvents.off('event', onEvent);
+      eventStreams.delete(res);
+    };
+    req.on('close', stop);
+
+    if (replaying) {
+      lastSent = lastEventId;
+      try {
+        for (const row of await store.eventsSince(lastEventId, SSE_REPLAY_LIMIT)) {
+          send(formatEvent(row));
+        }
+      } catch (err) {
+        // End the stream rather than carry on with a gap; the client
+        // reconnects with the same Last-Event-ID and the replay is retried
+        log.error('DB error on event replay', { error: err.message });
+        stop();
+        res.write(`event: error\ndata: ${JSON.stringify({ error: 'Could not replay missed events' })}\n\n`);
+        return res.end();
+      }
+      held.forEach(send);
+      held = null;
+    }
+  });
+
+  // Register a webhook (signed by the subscribing key). The secret is only returned here.
+  router.post('/webhooks', async (req, res) => {
+    const { url, owner, signature } = req.body;
+
+    if (!owner || !isValidXRSAddress(owner)) {
+      return res.status(400).json({ error: 'Invalid owner format' });
+    }
+
+    const urlError = typeof url === 'string' ? validateWebhookUrl(url) : 'Webhook URL is required';
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+
+    const { filter, error } = parseEventFilter({
+      name: Array.isArray(req.body.names) ? req.body.names.join(',') : undefined,
+      address: Array.isArray(req.body.addresses) ? req.body.addresses.join(',') : undefined,
+      types: Array.isArray(req.body.types) ? req.body.types.join(',') : undefined
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!signature) {
+      return res.status(401).json({ error: 'Signature required to register webhooks' });
+    }
+
+    const now = Date.now();
+
+    try {
+      if (await store.countWebhooks(owner) >= MAX_WEBHOOKS_PER_OWNER) {
+        return res.status(409).json({ error: `At most ${MAX_WEBHOOKS_PER_OWNER} webhooks per owner` });
+      }
+
+      const auth = await authorizeAction({
+        action: 'create-webhook',
+        fields: { owner, url },
+        body: req.body,
+        signer: owner,
+        invalidError: 'Invalid signature — must be signed by the owner key'
+      });
+      if (!auth.ok) {
+        return res.status(auth.status).json({ error: auth.error });
+      }
+
+      const secret = crypto.randomBytes(32).toString('hex');
+      const webhook = await store.insertWebhook({
+        owner,
+        url,
+        secret,
+        names: JSON.stringify(filter.names),
+        addresses: JSON.stringify(filter.addresses),
+        event_types: JSON.stringify(filter.types),
+        created_at: now
+      });
+
+      res.status(201).json({
+        success: true,
+        id: webhook.id,
+        url,
+        secret,
+        filter,
+        created: new Date(now).toISOString()
+      });
+    } catch (err) {
+      log.error('DB error on webhook create', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Remove a webhook (signed by its owner key)
+  router.delete('/webhooks/:id', async (req, res) => {
+    const id = parseInt(req.params.id);
+
+    if (!Number.isSafeInteger(id) || id < 1) {
+      return res.status(400).json({ error: 'Invalid webhook id' });
+    }
+
+    if (!req.body.signature) {
+      return res.status(401).json({ error: 'Signature required to delete webhooks' });
+    }
+
+    try {
+      const existing = await store.getWebhook(id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const auth = await authorizeAction({
+        action: 'delete-webhook',
+        fields: { id },
+        body: req.body,
+        signer: existing.owner,
+        invalidError: 'Invalid signature — must be signed by the owner key'
+      });
+      if (!auth.ok) {
+        return res.status(auth.status).json({ error: auth.error });
+      }
+
+      await store.deleteWebhook(id);
+      res.json({ success: true, id });
+    } catch (err) {
+      log.error('DB error on webhook delete', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  function historyResponse(rows, limit) {
+    const events = rows.slice(0, limit).map(formatEvent);
+    return {
+      events,
+      next_cursor: rows.length > limit ? events[events.length - 1].id : null
+    };
+  }
+
+  // Change history for an address (as resolved address or owner, before or after each change)
+  router.get('/history/address/:address', async (req, res) => {
+    const address = req.params.address;
+    const { limit, before } = historyPage(req);
+
+    if (!isValidXRSAddress(address)) {
+      return res.status(400).json({ error: 'Invalid address format' });
+    }
+
+    try {
+      const rows = await store.addressHistory(address, { before, limit: limit + 1 });
+      res.json({ address, ...historyResponse(rows, limit) });
+    } catch (err) {
+      log.error('DB error on address history', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Change history for a name, including after it was released
+  router.get('/history/:name', async (req, res) => {
+    const name = normalizeName(req.params.name);
+    const { limit, before } = historyPage(req);
+
+    if (!isValidXRSName(name)) {
+      return res.status(400).json({ error: 'Invalid name format' });
+    }
+
+    try {
+      const rows = await store.nameHistory(name, { before, limit: limit + 1 });
+      res.json({ name: `${name}.xrs`, ...historyResponse(rows, limit) });
+    } catch (err) {
+      log.error('DB error on history', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createEventRoutes };
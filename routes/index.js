@@ -0,0 +1,245 @@
+// The registry API as an Express router, one module per area:
+//
+//   context.js    settings, the event bus and helpers every area shares
+//   service.js    docs, health, nonces and signed snapshots
+//   lookups.js    availability, suggestions, resolve and reverse lookups
+//   names.js      registration, updates, transfers, subnames and renewals
+//   records.js    text and address records
+//   events.js     the event stream, webhooks and change history
+//   admin.js      reservations, moderation, reassignment and the audit log
+//   directory.js  search, recent names, the directory and exports
+//   stats.js      registry statistics
+//
+// createRouter wires them together with rate limiting, body parsing, the
+// DNS responder and the background jobs.
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { createStore } = require('../store');
+const { resolveConfig } = require('../config');
+const { createResponder } = require('../dns');
+const { loggerFromConfig } = require('../logger');
+const { createRegistry } = require('../metrics');
+const { NONCE_TTL_MS, isValidXRSName } = require('./common');
+const { createContext } = require('./context');
+const { createServiceRoutes } = require('./service');
+const { createLookupRoutes } = require('./lookups');
+const { createNameRoutes } = require('./names');
+const { createRecordRoutes } = require('./records');
+const { createEventRoutes } = require('./events');
+const { createAdminRoutes } = require('./admin');
+const { createDirectoryRoutes } = require('./directory');
+const { createStatsRoutes } = require('./stats');
+
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+const BATCH_PATHS = ['/resolve/batch', '/reverse/batch'];
+// How long /readyz waits on the database
+const READINESS_TIMEOUT_MS = 2000;
+
+function storeFromConfig(config) {
+  return createStore({ driver: config.storeDriver, databaseUrl: config.databaseUrl, ssl: config.databaseSsl });
+}
+
+/**
+ * The names API as an Express router, to mount at any prefix (createApp
+ * mounts it at config.apiPrefix). Brings its own body parsing and, unless
+ * config.rateLimits is false, rate limiting.
+ *
+ * store defaults to the one named by config.storeDriver. The router also
+ * carries its lifecycle: router.start() prepares the store and starts the
+ * background jobs; router.close() stops them, ends open event streams and
+ * closes the store if the router created it. router.refreshSnapshot() runs
+ * the snapshot job once, for embedders with backgroundJobs off.
+ * router.generalLimiter is the general rate limiter, for routes mounted next
+ * to the router (a pass-through when rate limiting is off).
+ */
+function createRouter({ store, config, metrics = createRegistry(), log } = {}) {
+  config = resolveConfig(config);
+  log = log || loggerFromConfig(config);
+  const ownsStore = !store;
+  store = store || storeFromConfig(config);
+
+  const router = express.Router();
+  const ctx = createContext({ store, config, metrics, log });
+  const {
+    GRACE_PERIOD_MS, COMMIT_MAX_AGE_MS, SNAPSHOT_INTERVAL_MS, eventStreams, withTransaction, releaseNames,
+    lookupName, refreshSnapshot
+  } = ctx;
+
+  // Metrics (served by createApp at /metrics)
+  const rateLimitRejections = metrics.counter('xrs_rate_limit_rejections_total',
+    'Requests rejected by a rate limiter', ['limiter']);
+  metrics.gauge('xrs_db_pool_connections', 'Database pool connections by state', ['state'], () => {
+    const pool = store.poolStats();
+    return pool ? Object.entries(pool).map(([state, value]) => ({ labels: { state }, value })) : [];
+  });
+
+  // Rate limiting
+  const passThrough = (req, res, next) => next();
+  const limiter = (name, limits, error, options = {}) => rateLimit({
+    ...limits,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error },
+    handler: (req, res, next, { statusCode, message }) => {
+      rateLimitRejections.inc({ limiter: name });
+      res.status(statusCode).json(message);
+    },
+    ...options
+  });
+  // A 304 costs next to nothing, so revalidating a cached answer is free
+  const generalLimiter = config.rateLimits
+    ? limiter('general', config.rateLimits.general, 'Too many requests, please try again later', {
+      skipSuccessfulRequests: true,
+      requestWasSuccessful: (req, res) => res.statusCode === 304
+    })
+    : passThrough;
+  const registrationLimiter = config.rateLimits
+    ? limiter('registration', config.rateLimits.registration, 'Too many registration attempts, please try again later')
+    : passThrough;
+  const exportLimiter = config.rateLimits
+    ? limiter('export', config.rateLimits.export, 'Too many exports, please try again later')
+    : passThrough;
+
+  router.use(generalLimiter);
+
+  // Body parsing with size limit (batch lookups carry up to MAX_BATCH_SIZE entries)
+  router.use(BATCH_PATHS, express.json({ limit: '64kb' }));
+  router.use(express.json({ limit: '10kb' }));
+
+  ctx.registrationLimiter = registrationLimiter;
+  ctx.exportLimiter = exportLimiter;
+
+  router.use(createServiceRoutes(ctx));
+  router.use(createLookupRoutes(ctx));
+  router.use(createNameRoutes(ctx));
+  router.use(createRecordRoutes(ctx));
+  router.use(createEventRoutes(ctx));
+  router.use(createAdminRoutes(ctx));
+  router.use(createDirectoryRoutes(ctx));
+  router.use(createStatsRoutes(ctx));
+
+  // DNS answers for the xrs. zone, served by start() over UDP/TCP and by
+  // createApp at /dns-query (see dns/). Only names that resolve exist there.
+  const answerDns = createResponder({
+    validName: isValidXRSName,
+    lookup: async name => {
+      const found = await lookupName(name);
+      if (!found || found.expiry.status !== 'active' || found.held) return null;
+      return { address: found.row.address, records: found.records, expiresAt: parseInt(found.row.expires_at) };
+    },
+    ttl: config.dnsTtl,
+    negativeTtl: config.dnsNegativeTtl,
+    log
+  });
+
+  // Drop nonces past their expiry — signatures over them are rejected anyway
+  async function purgeExpiredNonces() {
+    try {
+      await store.purgeNonces(Date.now());
+    } catch (err) {
+      log.error('Nonce cleanup error', { error: err.message });
+    }
+  }
+
+  async function purgeExpiredCommitments() {
+    try {
+      await store.purgeCommitments(Date.now() - COMMIT_MAX_AGE_MS);
+    } catch (err) {
+      log.error('Commitment cleanup error', { error: err.message });
+    }
+  }
+
+  // Release names whose grace period has ended so they can be registered again
+  async function sweepExpiredNames() {
+    try {
+      const released = await withTransaction(tx => releaseNames(
+        tx,
+        { expiresBy: Date.now() - GRACE_PERIOD_MS },
+        'expired'
+      ));
+      if (released.length > 0) {
+        log.info('Released expired names', { count: released.length });
+      }
+    } catch (err) {
+      log.error('Expiry sweep error', { error: err.message });
+    }
+  }
+
+  // Errors from body parsing and anything a route didn't handle
+  router.use((err, req, res, next) => {
+    log.error('Unhandled error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  // Bring the schema up to date (migrations/, see migrate.js). With
+  // autoMigrate false, run `npm run migrate` as a release step instead and
+  // start() fails while migrations are pending.
+  async function initDatabase() {
+    try {
+      await store.init({ autoMigrate: config.autoMigrate, log: msg => log.info(msg), config });
+      log.info('Database initialized');
+    } catch (err) {
+      log.error('Database initialization error', { error: err.message });
+      throw err;
+    }
+  }
+
+  const timers = [];
+  let started = false;
+
+  router.start = async () => {
+    await initDatabase();
+    started = true;
+    if (!config.serviceSecretKey) {
+      log.warn('SERVICE_SECRET_KEY is not set — snapshots are signed with a temporary key');
+    }
+    if (config.backgroundJobs && timers.length === 0) {
+      timers.push(
+        setInterval(purgeExpiredNonces, NONCE_TTL_MS).unref(),
+        setInterval(purgeExpiredCommitments, NONCE_TTL_MS).unref(),
+        setInterval(sweepExpiredNames, SWEEP_INTERVAL_MS).unref()
+      );
+      if (SNAPSHOT_INTERVAL_MS > 0) timers.push(setInterval(refreshSnapshot, SNAPSHOT_INTERVAL_MS).unref());
+      sweepExpiredNames();
+      refreshSnapshot();
+    }
+  };
+
+  router.close = async () => {
+    timers.splice(0).forEach(clearInterval);
+    for (const res of eventStreams) res.end();
+    if (ownsStore) await store.close();
+  };
+
+  // Ready once started and the database answers within READINESS_TIMEOUT_MS
+  router.ready = async () => {
+    if (!started) return { ready: false, checks: { database: 'not initialized' } };
+    let timeout;
+    try {
+      await Promise.race([
+        store.ping(),
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(() => reject(new Error('Timed out')), READINESS_TIMEOUT_MS);
+        })
+      ]);
+      return { ready: true, checks: { database: 'ok' } };
+    } catch (err) {
+      log.warn('Readiness check failed', { error: err.message });
+      return { ready: false, checks: { database: 'unavailable' } };
+    } finally {
+      clearTimeout(timeout);
+    }
+  };
+
+  router.store = store;
+  router.answerDns = answerDns;
+  router.refreshSnapshot = refreshSnapshot;
+  router.generalLimiter = generalLimiter;
+  router.metrics = metrics;
+  router.log = log;
+
+  return router;
+}
+
+module.exports = { createRouter };
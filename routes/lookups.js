@@ -0,0 +1,391 @@
+// Lookups: availability, suggestions, and forward and reverse resolution,
+// one at a time or in batches. Answers carry a service-signed attestation.
+
+const express = require('express');
+const nameRules = require('../public/xrs-name-rules');
+const {
+  MAX_BATCH_SIZE, isValidXRSName, isSubname, normalizeName, nameError, displayName, findConfusable,
+  isValidXRSAddress
+} = require('./common');
+
+// Name suggestions (GET /api/suggest/:name): variants of a top-level name,
+// closest first. They are built on the display form, so a Unicode name gets
+// Unicode variants; variants that aren't valid names are dropped.
+const SUGGESTION_SUFFIXES = ['hq', 'app', 'pay', 'dao', 'labs', 'wallet', 'world', 'dev'];
+const SUGGESTION_PREFIXES = ['the', 'my', 'get', 'its'];
+const MAX_SUGGESTIONS = 50;
+
+// Returns [{ name, kind }] in stored form, without duplicates or name itself
+function nameSuggestions(name) {
+  const label = nameRules.toUnicode(name);
+  const chars = [...label];
+  const variants = [];
+  const add = (variant, kind) => variants.push({ variant, kind });
+
+  if (label.includes('-')) add(label.replace(/-/g, ''), 'hyphenation');
+  add(label.replace(/(\p{L})(\p{N})/gu, '$1-$2').replace(/(\p{N})(\p{L})/gu, '$1-$2'), 'hyphenation');
+  for (const suffix of SUGGESTION_SUFFIXES) {
+    add(`${label}${suffix}`, 'suffix');
+    add(`${label}-${suffix}`, 'suffix');
+  }
+  for (const prefix of SUGGESTION_PREFIXES) {
+    add(`${prefix}${label}`, 'prefix');
+  }
+  for (let n = 1; n <= 9; n++) {
+    add(`${label}${n}`, 'numeric');
+  }
+  add(`${label}${new Date().getUTCFullYear()}`, 'numeric');
+  // Two words run together, split at every point that leaves 3+ characters each side
+  for (let i = 3; i <= chars.length - 3; i++) {
+    if (chars[i - 1] !== '-' && chars[i] !== '-') {
+      add(`${chars.slice(0, i).join('')}-${chars.slice(i).join('')}`, 'hyphenation');
+    }
+  }
+
+  const seen = new Set([name]);
+  const suggestions = [];
+  for (const { variant, kind } of variants) {
+    const stored = nameRules.toASCII(variant);
+    if (stored && !seen.has(stored)) {
+      seen.add(stored);
+      suggestions.push({ name: stored, kind });
+    }
+  }
+  return suggestions;
+}
+
+// /check, /suggest, /resolve and /reverse, with the batch endpoints
+function createLookupRoutes(ctx) {
+  const {
+    store, log, GRACE_PERIOD_MS, httpCache, lastChange, nameStatus, expiryInfo, findReservation,
+    reservationEntries, matchReservation, moderationError, attestation, lookupName, nameProof
+  } = ctx;
+  const router = express.Router();
+
+  // Check name availability
+  router.get('/check/:name', async (req, res) => {
+    const name = normalizeName(req.params.name);
+
+    if (!isValidXRSName(name)) {
+      return res.status(400).json({
+        error: 'Invalid name format',
+        reason: nameError(req.params.name),
+        rules: '3-32 characters per label: lowercase letters, numbers, hyphens (no consecutive hyphens), or single-script Unicode/emoji; subnames like pay.alice'
+      });
+    }
+
+    try {
+      const row = await store.getName(name);
+      if (!row || nameStatus(row.expires_at) === 'expired') {
+        const reservation = isSubname(name) ? null : await findReservation(name);
+        if (reservation) {
+          return res.json({
+            name: `${name}.xrs`,
+            unicode: displayName(name),
+            available: false,
+            reserved: true,
+            reason: reservation.reason
+          });
+        }
+        const confusable = await findConfusable(store, name);
+        return res.json({
+          name: `${name}.xrs`,
+          unicode: displayName(name),
+          available: !confusable,
+          ...(confusable && { confusable_with: `${confusable}.xrs` })
+        });
+      }
+
+      const { status, expires } = expiryInfo(row.expires_at);
+      res.json({
+        name: `${name}.xrs`,
+        unicode: displayName(name),
+        available: false,
+        status,
+        expires
+      });
+    } catch (err) {
+      log.error('DB error on check', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Available alternatives to a taken (or any) name: hyphenations, suffixes,
+  // prefixes and numbers, checked together against the registry,
+  // reservations and confusable names
+  router.get('/suggest/:name', async (req, res) => {
+    const name = normalizeName(req.params.name);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_SUGGESTIONS);
+
+    if (!isValidXRSName(name)) {
+      return res.status(400).json({ error: 'Invalid name format', reason: nameError(req.params.name) });
+    }
+    if (isSubname(name)) {
+      return res.status(400).json({ error: 'Suggestions are only offered for top-level names' });
+    }
+
+    try {
+      const now = Date.now();
+      const candidates = nameSuggestions(name);
+      const rows = await store.getNames([name, ...candidates.map(c => c.name)]);
+      const taken = new Set(rows.filter(r => nameStatus(r.expires_at, now) !== 'expired').map(r => r.name));
+      const reservations = await reservationEntries();
+      const free = async candidate => !taken.has(candidate) &&
+        !matchReservation(reservations, candidate) &&
+        !await findConfusable(store, candidate);
+
+      const suggestions = [];
+      for (const candidate of candidates) {
+        if (suggestions.length >= limit) break;
+        if (await free(candidate.name)) {
+          suggestions.push({ name: `${candidate.name}.xrs`, unicode: displayName(candidate.name), kind: candidate.kind });
+        }
+      }
+
+      res.json({
+        name: `${name}.xrs`,
+        unicode: displayName(name),
+        available: await free(name),
+        suggestions
+      });
+    } catch (err) {
+      log.error('DB error on suggest', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Resolve name to address. With ?proof=true every answer carries a proof
+  // against the current snapshot.
+  router.get('/resolve/:name', httpCache('resolve'), async (req, res) => {
+    const name = normalizeName(req.params.name);
+
+    if (!isValidXRSName(name)) {
+      return res.status(400).json({ error: 'Invalid name format' });
+    }
+
+    try {
+      const found = await lookupName(name);
+      const proof = req.query.proof === 'true' ? await nameProof(name) : undefined;
+
+      // Answers that don't resolve are signed too, so they can't be forged to hide a name
+      const unresolved = () => attestation('resolve', [`${name}: -`]);
+
+      if (!found) {
+        return res.status(404).json({
+          error: 'Name not found',
+          name: `${name}.xrs`,
+          proof,
+          attestation: unresolved()
+        });
+      }
+
+      const { row, records, expiry, held } = found;
+      if (expiry.status !== 'active') {
+        return res.status(410).json({
+          error: 'Name has expired',
+          name: `${name}.xrs`,
+          ...expiry,
+          proof,
+          attestation: unresolved()
+        });
+      }
+
+      if (held) {
+        return res.status(423).json({ ...held, name: `${name}.xrs`, proof, attestation: unresolved() });
+      }
+
+      // Last-Modified has one-second precision, so it is only sent once the
+      // second of the last change is over; until then a second change could
+      // share the date and If-Modified-Since would call it unmodified
+      const changed = lastChange(row);
+      if (Math.floor(changed / 1000) < Math.floor(Date.now() / 1000)) {
+        res.set('Last-Modified', new Date(changed).toUTCString());
+      }
+      res.json({
+        name: `${name}.xrs`,
+        unicode: displayName(name),
+        address: row.address,
+        owner: row.owner,
+        pending_owner: row.pending_owner,
+        parent: row.parent ? `${row.parent}.xrs` : null,
+        registered: new Date(row.registered_at).toISOString(),
+        ...expiry,
+        metadata: Object.keys(records.text).length > 0 ? records.text : null,
+        records,
+        proof,
+        attestation: attestation('resolve', [`${name}: ${row.address}`], parseInt(row.expires_at))
+      });
+    } catch (err) {
+      log.error('DB error on resolve', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  /**
+   * Names that currently resolve to each address, plus the primary name.
+   * Returns Map<address, { address, names[], primary, primary_source }>.
+   */
+  async function reverseLookup(addresses, now = Date.now()) {
+    // Only names that still resolve point at the address
+    const resolving = await store.namesByAddresses(addresses, now);
+    const chosenNames = new Map((await store.primaryNames(addresses)).map(r => [r.address, r.name]));
+
+    const lookups = new Map();
+    for (const address of addresses) {
+      const rows = resolving.filter(r => r.address === address);
+      // The chosen primary only counts while it still resolves to this address;
+      // otherwise fall back to the oldest name pointing here
+      const chosen = rows.find(r => r.name === chosenNames.get(address));
+      const primary = chosen || rows[0] || null;
+
+      lookups.set(address, {
+        address,
+        names: rows.map(r => ({
+          name: `${r.name}.xrs`,
+          unicode: displayName(r.name),
+          owner: r.owner,
+          registered: new Date(r.registered_at).toISOString()
+        })),
+        primary: primary ? `${primary.name}.xrs` : null,
+        primary_source: chosen ? 'owner' : (primary ? 'oldest' : null)
+      });
+    }
+    return lookups;
+  }
+
+  // Attestation line for a reverseLookup result
+  function reverseLine({ address, names, primary }) {
+    const stored = name => name.slice(0, -'.xrs'.length);
+    const list = names.map(n => stored(n.name)).join(',') || '-';
+    return `${address}: ${primary ? stored(primary) : '-'} ${list}`;
+  }
+
+  // Validate a batch body field: a non-empty array of at most MAX_BATCH_SIZE strings
+  function batchInput(value, field) {
+    if (!Array.isArray(value) || value.length === 0) {
+      return { error: `${field} must be a non-empty array` };
+    }
+    if (value.length > MAX_BATCH_SIZE) {
+      return { error: `At most ${MAX_BATCH_SIZE} ${field} per request` };
+    }
+    return { items: value.map(v => (typeof v === 'string' ? v : '')) };
+  }
+
+  // Batch resolve. Results are in the same order as the request.
+  router.post('/resolve/batch', async (req, res) => {
+    const { items, error } = batchInput(req.body.names, 'names');
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const names = items.map(normalizeName);
+    const valid = [...new Set(names.filter(isValidXRSName))];
+
+    try {
+      const now = Date.now();
+      const found = valid.length > 0 ? await store.getNames(valid) : [];
+      const rows = new Map(found.map(r => [r.name, r]));
+      const proofs = new Map();
+      if (req.body.proof === true) {
+        for (const name of valid) proofs.set(name, await nameProof(name));
+      }
+
+      const results = names.map(name => {
+        if (!isValidXRSName(name)) {
+          return { name, address: null, error: 'Invalid name format' };
+        }
+        const proof = proofs.get(name);
+        const row = rows.get(name);
+        if (!row || nameStatus(row.expires_at, now) === 'expired') {
+          return { name: `${name}.xrs`, address: null, error: 'Name not found', proof };
+        }
+        const expiry = expiryInfo(row.expires_at, now);
+        if (expiry.status !== 'active') {
+          return { name: `${name}.xrs`, address: null, error: 'Name has expired', ...expiry, proof };
+        }
+        const held = moderationError(row);
+        if (held) {
+          return { name: `${name}.xrs`, address: null, ...held, proof };
+        }
+        return { name: `${name}.xrs`, address: row.address, owner: row.owner, ...expiry, proof };
+      });
+
+      // One attestation covers every valid name, in result order ("-" when it
+      // doesn't resolve)
+      const answered = results.filter((r, i) => isValidXRSName(names[i]));
+      res.json({
+        results,
+        attestation: attestation(
+          'resolve',
+          answered.map(r => `${r.name.slice(0, -'.xrs'.length)}: ${r.address || '-'}`),
+          Math.min(...answered.filter(r => r.address).map(r => Date.parse(r.expires)))
+        )
+      });
+    } catch (err) {
+      log.error('DB error on batch resolve', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Batch reverse lookup. Results are in the same order as the request.
+  router.post('/reverse/batch', async (req, res) => {
+    const { items: addresses, error } = batchInput(req.body.addresses, 'addresses');
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const valid = [...new Set(addresses.filter(isValidXRSAddress))];
+
+    try {
+      const lookups = valid.length > 0 ? await reverseLookup(valid) : new Map();
+
+      const results = addresses.map(address => (
+        lookups.get(address) || { address, names: [], primary: null, error: 'Invalid address format' }
+      ));
+
+      // One attestation covers every valid address, in result order
+      res.json({
+        results,
+        attestation: attestation('reverse', results.filter(r => !r.error).map(reverseLine))
+      });
+    } catch (err) {
+      log.error('DB error on batch reverse', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Reverse lookup - address to name(s)
+  router.get('/reverse/:address', httpCache('reverse'), async (req, res) => {
+    const address = req.params.address;
+
+    if (!isValidXRSAddress(address)) {
+      return res.status(400).json({ error: 'Invalid address format' });
+    }
+
+    try {
+      const now = Date.now();
+      const reverse = (await reverseLookup([address], now)).get(address);
+      // Owned names include those in their grace period so owners can renew
+      const owned = await store.namesByOwner(address, now - GRACE_PERIOD_MS);
+
+      res.json({
+        ...reverse,
+        attestation: attestation('reverse', [reverseLine(reverse)]),
+        owned: owned.map(r => ({
+          name: `${r.name}.xrs`,
+          unicode: displayName(r.name),
+          address: r.address,
+          registered: new Date(r.registered_at).toISOString(),
+          ...expiryInfo(r.expires_at, now)
+        }))
+      });
+    } catch (err) {
+      log.error('DB error on reverse', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createLookupRoutes, SUGGESTION_SUFFIXES };
@@ -0,0 +1,917 @@
+// Name management: registration (one signed step or commit-reveal), address
+// updates, transfers, subnames, renewals and primary names.
+
+const crypto = require('crypto');
+const express = require('express');
+const { ConflictError } = require('../store');
+const {
+  MAX_TERMS, MAX_NAME_DEPTH, isValidXRSName, isSubname, normalizeName, nameError, displayName, nameSkeleton,
+  findConfusable, isValidXRSAddress, safeJsonParse
+} = require('./common');
+const { recordsFromMetadata } = require('./records');
+
+// Every signed write to a name except its records
+function createNameRoutes(ctx) {
+  const {
+    store, config, log, TERM_MS, GRACE_PERIOD_MS, COMMIT_MIN_DELAY_MS, COMMIT_MAX_AGE_MS, nameStatus,
+    expiryInfo, authorizeAction, markLegacySignature, withTransaction, recordEvent, releaseNames,
+    managersOf, cascadeOwnership, findReservation, moderationError, registrationLimiter
+  } = ctx;
+  const router = express.Router();
+
+  const ALLOW_UNSIGNED_REGISTRATION = config.allowUnsignedRegistration;
+  // Trusted integrations (base58 Ed25519 public keys) may register in one
+  // signed step; everyone else goes through commit-reveal
+  const REGISTRATION_KEYS = config.registrationKeys;
+
+  // Choose the primary (reverse) name for an address. Signed by the address key,
+  // and the name must currently resolve to that address.
+  router.put('/primary/:address', async (req, res) => {
+    const address = req.params.address;
+    const { signature } = req.body;
+
+    if (!isValidXRSAddress(address)) {
+      return res.status(400).json({ error: 'Invalid address format' });
+    }
+
+    if (!req.body.name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const name = normalizeName(req.body.name);
+    if (!isValidXRSName(name)) {
+      return res.status(400).json({ error: 'Invalid name format' });
+    }
+
+    if (!signature) {
+      return res.status(401).json({ error: 'Signature required to set a primary name' });
+    }
+
+    const now = Date.now();
+
+    try {
+      const existing = await store.getName(name);
+      if (!existing || nameStatus(existing.expires_at, now) !== 'active') {
+        return res.status(404).json({ error: 'Name not found' });
+      }
+
+      const held = moderationError(existing);
+      if (held) {
+        return res.status(423).json(held);
+      }
+
+      if (existing.address !== address) {
+        return res.status(409).json({
+          error: 'Name does not resolve to this address',
+          name: `${name}.xrs`
+        });
+      }
+
+      const auth = await authorizeAction({
+        action: 'set-primary',
+        fields: { address, name },
+        body: req.body,
+        signer: address,
+        invalidError: 'Invalid signature — must be signed by the address'
+      });
+      if (!auth.ok) {
+        return res.status(auth.status).json({ error: auth.error });
+      }
+
+      await withTransaction(async tx => {
+        await tx.setPrimaryName({ address, name, signature, updated_at: now });
+        await recordEvent(tx, { name, type: 'primary', address, signature, at: now });
+      });
+
+      res.json({
+        success: true,
+        address: address,
+        primary: `${name}.xrs`,
+        updated: new Date(now).toISOString()
+      });
+    } catch (err) {
+      log.error('DB error on primary', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Validation shared by one-step and commit-reveal registration.
+  // Resolves to { cleanName, address, owner, years } or { error } (a 400 body).
+  function parseRegistration(body) {
+    const { name, address } = body;
+    const owner = body.owner || address;
+
+    if (!name || !address) {
+      return { error: { error: 'Name and address are required' } };
+    }
+
+    const cleanName = normalizeName(name);
+
+    if (!isValidXRSName(cleanName)) {
+      return {
+        error: {
+          error: 'Invalid name format',
+          reason: nameError(name),
+          rules: '3-32 characters: lowercase letters, numbers, hyphens, or single-script Unicode/emoji'
+        }
+      };
+    }
+
+    if (isSubname(cleanName)) {
+      return { error: { error: 'Subnames are created by the parent owner via POST /api/subnames/:parent' } };
+    }
+
+    if (!isValidXRSAddress(address)) {
+      return { error: { error: 'Invalid address format' } };
+    }
+
+    if (!isValidXRSAddress(owner)) {
+      return { error: { error: 'Invalid owner format' } };
+    }
+
+    const years = body.years === undefined ? 1 : body.years;
+    if (!Number.isInteger(years) || years < 1 || years > MAX_TERMS) {
+      return { error: { error: `years must be an integer from 1 to ${MAX_TERMS}` } };
+    }
+
+    return { cleanName, address, owner, years };
+  }
+
+  // Register a validated top-level name: release it if past its grace period,
+  // refuse reserved and confusable names, then insert. A reveal's commitment is
+  // claimed in the insert's transaction. Resolves to { status, body } for the response.
+  async function completeRegistration({ cleanName, address, owner, years, metadata, signature, commitment, method }) {
+    // Release the name (with its subnames) if it is past its grace period so it doesn't block this registration
+    await withTransaction(tx => releaseNames(
+      tx,
+      { subtreeOf: cleanName, expiresBy: Date.now() - GRACE_PERIOD_MS },
+      'expired'
+    ));
+
+    const reservation = await findReservation(cleanName);
+    if (reservation) {
+      return {
+        status: 403,
+        body: { error: 'Name is reserved', name: `${cleanName}.xrs`, reason: reservation.reason }
+      };
+    }
+
+    const confusable = await findConfusable(store, cleanName);
+    if (confusable) {
+      return {
+        status: 409,
+        body: {
+          error: 'Name is confusable with an existing name',
+          name: `${cleanName}.xrs`,
+          confusable_with: `${confusable}.xrs`
+        }
+      };
+    }
+
+    const now = Date.now();
+    const expiresAt = now + years * TERM_MS;
+    const records = recordsFromMetadata(metadata);
+
+    try {
+      const claimed = await withTransaction(async tx => {
+        // Use up the commitment with the insert, so a refused registration
+        // leaves it for another try; a concurrent reveal of it gets nothing back
+        if (commitment && !(await tx.claimCommitment(commitment))) return false;
+        await tx.insertName({
+          name: cleanName,
+          address,
+          owner,
+          owner_signature: signature || null,
+          registered_at: new Date(now),
+          updated_at: new Date(now),
+          expires_at: expiresAt,
+          records,
+          skeleton: nameSkeleton(cleanName)
+        });
+        await recordEvent(tx, {
+          name: cleanName,
+          type: 'register',
+          address,
+          owner,
+          data: { years, method, records: safeJsonParse(records) },
+          signature,
+          at: now
+        });
+        return true;
+      });
+      if (!claimed) {
+        return { status: 409, body: { error: 'Commitment was already revealed' } };
+      }
+    } catch (err) {
+      if (err instanceof ConflictError) {
+        return { status: 409, body: { error: 'Name already registered', name: `${cleanName}.xrs` } };
+      }
+      throw err;
+    }
+
+    return {
+      status: 201,
+      body: {
+        success: true,
+        name: `${cleanName}.xrs`,
+        unicode: displayName(cleanName),
+        address: address,
+        owner: owner,
+        registered: new Date(now).toISOString(),
+        expires: new Date(expiresAt).toISOString()
+      }
+    };
+  }
+
+  // Register a new name in one step (signed by a trusted integration key)
+  router.post('/register', registrationLimiter, async (req, res) => {
+    const { signature, metadata } = req.body;
+
+    const parsed = parseRegistration(req.body);
+    if (parsed.error) {
+      return res.status(400).json(parsed.error);
+    }
+    const { cleanName, address, owner, years } = parsed;
+
+    // A one-step registration can be front-run by anyone watching /api/check,
+    // and anyone can sign one with a fresh key, so only the configured
+    // integrations may use it (or anyone, unsigned, when explicitly allowed)
+    if (!signature && !ALLOW_UNSIGNED_REGISTRATION) {
+      return res.status(401).json({
+        error: 'Signature required — or register via POST /api/commit and POST /api/reveal'
+      });
+    }
+
+    if (signature) {
+      if (REGISTRATION_KEYS.length === 0) {
+        return res.status(403).json({
+          error: 'One-step registration is limited to trusted integrations — register via POST /api/commit and POST /api/reveal'
+        });
+      }
+      try {
+        const auth = await authorizeAction({
+          action: 'register',
+          fields: { name: cleanName, address, owner },
+          body: req.body,
+          signer: REGISTRATION_KEYS,
+          invalidError: 'Invalid signature — must be signed by a registration key; others register via POST /api/commit and POST /api/reveal'
+        });
+        if (!auth.ok) {
+          return res.status(auth.status).json({ error: auth.error });
+        }
+      } catch (err) {
+        log.error('DB error verifying signature', { error: err.message });
+        return res.status(500).json({ error: 'Database error' });
+      }
+    }
+
+    try {
+      const result = await completeRegistration({
+        cleanName, address, owner, years, metadata, signature,
+        method: signature ? 'signed' : 'unsigned'
+      });
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      log.error('Registration error', { error: err.message });
+      res.status(500).json({ error: 'Failed to register name' });
+    }
+  });
+
+  // sha256("<name>:<address>:<secret>") in hex, name in stored form without .xrs
+  function commitmentHash(name, address, secret) {
+    return crypto.createHash('sha256').update(`${name}:${address}:${secret}`, 'utf8').digest('hex');
+  }
+
+  // Step 1 of commit-reveal: store a hash that hides the name being registered
+  router.post('/commit', async (req, res) => {
+    const { commitment } = req.body;
+
+    if (typeof commitment !== 'string' || !/^[0-9a-f]{64}$/.test(commitment)) {
+      return res.status(400).json({ error: 'commitment must be a hex SHA-256 hash' });
+    }
+
+    const now = Date.now();
+
+    try {
+      await store.insertCommitment({ commitment, created_at: now });
+
+      res.status(201).json({
+        commitment,
+        created: new Date(now).toISOString(),
+        reveal_after: new Date(now + COMMIT_MIN_DELAY_MS).toISOString(),
+        reveal_before: new Date(now + COMMIT_MAX_AGE_MS).toISOString()
+      });
+    } catch (err) {
+      if (err instanceof ConflictError) {
+        return res.status(409).json({ error: 'Commitment already exists' });
+      }
+      log.error('DB error on commit', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Step 2 of commit-reveal: register the committed name. The name is owned by
+  // its address; use a transfer afterwards for a separate owner key.
+  router.post('/reveal', registrationLimiter, async (req, res) => {
+    const { secret, metadata } = req.body;
+
+    if (req.body.owner !== undefined && req.body.owner !== req.body.address) {
+      return res.status(400).json({ error: 'owner is not part of a commitment — transfer the name after registering' });
+    }
+
+    const parsed = parseRegistration(req.body);
+    if (parsed.error) {
+      return res.status(400).json(parsed.error);
+    }
+    const { cleanName, address, owner, years } = parsed;
+
+    if (typeof secret !== 'string' || !/^[0-9a-f]{64}$/.test(secret)) {
+      return res.status(400).json({ error: 'secret must be 32 random bytes in hex' });
+    }
+
+    const commitment = commitmentHash(cleanName, address, secret);
+    const now = Date.now();
+
+    try {
+      const existing = await store.getCommitment(commitment);
+      if (!existing) {
+        return res.status(404).json({ error: 'No commitment matches this name, address and secret' });
+      }
+
+      const createdAt = parseInt(existing.created_at);
+      if (now < createdAt + COMMIT_MIN_DELAY_MS) {
+        return res.status(425).json({
+          error: 'Commitment is too recent to reveal',
+          reveal_after: new Date(createdAt + COMMIT_MIN_DELAY_MS).toISOString()
+        });
+      }
+
+      if (now >= createdAt + COMMIT_MAX_AGE_MS) {
+        return res.status(410).json({
+          error: 'Commitment has expired — commit again',
+          reveal_before: new Date(createdAt + COMMIT_MAX_AGE_MS).toISOString()
+        });
+      }
+    } catch (err) {
+      log.error('DB error on reveal', { error: err.message });
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    try {
+      const result = await completeRegistration({
+        cleanName, address, owner, years, metadata, commitment, method: 'commit-reveal'
+      });
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      log.error('Registration error', { error: err.message });
+      res.status(500).json({ error: 'Failed to register name' });
+    }
+  });
+
+  // Update name address (owner only)
+  router.put('/update/:name', async (req, res) => {
+    const name = normalizeName(req.params.name);
+    const { address, signature } = req.body;
+
+    if (!isValidXRSName(name)) {
+      return res.status(400).json({ error: 'Invalid name format' });
+    }
+
+    if (!address || !isValidXRSAddress(address)) {
+      return res.status(400).json({ error: 'Invalid address format' });
+    }
+
+    if (!signature) {
+      return res.status(401).json({ error: 'Signature required for updates' });
+    }
+
+    const now = Date.now();
+
+    try {
+      // Look up current owner
+      const existing = await store.getName(name);
+      if (!existing) {
+        return res.status(404).json({ error: 'Name not found' });
+      }
+
+      if (nameStatus(existing.expires_at) !== 'active') {
+        return res.status(410).json({ error: 'Name has expired — renew it first', ...expiryInfo(existing.expires_at) });
+      }
+
+      const held = moderationError(existing);
+      if (held) {
+        return res.status(423).json(held);
+      }
+
+      const currentOwner = existing.owner;
+      const auth = await authorizeAction({
+        action: 'update',
+        fields: { name, address },
+        legacyMessage: `xrs-names:update:${name}:${address}`,
+        body: req.body,
+        signer: await managersOf(name, currentOwner),
+        invalidError: 'Invalid signature — must be signed by current owner'
+      });
+      if (!auth.ok) {
+        return res.status(auth.status).json({ error: auth.error });
+      }
+      if (auth.legacy) markLegacySignature(res);
+
+      await withTransaction(async tx => {
+        await tx.updateName(name, { address, owner_signature: signature, updated_at: new Date(now) });
+        await recordEvent(tx, {
+          name,
+          type: 'update',
+          address,
+          previousAddress: existing.address,
+          owner: currentOwner,
+          signature,
+          at: now
+        });
+      });
+
+      res.json({
+        success: true,
+        name: `${name}.xrs`,
+        address: address,
+        owner: currentOwner,
+        updated: new Date(now).toISOString()
+      });
+    } catch (err) {
+      log.error('DB error on update', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Transfer ownership (current owner only). With require_acceptance the
+  // recipient becomes pending_owner and must accept before ownership moves.
+  router.put('/transfer/:name', async (req, res) => {
+    const name = normalizeName(req.params.name);
+    const { new_owner: newOwner, signature } = req.body;
+    const requireAcceptance = req.body.require_acceptance === true;
+
+    if (!isValidXRSName(name)) {
+      return res.status(400).json({ error: 'Invalid name format' });
+    }
+
+    if (!newOwner || !isValidXRSAddress(newOwner)) {
+      return res.status(400).json({ error: 'Invalid new_owner format' });
+    }
+
+    if (!signature) {
+      return res.status(401).json({ error: 'Signature required for transfers' });
+    }
+
+    const now = Date.now();
+
+    try {
+      const existing = await store.getName(name);
+      if (!existing) {
+        return res.status(404).json({ error: 'Name not found' });
+      }
+
+      if (nameStatus(existing.expires_at) !== 'active') {
+        return res.status(410).json({ error: 'Name has expired — renew it first', ...expiryInfo(existing.expires_at) });
+      }
+
+      const held = moderationError(existing);
+      if (held) {
+        return res.status(423).json(held);
+      }
+
+      const currentOwner = existing.owner;
+      const auth = await authorizeAction({
+        action: 'transfer',
+        fields: { name, new_owner: newOwner, require_acceptance: requireAcceptance },
+        body: req.body,
+        signer: await managersOf(name, currentOwner),
+        invalidError: 'Invalid signature — must be signed by current owner'
+      });
+      if (!auth.ok) {
+        return res.status(auth.status).json({ error: auth.error });
+      }
+
+      // Transferring to yourself cancels any pending transfer
+      const pending = requireAcceptance && newOwner !== currentOwner;
+      const result = await withTransaction(async tx => {
+        const updated = await tx.updateName(
+          name,
+          pending
+            ? { pending_owner: newOwner, updated_at: new Date(now) }
+            : { owner: newOwner, pending_owner: null, updated_at: new Date(now) },
+          { owner: currentOwner }
+        );
+        if (!updated) return null;
+
+        await recordEvent(tx, {
+          name,
+          type: pending ? 'transfer-pending' : 'transfer',
+          address: existing.address,
+          owner: pending ? currentOwner : newOwner,
+          previousOwner: currentOwner,
+          data: pending ? { pending_owner: newOwner } : null,
+          signature: req.body.signature,
+          at: now
+        });
+        if (!pending && newOwner !== currentOwner) {
+          await cascadeOwnership(tx, name, currentOwner, newOwner);
+        }
+        return updated;
+      });
+      if (!result) {
+        return res.status(409).json({ error: 'Ownership changed during transfer, please retry' });
+      }
+
+      res.json({
+        success: true,
+        name: `${name}.xrs`,
+        owner: pending ? currentOwner : newOwner,
+        pending_owner: pending ? newOwner : null,
+        updated: new Date(now).toISOString()
+      });
+    } catch (err) {
+      log.error('DB error on transfer', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Accept a pending transfer (pending owner only)
+  router.put('/transfer/:name/accept', async (req, res) => {
+    const name = normalizeName(req.params.name);
+
+    if (!isValidXRSName(name)) {
+      return res.status(400).json({ error: 'Invalid name format' });
+    }
+
+    if (!req.body.signature) {
+      return res.status(401).json({ error: 'Signature required to accept a transfer' });
+    }
+
+    const now = Date.now();
+
+    try {
+      const existing = await store.getName(name);
+      if (!existing) {
+        return res.status(404).json({ error: 'Name not found' });
+      }
+
+      if (nameStatus(existing.expires_at) !== 'active') {
+        return res.status(410).json({ error: 'Name has expired — the owner must renew it first', ...expiryInfo(existing.expires_at) });
+      }
+
+      const held = moderationError(existing);
+      if (held) {
+        return res.status(423).json(held);
+      }
+
+      const pendingOwner = existing.pending_owner;
+      if (!pendingOwner) {
+        return res.status(409).json({ error: 'No pending transfer for this name' });
+      }
+
+      const auth = await authorizeAction({
+        action: 'accept-transfer',
+        fields: { name, owner: pendingOwner },
+        body: req.body,
+        signer: pendingOwner,
+        invalidError: 'Invalid signature — must be signed by the pending owner'
+      });
+      if (!auth.ok) {
+        return res.status(auth.status).json({ error: auth.error });
+      }
+
+      const previousOwner = existing.owner;
+      const result = await withTransaction(async tx => {
+        const updated = await tx.updateName(
+          name,
+          { owner: pendingOwner, pending_owner: null, updated_at: new Date(now) },
+          { pending_owner: pendingOwner }
+        );
+        if (!updated) return null;
+
+        await recordEvent(tx, {
+          name,
+          type: 'transfer',
+          address: existing.address,
+          owner: pendingOwner,
+          previousOwner,
+          data: { accepted: true },
+          signature: req.body.signature,
+          at: now
+        });
+        await cascadeOwnership(tx, name, previousOwner, pendingOwner);
+        return updated;
+      });
+      if (!result) {
+        return res.status(409).json({ error: 'Pending transfer changed, please retry' });
+      }
+
+      res.json({
+        success: true,
+        name: `${name}.xrs`,
+        owner: pendingOwner,
+        updated: new Date(now).toISOString()
+      });
+    } catch (err) {
+      log.error('DB error on transfer accept', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // List direct subnames of a name
+  router.get('/subnames/:parent', async (req, res) => {
+    const parent = normalizeName(req.params.parent);
+
+    if (!isValidXRSName(parent)) {
+      return res.status(400).json({ error: 'Invalid name format' });
+    }
+
+    try {
+      const subnames = await store.listSubnames(parent, Date.now());
+
+      res.json({
+        parent: `${parent}.xrs`,
+        subnames: subnames.map(r => ({
+          name: `${r.name}.xrs`,
+          unicode: displayName(r.name),
+          address: r.address,
+          owner: r.owner,
+          registered: new Date(r.registered_at).toISOString()
+        }))
+      });
+    } catch (err) {
+      log.error('DB error on subnames', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Create a subname (parent owner only). The subname inherits the parent's expiry.
+  router.post('/subnames/:parent', async (req, res) => {
+    const parent = normalizeName(req.params.parent);
+    const { label, address, signature, metadata } = req.body;
+
+    if (!isValidXRSName(parent)) {
+      return res.status(400).json({ error: 'Invalid parent name format' });
+    }
+
+    const cleanLabel = typeof label === 'string' ? normalizeName(label) : '';
+    if (!isValidXRSName(cleanLabel) || isSubname(cleanLabel)) {
+      return res.status(400).json({
+        error: 'Invalid label format',
+        reason: typeof label !== 'string' ? 'label is required'
+          : isSubname(cleanLabel) ? 'Label cannot contain dots' : nameError(label),
+        rules: '3-32 characters: lowercase letters, numbers, hyphens, or single-script Unicode/emoji'
+      });
+    }
+
+    const name = `${cleanLabel}.${parent}`;
+    if (!isValidXRSName(name)) {
+      return res.status(400).json({ error: `Subnames can be at most ${MAX_NAME_DEPTH} labels deep` });
+    }
+
+    if (!address || !isValidXRSAddress(address)) {
+      return res.status(400).json({ error: 'Invalid address format' });
+    }
+
+    if (req.body.owner !== undefined && !isValidXRSAddress(req.body.owner)) {
+      return res.status(400).json({ error: 'Invalid owner format' });
+    }
+
+    if (!signature) {
+      return res.status(401).json({ error: 'Signature required to create subnames' });
+    }
+
+    const now = Date.now();
+
+    try {
+      const existing = await store.getName(parent);
+      if (!existing) {
+        return res.status(404).json({ error: 'Parent name not found' });
+      }
+
+      if (nameStatus(existing.expires_at) !== 'active') {
+        return res.status(410).json({ error: 'Parent name has expired — renew it first', ...expiryInfo(existing.expires_at) });
+      }
+
+      const held = moderationError(existing);
+      if (held) {
+        return res.status(423).json(held);
+      }
+
+      const parentOwner = existing.owner;
+      const owner = req.body.owner || parentOwner;
+      const auth = await authorizeAction({
+        action: 'create-subname',
+        fields: { name, address, owner },
+        body: req.body,
+        signer: parentOwner,
+        invalidError: 'Invalid signature — must be signed by the parent owner'
+      });
+      if (!auth.ok) {
+        return res.status(auth.status).json({ error: auth.error });
+      }
+
+      const confusable = await findConfusable(store, name);
+      if (confusable) {
+        return res.status(409).json({
+          error: 'Name is confusable with an existing name',
+          name: `${name}.xrs`,
+          confusable_with: `${confusable}.xrs`
+        });
+      }
+
+      const expiresAt = parseInt(existing.expires_at);
+      const records = recordsFromMetadata(metadata);
+      await withTransaction(async tx => {
+        await tx.insertName({
+          name,
+          parent,
+          address,
+          owner,
+          owner_signature: signature,
+          registered_at: new Date(now),
+          updated_at: new Date(now),
+          expires_at: expiresAt,
+          records,
+          skeleton: nameSkeleton(name)
+        });
+        await recordEvent(tx, {
+          name,
+          type: 'register',
+          address,
+          owner,
+          data: { parent, records: safeJsonParse(records) },
+          signature,
+          at: now
+        });
+      });
+
+      res.status(201).json({
+        success: true,
+        name: `${name}.xrs`,
+        unicode: displayName(name),
+        parent: `${parent}.xrs`,
+        address: address,
+        owner: owner,
+        registered: new Date(now).toISOString(),
+        expires: new Date(expiresAt).toISOString()
+      });
+    } catch (err) {
+      if (err instanceof ConflictError) {
+        return res.status(409).json({
+          error: 'Name already registered',
+          name: `${name}.xrs`
+        });
+      }
+      log.error('DB error on subname create', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Revoke a subname and everything below it (parent owner or the subname's owner)
+  router.delete('/subnames/:name', async (req, res) => {
+    const name = normalizeName(req.params.name);
+
+    if (!isValidXRSName(name) || !isSubname(name)) {
+      return res.status(400).json({ error: 'Invalid subname format' });
+    }
+
+    if (!req.body.signature) {
+      return res.status(401).json({ error: 'Signature required to revoke subnames' });
+    }
+
+    try {
+      const existing = await store.getName(name);
+      if (!existing) {
+        return res.status(404).json({ error: 'Name not found' });
+      }
+
+      const held = moderationError(existing);
+      if (held) {
+        return res.status(423).json(held);
+      }
+
+      const auth = await authorizeAction({
+        action: 'revoke-subname',
+        fields: { name },
+        body: req.body,
+        signer: await managersOf(name, existing.owner),
+        invalidError: 'Invalid signature — must be signed by the parent owner or the subname owner'
+      });
+      if (!auth.ok) {
+        return res.status(auth.status).json({ error: auth.error });
+      }
+
+      const released = await withTransaction(tx => releaseNames(
+        tx,
+        { subtreeOf: name },
+        'revoked',
+        req.body.signature
+      ));
+
+      res.json({
+        success: true,
+        name: `${name}.xrs`,
+        revoked: released.map(r => `${r.name}.xrs`).sort()
+      });
+    } catch (err) {
+      log.error('DB error on subname revoke', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Renew a name (owner only). Allowed while active or in the grace period;
+  // the new term starts from the old expiry so renewing late loses nothing.
+  router.post('/renew/:name', async (req, res) => {
+    const name = normalizeName(req.params.name);
+    const years = req.body.years === undefined ? 1 : req.body.years;
+
+    if (!isValidXRSName(name)) {
+      return res.status(400).json({ error: 'Invalid name format' });
+    }
+
+    if (!Number.isInteger(years) || years < 1 || years > MAX_TERMS) {
+      return res.status(400).json({ error: `years must be an integer from 1 to ${MAX_TERMS}` });
+    }
+
+    if (isSubname(name)) {
+      return res.status(400).json({ error: 'Subnames share the expiry of their top-level name — renew that instead' });
+    }
+
+    if (!req.body.signature) {
+      return res.status(401).json({ error: 'Signature required for renewals' });
+    }
+
+    const now = Date.now();
+
+    try {
+      const existing = await store.getName(name);
+      if (!existing || nameStatus(existing.expires_at, now) === 'expired') {
+        return res.status(404).json({ error: 'Name not found' });
+      }
+
+      // A frozen name can still be renewed so a pending dispute doesn't cost the holder the name
+      if (existing.moderation === 'suspended') {
+        return res.status(423).json(moderationError(existing));
+      }
+
+      const currentOwner = existing.owner;
+      const currentExpiry = parseInt(existing.expires_at);
+      const newExpiry = currentExpiry + years * TERM_MS;
+      if (newExpiry > now + MAX_TERMS * TERM_MS) {
+        return res.status(400).json({
+          error: `A name can be renewed at most ${MAX_TERMS} years ahead`,
+          expires: new Date(currentExpiry).toISOString()
+        });
+      }
+
+      const auth = await authorizeAction({
+        action: 'renew',
+        fields: { name, years },
+        body: req.body,
+        signer: currentOwner,
+        invalidError: 'Invalid signature — must be signed by current owner'
+      });
+      if (!auth.ok) {
+        return res.status(auth.status).json({ error: auth.error });
+      }
+
+      const result = await withTransaction(async tx => {
+        const updated = await tx.updateName(
+          name,
+          { expires_at: newExpiry, updated_at: new Date(now) },
+          { owner: currentOwner, expires_at: currentExpiry }
+        );
+        if (!updated) return null;
+
+        await tx.updateSubtree(name, { expires_at: newExpiry }, { descendantsOnly: true });
+        await recordEvent(tx, {
+          name,
+          type: 'renew',
+          address: updated.address,
+          owner: currentOwner,
+          data: { years, previous_expires: new Date(currentExpiry).toISOString(), expires: new Date(newExpiry).toISOString() },
+          signature: req.body.signature,
+          at: now
+        });
+        return updated;
+      });
+      if (!result) {
+        return res.status(409).json({ error: 'Name changed during renewal, please retry' });
+      }
+
+      res.json({
+        success: true,
+        name: `${name}.xrs`,
+        ...expiryInfo(newExpiry, now)
+      });
+    } catch (err) {
+      log.error('DB error on renew', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createNameRoutes };
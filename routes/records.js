@@ -0,0 +1,277 @@
+// Records: text records, addresses on other chains and a content hash per
+// name. The validation rules live here; registration uses them for metadata.
+
+const crypto = require('crypto');
+const express = require('express');
+const { isValidXRSName, normalizeName, safeJsonParse, canonicalJson } = require('./common');
+
+// Record store: text records, addresses on other chains keyed by SLIP-44
+// coin type, and a content hash. Stored as JSON in names.records.
+const MAX_TEXT_RECORDS = 32;
+const MAX_ADDRESS_RECORDS = 16;
+const MAX_TEXT_VALUE_LENGTH = 256;
+const MAX_RECORDS_SIZE = 8 * 1024; // serialized bytes per name
+
+const HTTPS_URL_REGEX = /^https:\/\/[^\s]{1,248}$/;
+const TEXT_RECORD_RULES = {
+  description: value => value.length <= MAX_TEXT_VALUE_LENGTH,
+  display: value => value.length <= 64,
+  avatar: value => HTTPS_URL_REGEX.test(value) || /^ipfs:\/\/[a-zA-Z0-9]{10,128}(\/[^\s]*)?$/.test(value),
+  url: value => HTTPS_URL_REGEX.test(value),
+  website: value => HTTPS_URL_REGEX.test(value),
+  email: value => value.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  twitter: value => /^@?[A-Za-z0-9_]{1,15}$/.test(value),
+  github: value => /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/.test(value),
+  discord: value => value.length <= 64,
+  telegram: value => /^@?[A-Za-z0-9_]{5,32}$/.test(value),
+  location: value => value.length <= 128,
+  keywords: value => value.length <= MAX_TEXT_VALUE_LENGTH,
+  notice: value => value.length <= MAX_TEXT_VALUE_LENGTH
+};
+const CUSTOM_TEXT_KEY_REGEX = /^x-[a-z0-9]([a-z0-9-]{0,30}[a-z0-9])?$/;
+
+// Coin types with a known address format; other coin types get a generic check
+const ADDRESS_RECORD_RULES = {
+  0: value => /^(bc1[a-z0-9]{11,71}|[13][a-km-zA-HJ-NP-Z1-9]{25,34})$/.test(value), // Bitcoin
+  60: value => /^0x[0-9a-fA-F]{40}$/.test(value), // Ethereum
+  501: value => /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(value) // Solana
+};
+const CONTENTHASH_REGEX = /^(ipfs|ipns|bzz|ar):\/\/[a-zA-Z0-9._-]{10,128}$/;
+
+// Returns an error message, or null if the value is acceptable for the key
+function validateTextRecord(key, value) {
+  const rule = Object.hasOwn(TEXT_RECORD_RULES, key) ? TEXT_RECORD_RULES[key]
+    : CUSTOM_TEXT_KEY_REGEX.test(key) ? v => v.length <= MAX_TEXT_VALUE_LENGTH
+      : null;
+  if (!rule) return `Unknown text record key "${key}" — custom keys must start with x-`;
+  if (typeof value !== 'string' || value.length === 0 || value.length > MAX_TEXT_VALUE_LENGTH) {
+    return `Text record "${key}" must be a string of 1-${MAX_TEXT_VALUE_LENGTH} characters`;
+  }
+  return rule(value) ? null : `Invalid value for text record "${key}"`;
+}
+
+function validateAddressRecord(coinType, value) {
+  if (!/^(0|[1-9][0-9]{0,9})$/.test(coinType)) return `Invalid coin type "${coinType}"`;
+  if (typeof value !== 'string') return `Address for coin type ${coinType} must be a string`;
+  const rule = Object.hasOwn(ADDRESS_RECORD_RULES, coinType)
+    ? ADDRESS_RECORD_RULES[coinType]
+    : v => /^[A-Za-z0-9:._-]{8,128}$/.test(v);
+  return rule(value) ? null : `Invalid address for coin type ${coinType}`;
+}
+
+// Registration metadata: keep valid text records, silently drop the rest
+function sanitizeMetadata(metadata) {
+  if (!metadata || typeof metadata !== 'object') return null;
+  const sanitized = {};
+  for (const [key, value] of Object.entries(metadata).slice(0, MAX_TEXT_RECORDS)) {
+    if (!validateTextRecord(key, value)) {
+      sanitized[key] = value;
+    }
+  }
+  return Object.keys(sanitized).length > 0 ? sanitized : null;
+}
+
+function emptyRecords() {
+  return { text: {}, addresses: {}, contenthash: null };
+}
+
+// Rows written before the record store only have flat metadata JSON
+function parseRecords(recordsStr, legacyMetadataStr) {
+  const stored = safeJsonParse(recordsStr);
+  if (stored) return { ...emptyRecords(), ...stored };
+  return { ...emptyRecords(), text: safeJsonParse(legacyMetadataStr) || {} };
+}
+
+function recordsFromMetadata(metadata) {
+  const sanitized = sanitizeMetadata(metadata);
+  return JSON.stringify({ ...emptyRecords(), text: sanitized || {} });
+}
+
+/**
+ * Apply a change set { text?, addresses?, contenthash? } to existing records.
+ * A null value deletes that record. Returns { records } or { error }.
+ */
+function applyRecordChanges(current, changes) {
+  const next = {
+    text: { ...current.text },
+    addresses: { ...current.addresses },
+    contenthash: current.contenthash
+  };
+
+  if (changes.text !== undefined) {
+    if (!changes.text || typeof changes.text !== 'object' || Array.isArray(changes.text)) {
+      return { error: 'text must be an object of key/value pairs' };
+    }
+    for (const [key, value] of Object.entries(changes.text)) {
+      if (value === null) {
+        delete next.text[key];
+        continue;
+      }
+      const error = validateTextRecord(key, value);
+      if (error) return { error };
+      next.text[key] = value;
+    }
+  }
+
+  if (changes.addresses !== undefined) {
+    if (!changes.addresses || typeof changes.addresses !== 'object' || Array.isArray(changes.addresses)) {
+      return { error: 'addresses must be an object keyed by coin type' };
+    }
+    for (const [coinType, value] of Object.entries(changes.addresses)) {
+      if (value === null) {
+        delete next.addresses[coinType];
+        continue;
+      }
+      const error = validateAddressRecord(coinType, value);
+      if (error) return { error };
+      next.addresses[coinType] = value;
+    }
+  }
+
+  if (changes.contenthash !== undefined) {
+    if (changes.contenthash !== null && (typeof changes.contenthash !== 'string' || !CONTENTHASH_REGEX.test(changes.contenthash))) {
+      return { error: 'contenthash must be an ipfs://, ipns://, bzz:// or ar:// URI' };
+    }
+    next.contenthash = changes.contenthash;
+  }
+
+  if (Object.keys(next.text).length > MAX_TEXT_RECORDS) {
+    return { error: `At most ${MAX_TEXT_RECORDS} text records per name` };
+  }
+  if (Object.keys(next.addresses).length > MAX_ADDRESS_RECORDS) {
+    return { error: `At most ${MAX_ADDRESS_RECORDS} address records per name` };
+  }
+  if (Buffer.byteLength(JSON.stringify(next)) > MAX_RECORDS_SIZE) {
+    return { error: `Records exceed ${MAX_RECORDS_SIZE} bytes` };
+  }
+
+  return { records: next };
+}
+
+// GET and PUT /records/:name
+function createRecordRoutes(ctx) {
+  const {
+    store, log, nameStatus, expiryInfo, authorizeAction, withTransaction, recordEvent, managersOf, moderationError
+  } = ctx;
+  const router = express.Router();
+
+  // Read all records for a name
+  router.get('/records/:name', async (req, res) => {
+    const name = normalizeName(req.params.name);
+
+    if (!isValidXRSName(name)) {
+      return res.status(400).json({ error: 'Invalid name format' });
+    }
+
+    try {
+      const row = await store.getName(name);
+      if (!row || nameStatus(row.expires_at) !== 'active') {
+        return res.status(404).json({ error: 'Name not found', name: `${name}.xrs` });
+      }
+
+      res.json({
+        name: `${name}.xrs`,
+        records: parseRecords(row.records, row.metadata),
+        updated: new Date(row.updated_at).toISOString()
+      });
+    } catch (err) {
+      log.error('DB error on records', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Set or delete records (owner, or parent owner for subnames). Only the keys
+  // present in the body change; a null value deletes that record.
+  router.put('/records/:name', async (req, res) => {
+    const name = normalizeName(req.params.name);
+    const { text, addresses, contenthash, signature } = req.body;
+
+    if (!isValidXRSName(name)) {
+      return res.status(400).json({ error: 'Invalid name format' });
+    }
+
+    const changes = {};
+    if (text !== undefined) changes.text = text;
+    if (addresses !== undefined) changes.addresses = addresses;
+    if (contenthash !== undefined) changes.contenthash = contenthash;
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'Provide at least one of text, addresses or contenthash' });
+    }
+
+    if (!signature) {
+      return res.status(401).json({ error: 'Signature required to change records' });
+    }
+
+    const now = Date.now();
+
+    try {
+      const row = await store.getName(name);
+      if (!row) {
+        return res.status(404).json({ error: 'Name not found' });
+      }
+
+      if (nameStatus(row.expires_at) !== 'active') {
+        return res.status(410).json({ error: 'Name has expired — renew it first', ...expiryInfo(row.expires_at) });
+      }
+
+      const held = moderationError(row);
+      if (held) {
+        return res.status(423).json(held);
+      }
+
+      const applied = applyRecordChanges(parseRecords(row.records, row.metadata), changes);
+      if (applied.error) {
+        return res.status(400).json({ error: applied.error });
+      }
+
+      const recordsHash = crypto.createHash('sha256').update(canonicalJson(changes)).digest('hex');
+      const auth = await authorizeAction({
+        action: 'set-records',
+        fields: { name, records: recordsHash },
+        body: req.body,
+        signer: await managersOf(name, row.owner),
+        invalidError: 'Invalid signature — must be signed by current owner'
+      });
+      if (!auth.ok) {
+        return res.status(auth.status).json({ error: auth.error });
+      }
+
+      const result = await withTransaction(async tx => {
+        const updated = await tx.updateName(
+          name,
+          { records: JSON.stringify(applied.records), metadata: null, updated_at: new Date(now) },
+          { updated_at: row.updated_at }
+        );
+        if (!updated) return null;
+
+        await recordEvent(tx, {
+          name,
+          type: 'records',
+          address: updated.address,
+          owner: row.owner,
+          data: { changes },
+          signature,
+          at: now
+        });
+        return updated;
+      });
+      if (!result) {
+        return res.status(409).json({ error: 'Name changed while updating records, please retry' });
+      }
+
+      res.json({
+        success: true,
+        name: `${name}.xrs`,
+        records: applied.records,
+        updated: new Date(now).toISOString()
+      });
+    } catch (err) {
+      log.error('DB error on records update', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRecordRoutes, MAX_TEXT_RECORDS, MAX_ADDRESS_RECORDS, MAX_TEXT_VALUE_LENGTH, MAX_RECORDS_SIZE, TEXT_RECORD_RULES, emptyRecords, parseRecords, recordsFromMetadata };
@@ -0,0 +1,464 @@
+// About the service: the API documentation, a health check, nonces for
+// signed messages and the latest signed registry snapshot.
+
+const crypto = require('crypto');
+const express = require('express');
+const registryStats = require('../stats');
+const { SUGGESTION_SUFFIXES } = require('./lookups');
+const { EXPORT_COLUMNS } = require('./directory');
+const { STATS_DEFAULT_BUCKETS, MAX_STATS_BUCKETS } = require('./stats');
+const {
+  SIGNING_VERSION, NONCE_TTL_MS, DAY_MS, MAX_TERMS, MAX_BATCH_SIZE, MAX_NAME_DEPTH
+} = require('./common');
+const {
+  MAX_TEXT_RECORDS, MAX_ADDRESS_RECORDS, MAX_TEXT_VALUE_LENGTH, MAX_RECORDS_SIZE, TEXT_RECORD_RULES
+} = require('./records');
+
+// "100 requests per 15 minutes", for the API docs
+function describeLimit({ windowMs, max }) {
+  const minutes = windowMs / 60000;
+  return minutes % 60 === 0
+    ? `${max} requests per ${minutes === 60 ? 'hour' : `${minutes / 60} hours`}`
+    : `${max} requests per ${minutes} minutes`;
+}
+
+// GET /, /health and /snapshot, POST /nonce
+function createServiceRoutes(ctx) {
+  const {
+    store, config, metrics, log, SIGNING_DOMAIN, SIGNING_CHAIN, TERM_MS, GRACE_PERIOD_MS,
+    LEGACY_SIGNATURES_UNTIL, COMMIT_MIN_DELAY_MS, COMMIT_MAX_AGE_MS, SERVICE_PUBLIC_KEY,
+    SNAPSHOT_INTERVAL_MS, ATTESTATION_TTL_MS, HTTP_CACHE_MAX_AGE, RESPONSE_CACHE_MS,
+    currentSnapshot, snapshotBody, snapshotMessage
+  } = ctx;
+  const router = express.Router();
+
+  // API documentation
+  router.get('/', (req, res) => {
+    res.json({
+      service: 'XRS Names',
+      version: '1.1.0',
+      description: 'Human-readable name resolution for the Xeris blockchain',
+      base_url: `${req.protocol}://${req.get('host')}${req.baseUrl}`,
+      endpoints: {
+        'GET /api/health': {
+          description: 'Service health check',
+          response: '{ status, service, version }'
+        },
+        'GET /api/check/:name': {
+          description: 'Check if a name is available',
+          example: '/api/check/alice',
+          response: '{ name, unicode, available, status?, expires?, reserved?, reason?, confusable_with? }'
+        },
+        'GET /api/resolve/:name': {
+          description: 'Resolve a .xrs name to a wallet address. Names past their expiry return 410 with their status; frozen or suspended names return 423 { error, moderation, reason }.',
+          example: '/api/resolve/alice?proof=true',
+          response: '{ name, address, owner, pending_owner, parent, registered, status, expires, grace_ends, metadata, records, proof?, attestation }',
+          notes: 'metadata mirrors records.text for older clients. With proof=true every response, 404 included, carries a proof against the latest snapshot (see snapshots).'
+        },
+        'GET /api/records/:name': {
+          description: 'Read the text, multi-chain address and content hash records of a name',
+          example: '/api/records/alice',
+          response: '{ name, records: { text, addresses, contenthash }, updated }'
+        },
+        'PUT /api/records/:name': {
+          description: 'Set records (requires signature from current owner, or the parent owner for subnames). Only keys present change; null deletes a record.',
+          body: '{ text?: { key: value|null }, addresses?: { coinType: address|null }, contenthash?: string|null, signature, nonce, expires }',
+          signature_format: 'v1 message with action "set-records", fields name, records (hex SHA-256 of the canonical JSON of { text?, addresses?, contenthash? } as sent)',
+          response: '{ success, name, records, updated }'
+        },
+        'POST /api/resolve/batch': {
+          description: `Resolve up to ${MAX_BATCH_SIZE} names in one request. Results are in request order; unresolvable names have address null and an error.`,
+          body: '{ names: ["alice", "bob.xrs", ...], proof?: true }',
+          response: '{ results[{ name, address, owner?, status?, expires?, error?, proof? }], attestation }'
+        },
+        'POST /api/reverse/batch': {
+          description: `Reverse lookup for up to ${MAX_BATCH_SIZE} addresses in one request. Results are in request order.`,
+          body: '{ addresses: ["8BzQbGLHZhXp...", ...] }',
+          response: '{ results[{ address, names[], primary, primary_source }], attestation }'
+        },
+        'GET /api/reverse/:address': {
+          description: 'Reverse lookup — find names that resolve to an address, and names it owns',
+          example: '/api/reverse/8BzQbGLHZhXp...',
+          response: '{ address, names[], primary, primary_source, attestation, owned[] }',
+          notes: 'primary is the owner-chosen name (primary_source "owner") while it still resolves to the address, otherwise the oldest name pointing here ("oldest")'
+        },
+        'PUT /api/primary/:address': {
+          description: 'Choose which name is the primary (reverse) record for an address (requires signature from the address key)',
+          body: '{ name, signature, nonce, expires }',
+          signature_format: 'v1 message with action "set-primary", fields address, name',
+          response: '{ success, address, primary, updated }'
+        },
+        'POST /api/nonce': {
+          description: 'Issue a single-use nonce for a signed message',
+          response: '{ nonce, expires_at, version, domain, chain }'
+        },
+        'POST /api/register': {
+          description: 'Register a new .xrs name in one step. Only for trusted integrations, whose keys the operator configures; everyone else uses commit-reveal.',
+          body: '{ name, address, owner?, years?, signature, nonce, expires, metadata? }',
+          signature_format: 'v1 message with action "register", fields name, address, owner (defaults to address) — signed by a registration key',
+          response: '{ success, name, unicode, address, owner, registered, expires }'
+        },
+        'POST /api/commit': {
+          description: 'Step 1 of commit-reveal registration: commit to a name without revealing it',
+          body: '{ commitment: hex sha256("<name>:<address>:<secret>") — name in stored form without .xrs, secret 32 random bytes in hex }',
+          response: '{ commitment, created, reveal_after, reveal_before }'
+        },
+        'POST /api/reveal': {
+          description: `Step 2: register the committed name, at least ${COMMIT_MIN_DELAY_MS / 1000}s and at most ${COMMIT_MAX_AGE_MS / 3600000}h after committing. The name is owned by its address. A commitment can be revealed once.`,
+          body: '{ name, address, secret, years?, metadata? }',
+          response: '{ success, name, unicode, address, owner, registered, expires } — 425 before reveal_after, 410 after reveal_before'
+        },
+        'GET /api/subnames/:parent': {
+          description: 'List the direct subnames of a name',
+          example: '/api/subnames/alice',
+          response: '{ parent, subnames[] }'
+        },
+        'POST /api/subnames/:parent': {
+          description: 'Create a subname such as pay.alice.xrs (requires signature from the parent owner). Subnames share the expiry of their top-level name.',
+          body: '{ label, address, owner?, metadata?, signature, nonce, expires }',
+          signature_format: 'v1 message with action "create-subname", fields name (full, e.g. pay.alice), address, owner (defaults to parent owner)',
+          response: '{ success, name, parent, address, owner, registered, expires }'
+        },
+        'DELETE /api/subnames/:name': {
+          description: 'Revoke a subname and all subnames below it (parent owner or subname owner)',
+          body: '{ signature, nonce, expires }',
+          signature_format: 'v1 message with action "revoke-subname", fields name',
+          response: '{ success, name, revoked[] }'
+        },
+        'POST /api/renew/:name': {
+          description: 'Extend a registration by whole terms (requires signature from current owner). Also works during the grace period.',
+          body: '{ years?, signature, nonce, expires }',
+          signature_format: 'v1 message with action "renew", fields name, years',
+          response: '{ success, name, expires, grace_ends }'
+        },
+        'PUT /api/update/:name': {
+          description: 'Update the address for a registered name (requires signature from current owner)',
+          body: '{ address, signature, nonce, expires }',
+          signature_format: 'v1 message with action "update", fields name, address — required, signed by current owner',
+          response: '{ success, name, address, owner, updated }'
+        },
+        'PUT /api/transfer/:name': {
+          description: 'Transfer ownership of a name (requires signature from current owner). The resolved address is unchanged.',
+          body: '{ new_owner, require_acceptance?, signature, nonce, expires }',
+          signature_format: 'v1 message with action "transfer", fields name, new_owner, require_acceptance (true|false)',
+          response: '{ success, name, owner, pending_owner, updated }'
+        },
+        'PUT /api/transfer/:name/accept': {
+          description: 'Accept a pending transfer (requires signature from the pending owner)',
+          body: '{ signature, nonce, expires }',
+          signature_format: 'v1 message with action "accept-transfer", fields name, owner (the pending owner)',
+          response: '{ success, name, owner, updated }'
+        },
+        'GET /api/history/:name': {
+          description: 'Append-only change log for a name (register, update, transfer, records, renew, release, ...), newest first',
+          example: '/api/history/alice?limit=50&before=1234',
+          response: '{ name, events[{ id, type, name, address, previous_address, owner, previous_owner, data, signature, timestamp }], next_cursor }',
+          notes: 'Pass next_cursor as before to get the next page'
+        },
+        'GET /api/history/address/:address': {
+          description: 'Change log entries where the address was the resolved address or owner, before or after the change',
+          example: '/api/history/address/8BzQbGLHZhXp...?limit=50',
+          response: '{ address, events[], next_cursor }'
+        },
+        'GET /api/events': {
+          description: 'Server-Sent Events stream of registry changes (same event objects as /api/history). Reconnect with Last-Event-ID to replay missed events; each event is sent once, in id order. If the replay fails, the stream sends an "error" event and closes so the client reconnects and retries.',
+          example: '/api/events?name=alice&address=8BzQbGLHZhXp...&types=register,update',
+          response: 'text/event-stream — "id: <event id>", "event: <type>", "data: <event JSON>"'
+        },
+        'POST /api/webhooks': {
+          description: 'Register a webhook for registry events (requires signature from the owner key). Returns the HMAC secret once.',
+          body: '{ url, owner, names?: [], addresses?: [], types?: [], signature, nonce, expires }',
+          signature_format: 'v1 message with action "create-webhook", fields owner, url',
+          response: '{ success, id, url, secret, filter, created }',
+          delivery: 'POST { delivery, event } with X-XRS-Event, X-XRS-Event-Id, X-XRS-Timestamp and X-XRS-Signature: sha256=HMAC-SHA256(secret, "<timestamp>.<body>") headers. Non-2xx responses are retried after 10s, 1m, 5m, 30m and 2h.'
+        },
+        'DELETE /api/webhooks/:id': {
+          description: 'Remove a webhook (requires signature from its owner key)',
+          body: '{ signature, nonce, expires }',
+          signature_format: 'v1 message with action "delete-webhook", fields id',
+          response: '{ success, id }'
+        },
+        'GET /api/admin/reserved': {
+          description: 'Names and patterns that cannot be registered (built-in list and admin reservations)',
+          response: '{ reserved[{ id?, pattern, reason?, source, created_by?, created? }] }'
+        },
+        'POST /api/admin/reserved': {
+          description: 'Reserve a name or a pattern with * and ? wildcards (admin only). Reservations also block confusable lookalikes.',
+          body: '{ admin, pattern, reason?, signature, nonce, expires }',
+          signature_format: 'v1 message with action "admin-reserve", fields admin, pattern (normalized)',
+          response: '{ success, id, pattern, reason, created }'
+        },
+        'DELETE /api/admin/reserved/:id': {
+          description: 'Lift an admin reservation (admin only)',
+          body: '{ admin, signature, nonce, expires }',
+          signature_format: 'v1 message with action "admin-unreserve", fields admin, id',
+          response: '{ success, id, pattern }'
+        },
+        'PUT /api/admin/names/:name/moderation': {
+          description: 'Freeze or suspend a name and its subnames, or lift the hold with status "active" (admin only). Held names return 423 on resolve, drop out of reverse lookups and reject owner changes; frozen names can still be renewed.',
+          body: '{ admin, status: "frozen"|"suspended"|"active", reason?, signature, nonce, expires }',
+          signature_format: 'v1 message with action "admin-moderate", fields admin, name, status',
+          response: '{ success, name, status, reason, affected[], updated }'
+        },
+        'PUT /api/admin/names/:name/reassign': {
+          description: 'Give a disputed name to a new owner and address (admin only). An unregistered top-level name, reserved or not, is registered for one term.',
+          body: '{ admin, owner, address, reason?, signature, nonce, expires }',
+          signature_format: 'v1 message with action "admin-reassign", fields admin, name, owner, address',
+          response: '{ success, name, owner, address, created, expires, updated }'
+        },
+        'GET /api/admin/audit': {
+          description: 'Log of every admin action, newest first',
+          example: '/api/admin/audit?limit=50&before=1234',
+          response: '{ entries[{ id, admin, action, target, data, signature, timestamp }], next_cursor }'
+        },
+        'GET /api/search?q=:query': {
+          description: 'Search names containing the query or spelled like it (trigram similarity, typos included; dotted subnames too). Best matches first: exact, prefix, substring, then similar by similarity. Unicode labels are matched in stored (punycode) form, so whole Unicode and emoji labels find their names; query is the stored form searched for.',
+          example: '/api/search?q=ali&limit=20',
+          response: '{ query, results[{ name, unicode, address, registered, match: "exact"|"prefix"|"substring"|"similar", similarity }] }'
+        },
+        'GET /api/suggest/:name': {
+          description: `Available alternatives to a top-level name: hyphenations, suffixes (${SUGGESTION_SUFFIXES.join(', ')}), prefixes and numbers, closest first. Reserved and confusable names are left out.`,
+          example: '/api/suggest/alice?limit=10',
+          response: '{ name, unicode, available, suggestions[{ name, unicode, kind: "hyphenation"|"suffix"|"prefix"|"numeric" }] }'
+        },
+        'GET /api/recent': {
+          description: 'List recently registered names',
+          example: '/api/recent?limit=10',
+          response: '{ recent[] }'
+        },
+        'GET /api/directory': {
+          description: 'Directory of all registered names, a page at a time. sort: name (byte order, default), registered or updated; order: asc (default) or desc. Filters: min_length, max_length (stored name, subnames included), registered_after (ISO date or ms), has_metadata (true|false).',
+          example: '/api/directory?sort=registered&order=desc&min_length=3&max_length=5&limit=50',
+          response: '{ entries[{ name, unicode, address, owner, parent, registered, updated, expires }], sort, order, next_cursor }',
+          notes: 'Pass next_cursor as cursor, with the same sort, order and filters, to get the next page; null on the last page'
+        },
+        'GET /api/export': {
+          description: `Whole registry as a download, streamed. format: ndjson (default) or csv (columns: ${EXPORT_COLUMNS.join(', ')}; records as JSON). Takes the directory's sort, order and filters.`,
+          example: '/api/export?format=csv',
+          response: 'One entry per line: directory entry fields plus records'
+        },
+        'GET /api/snapshot': {
+          description: 'Latest signed registry snapshot: the Merkle root over every registered name',
+          response: '{ sequence, root, size, created, domain, chain, public_key, signature, algorithm, message }'
+        },
+        'GET /api/stats': {
+          description: 'Registry statistics',
+          response: '{ total_names, unique_owners, unique_addresses, service, version }'
+        },
+        'GET /api/stats/timeseries': {
+          description: `Registrations, updates (every other change to a name), address changes and releases per UTC hour, day or week (from Monday). from and to (ISO date or ms) widen to whole buckets; by default the latest ${STATS_DEFAULT_BUCKETS.hour} hours, ${STATS_DEFAULT_BUCKETS.day} days or ${STATS_DEFAULT_BUCKETS.week} weeks. At most ${MAX_STATS_BUCKETS} buckets.`,
+          example: '/api/stats/timeseries?interval=day&from=2026-01-01&to=2026-01-31',
+          response: '{ interval, from, to, points[{ time, registrations, updates, address_changes, releases }] }'
+        },
+        'GET /api/stats/distribution': {
+          description: `Top-level names by length (Unicode code points) and character class (${registryStats.CHARACTER_CLASSES.join(', ')})`,
+          response: '{ total_names, top_level, subnames, length[{ length, names }], character_class[{ class, names }] }'
+        },
+        'GET /api/stats/top-days': {
+          description: 'UTC days with the most registrations',
+          example: '/api/stats/top-days?limit=10',
+          response: '{ days[{ day, registrations }] }'
+        },
+        'GET /api/stats/churn': {
+          description: 'Activity totals over a range of days (default the last 30), with churn_rate: address changes per registered name',
+          example: '/api/stats/churn?from=2026-01-01',
+          response: '{ from, to, registrations, updates, address_changes, releases, net_growth, names, churn_rate }'
+        }
+      },
+      signing: {
+        algorithm: 'Ed25519 detached signature (base58-encoded)',
+        version: SIGNING_VERSION,
+        domain: SIGNING_DOMAIN,
+        chain: SIGNING_CHAIN,
+        message_format: [
+          'xrs-names signed message',
+          'version: 1',
+          `domain: ${SIGNING_DOMAIN}`,
+          `chain: ${SIGNING_CHAIN}`,
+          'action: <action>',
+          '<field>: <value>   (one line per action field, in the order listed below)',
+          'nonce: <nonce from POST /api/nonce>',
+          'expires: <Unix timestamp in ms, at most 1 hour ahead>'
+        ].join('\n'),
+        actions: {
+          register: 'fields: name, address, owner — required, must be signed by a registration key (trusted integrations only)',
+          update: 'fields: name, address (the new address) — required, must be signed by current owner',
+          transfer: 'fields: name, new_owner, require_acceptance — required, must be signed by current owner',
+          'accept-transfer': 'fields: name, owner — required, must be signed by the pending owner',
+          renew: 'fields: name, years — required, must be signed by current owner',
+          'create-subname': 'fields: name, address, owner — required, must be signed by the parent owner',
+          'revoke-subname': 'fields: name — required, signed by the parent owner or the subname owner',
+          'set-primary': 'fields: address, name — required, must be signed by the address',
+          'set-records': 'fields: name, records — required, must be signed by current owner (or parent owner for subnames)',
+          'create-webhook': 'fields: owner, url — required, signed by the owner key',
+          'delete-webhook': 'fields: id — required, signed by the webhook owner key',
+          'admin-reserve': 'fields: admin, pattern — signed by an admin key',
+          'admin-unreserve': 'fields: admin, id — signed by an admin key',
+          'admin-moderate': 'fields: admin, name, status — signed by an admin key',
+          'admin-reassign': 'fields: admin, name, owner, address — signed by an admin key'
+        },
+        canonical_json: 'JSON with object keys sorted at every level and no whitespace',
+        subnames: 'update and transfer of a subname may be signed by its owner or its parent owner. When a name is transferred, subnames still owned by the previous owner move with it; others keep their owner. Subnames expire, renew and are released together with their top-level name; revoking a subname removes its subtree.',
+        flow: 'POST /api/nonce, sign the message (lines joined with "\\n", UTF-8), then send signature, nonce and expires in the request body. Each nonce can be used once.',
+        legacy: {
+          update: 'sign("xrs-names:update:<name>:<new_address>")',
+          accepted_until: LEGACY_SIGNATURES_UNTIL.toISOString(),
+          notes: 'Used when no nonce is sent. Replayable — responses carry Deprecation and Sunset headers.'
+        },
+        notes: 'Owners and addresses are base58-encoded Ed25519 public keys (32 bytes). Signatures are base58-encoded Ed25519 detached signatures (64 bytes). Names are signed in their stored (punycode) form without the .xrs suffix.'
+      },
+      records: {
+        text_keys: [...Object.keys(TEXT_RECORD_RULES), 'x-<custom>'],
+        addresses: 'Keyed by SLIP-44 coin type, e.g. 0 (BTC), 60 (ETH), 501 (SOL)',
+        contenthash: 'ipfs://, ipns://, bzz:// or ar:// URI',
+        limits: {
+          text_records: MAX_TEXT_RECORDS,
+          address_records: MAX_ADDRESS_RECORDS,
+          text_value_length: MAX_TEXT_VALUE_LENGTH,
+          total_bytes: MAX_RECORDS_SIZE
+        }
+      },
+      names: {
+        ascii: '3-32 characters per label: lowercase letters, numbers, hyphens (no leading, trailing or consecutive hyphens)',
+        unicode: 'Labels may use Unicode letters and emoji. Input is folded (NFKC, lowercase, NFC; variation selectors dropped) and stored as punycode, e.g. ålice -> xn--lice-poa. Responses carry both name (stored form) and unicode (display form).',
+        confusables: 'A label may not mix scripts (Latin with Han/Kana, Han/Hangul or Han/Bopomofo is allowed) and may not look like a plain ASCII label (e.g. Cyrillic "аре"). A Unicode name whose confusable skeleton matches a registered name is refused with 409.',
+        max_depth: MAX_NAME_DEPTH,
+        rules_script: '/xrs-name-rules.js'
+      },
+      lifecycle: {
+        term_days: TERM_MS / DAY_MS,
+        grace_period_days: GRACE_PERIOD_MS / DAY_MS,
+        max_years: MAX_TERMS,
+        notes: 'A term is one "year". After expiry the name stops resolving; during the grace period only the owner can renew it. After the grace period it is released and can be registered again.'
+      },
+      attestations: {
+        description: 'Resolve and reverse responses (single and batch) carry a signature by the service key over their answers, so a proxy or CDN cannot alter them',
+        public_key: SERVICE_PUBLIC_KEY,
+        response: '{ timestamp, expires, domain, chain, public_key, signature } (Unix ms)',
+        message_format: [
+          'xrs-names <resolve|reverse> attestation',
+          'version: 1',
+          `domain: ${SIGNING_DOMAIN}`,
+          `chain: ${SIGNING_CHAIN}`,
+          'timestamp: <timestamp>',
+          'expires: <expires>',
+          '<one line per answer, in result order>'
+        ].join('\n'),
+        resolve_line: '<name>: <address> for each valid name (stored form, no .xrs), with - as the address when it does not resolve (404, 410 and 423 answers included)',
+        reverse_line: '<address>: <primary or -> <names, comma-separated, or -> for each valid address',
+        ttl_seconds: ATTESTATION_TTL_MS / 1000,
+        notes: 'Reject an attestation after expires. owned[] on GET /api/reverse/:address is not covered.'
+      },
+      snapshots: {
+        interval_seconds: SNAPSHOT_INTERVAL_MS / 1000,
+        public_key: SERVICE_PUBLIC_KEY,
+        entry: 'canonical JSON of { name, owner, address, records, expires } (name in stored form, records as in /api/records, expires in Unix ms)',
+        leaf_hash: 'SHA-256(0x00 || entry)',
+        node_hash: 'SHA-256(0x01 || left || right)',
+        tree: 'Leaves sorted by name in byte order. Each level pairs nodes left to right; an odd last node moves up unchanged. The root of an empty tree is SHA-256 of nothing. Hashes are hex.',
+        message_format: [
+          'xrs-names registry snapshot',
+          'version: 1',
+          `domain: ${SIGNING_DOMAIN}`,
+          `chain: ${SIGNING_CHAIN}`,
+          'sequence: <sequence>',
+          'root: <root>',
+          'size: <size>',
+          'timestamp: <created, Unix ms>'
+        ].join('\n'),
+        proof: '{ snapshot, included, index, entry, path } when the name is in the snapshot, else { snapshot, included: false, left, right } with the neighbouring leaves (null at either end). path lists sibling hashes from the leaf up; at each level the sibling is on the left when the index is odd, and a node with no sibling moves up.',
+        notes: 'Pin public_key and verify the signature over message_format, then the proof against root. Proofs are against the latest periodic snapshot, so a change can take up to interval_seconds to appear in them.'
+      },
+      dns: {
+        zone: 'xrs.',
+        doh: config.doh ? 'GET /dns-query?dns=<base64url message> or POST /dns-query with an application/dns-message body (RFC 8484)' : null,
+        server: config.dnsPort !== null ? `UDP and TCP port ${config.dnsPort}` : null,
+        udp_rate_limit: config.dnsPort !== null && config.rateLimits && config.rateLimits.dns
+          ? `${config.rateLimits.dns.max} queries per ${config.rateLimits.dns.windowMs / 1000} seconds per source address; the rest are dropped`
+          : null,
+        txt_records: [
+          'address=<address>',
+          'text.<key>=<value>',
+          'addr.<coin type>=<address>',
+          'contenthash=<uri>'
+        ],
+        ttl_seconds: config.dnsTtl,
+        negative_ttl_seconds: config.dnsNegativeTtl,
+        example: 'dig @<host> -p <port> TXT alice.xrs',
+        notes: 'Answers TXT queries from the same data as GET /api/resolve/:name. Names that do not resolve (unregistered, expired or moderated) return NXDOMAIN; other record types return an empty answer. Unicode names are queried in punycode form. TTLs never run past a name\'s expiry. DNS-over-HTTPS counts against the general rate limit.'
+      },
+      caching: {
+        routes: 'GET /api/resolve/:name, /api/reverse/:address, /api/directory, /api/stats',
+        cache_control: `public, max-age=<seconds>: ${Object.entries(HTTP_CACHE_MAX_AGE).map(([route, seconds]) => `${route} ${seconds}`).join(', ')}`,
+        validators: 'ETag (weak, over the response without its attestation) on 200 responses; Last-Modified on /api/resolve/:name from the name\'s last change, once that second is over; If-None-Match is used over If-Modified-Since when both are sent',
+        conditional: 'If-None-Match or If-Modified-Since matching the current answer returns 304 with no body. 304 responses do not count against the general rate limit.',
+        server_cache_seconds: RESPONSE_CACHE_MS / 1000,
+        notes: 'notFound covers 404, 410 and 423 answers. A 304 carries no new attestation, so clients that check attestations should ask unconditionally.'
+      },
+      operations: {
+        liveness: 'GET /healthz returns 200 ok while the process is up',
+        readiness: 'GET /readyz returns 200 { status: "ready", checks } once the database is initialized and answering, else 503 { status: "unavailable", checks }',
+        metrics: config.metrics
+          ? `GET /metrics in the Prometheus text format${config.metricsToken ? ', with Authorization: Bearer <token>' : ''}`
+          : null,
+        request_id: 'Every response carries X-Request-Id: the request\'s own (up to 128 letters, digits and ._:-) or a new UUID. Quote it when reporting a problem.'
+      },
+      rate_limits: config.rateLimits ? {
+        general: describeLimit(config.rateLimits.general),
+        registration: describeLimit(config.rateLimits.registration),
+        export: describeLimit(config.rateLimits.export)
+      } : 'none',
+      explorer: 'https://explorer.xerisweb.com/account/{address}'
+    });
+  });
+
+  // Health check
+  router.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      service: 'XRS Names',
+      version: '1.1.0'
+    });
+  });
+
+  // Issue a nonce for a v1 signed message
+  router.post('/nonce', async (req, res) => {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const now = Date.now();
+    const expiresAt = now + NONCE_TTL_MS;
+
+    try {
+      await store.insertNonce({ nonce, issued_at: now, expires_at: expiresAt });
+
+      res.status(201).json({
+        nonce,
+        expires_at: new Date(expiresAt).toISOString(),
+        version: SIGNING_VERSION,
+        domain: SIGNING_DOMAIN,
+        chain: SIGNING_CHAIN
+      });
+    } catch (err) {
+      log.error('DB error on nonce', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Latest signed registry snapshot
+  router.get('/snapshot', async (req, res) => {
+    try {
+      const { row } = await currentSnapshot();
+      res.json({
+        ...snapshotBody(row),
+        algorithm: 'Ed25519',
+        message: snapshotMessage(row)
+      });
+    } catch (err) {
+      log.error('DB error on snapshot', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createServiceRoutes };
@@ -0,0 +1,129 @@
+// Registry snapshots: a Merkle tree over every name (see merkle.js), rebuilt
+// every SNAPSHOT_INTERVAL_MS by the background job. The signed root is
+// published at /snapshot and resolve responses can carry proofs against it;
+// proofs never trigger a rebuild, so changes show up in the next snapshot.
+
+const merkle = require('../merkle');
+const { ConflictError } = require('../store');
+const { SIGNING_VERSION, canonicalJson } = require('./common');
+const { parseRecords } = require('./records');
+
+/**
+ * Snapshot state for one router. Returns { currentSnapshot, refreshSnapshot,
+ * nameProof, snapshotBody, snapshotMessage }.
+ */
+function createSnapshots({
+  store, log, SIGNING_DOMAIN, SIGNING_CHAIN, SERVICE_PUBLIC_KEY, SNAPSHOT_RETENTION_MS, serviceSignature
+}) {
+  let snapshot = null; // { row, tree, entries }
+  let snapshotBuild = null;
+
+  // What a snapshot commits to for each name
+  function snapshotEntry(row) {
+    return {
+      name: row.name,
+      owner: row.owner,
+      address: row.address,
+      records: parseRecords(row.records, row.metadata),
+      expires: parseInt(row.expires_at)
+    };
+  }
+
+  function snapshotMessage({ sequence, root, size, created_at }) {
+    return [
+      'xrs-names registry snapshot',
+      `version: ${SIGNING_VERSION}`,
+      `domain: ${SIGNING_DOMAIN}`,
+      `chain: ${SIGNING_CHAIN}`,
+      `sequence: ${sequence}`,
+      `root: ${root}`,
+      `size: ${size}`,
+      `timestamp: ${created_at}`
+    ].join('\n');
+  }
+
+  function snapshotBody(row) {
+    return {
+      sequence: row.sequence,
+      root: row.root,
+      size: row.size,
+      created: new Date(parseInt(row.created_at)).toISOString(),
+      domain: SIGNING_DOMAIN,
+      chain: SIGNING_CHAIN,
+      public_key: row.public_key,
+      signature: row.signature
+    };
+  }
+
+  // Build the tree and publish its root, unless an identical snapshot (this
+  // instance's or another's) is already signed with our key
+  async function buildSnapshot() {
+    const entries = (await store.snapshotEntries()).map(snapshotEntry);
+    const tree = merkle.buildTree(entries.map(entry => ({ key: entry.name, data: canonicalJson(entry) })));
+    const same = row => row && row.root === tree.root && row.size === tree.size && row.public_key === SERVICE_PUBLIC_KEY;
+
+    if (snapshot && same(snapshot.row)) return snapshot;
+
+    let latest = await store.latestSnapshot();
+    for (let attempt = 0; !same(latest); attempt++) {
+      const row = {
+        sequence: (latest ? latest.sequence : 0) + 1,
+        root: tree.root,
+        size: tree.size,
+        public_key: SERVICE_PUBLIC_KEY,
+        created_at: Date.now()
+      };
+      row.signature = serviceSignature(snapshotMessage(row));
+      try {
+        latest = await store.insertSnapshot(row);
+      } catch (err) {
+        // Another instance took the sequence; go again on top of its snapshot
+        if (!(err instanceof ConflictError) || attempt >= 2) throw err;
+        latest = await store.latestSnapshot();
+      }
+    }
+
+    snapshot = { row: latest, tree, entries };
+    return snapshot;
+  }
+
+  // The latest snapshot this instance built; only the first call builds one
+  async function currentSnapshot() {
+    if (snapshot) return snapshot;
+    if (!snapshotBuild) snapshotBuild = buildSnapshot().finally(() => { snapshotBuild = null; });
+    return snapshotBuild;
+  }
+
+  // The periodic job: build a snapshot of the registry as it is now, then
+  // drop stored snapshots past SNAPSHOT_RETENTION_MS (never the latest)
+  async function refreshSnapshot() {
+    try {
+      await buildSnapshot();
+      await store.pruneSnapshots(Date.now() - SNAPSHOT_RETENTION_MS);
+    } catch (err) {
+      log.error('Snapshot error', { error: err.message });
+    }
+  }
+
+  /**
+   * Proof that name is (or is not) in the current snapshot. An inclusion
+   * proof carries the entry, its leaf index and sibling path; a non-inclusion
+   * proof carries the same for the neighbouring entries on either side.
+   */
+  async function nameProof(name) {
+    const { row, tree, entries } = await currentSnapshot();
+    const { found, index } = merkle.findKey(tree, name);
+    const leaf = i => ({ index: i, entry: entries[i], path: merkle.proofPath(tree, i) });
+    const proof = { snapshot: snapshotBody(row), included: found };
+    if (found) return { ...proof, ...leaf(index) };
+    return {
+      ...proof,
+      left: index > 0 ? leaf(index - 1) : null,
+      right: index < tree.size ? leaf(index) : null
+    };
+  }
+
+  return { currentSnapshot, refreshSnapshot, nameProof, snapshotBody, snapshotMessage };
+}
+
+module.exports = { createSnapshots };
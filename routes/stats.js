@@ -0,0 +1,169 @@
+// Registry statistics: totals, activity time series, name distribution,
+// busiest days and address churn, served from the rollups in ../stats.js.
+
+const express = require('express');
+const registryStats = require('../stats');
+const { parseTime } = require('./common');
+
+// Statistics series: buckets shown by default per interval, and at most
+const STATS_DEFAULT_BUCKETS = { hour: 48, day: 30, week: 26 };
+const MAX_STATS_BUCKETS = 1000;
+
+// /stats and /stats/*
+function createStatsRoutes(ctx) {
+  const { store, log, httpCache } = ctx;
+  const router = express.Router();
+
+  // Stats
+  router.get('/stats', httpCache('stats'), async (req, res) => {
+    try {
+      const stats = await store.stats();
+
+      res.json({
+        ...stats,
+        service: 'XRS Names - Public Good',
+        version: '1.1.0'
+      });
+    } catch (err) {
+      log.error('DB error on stats', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // ?from=&to= (ISO date or ms) widened to whole buckets of interval: from the
+  // start of from's bucket up to the end of to's. Defaults to the latest
+  // STATS_DEFAULT_BUCKETS buckets. Returns { from, to, buckets } or { error }.
+  function statsRange(query, interval) {
+    const size = registryStats.INTERVAL_MS[interval];
+    const to = query.to === undefined ? new Date() : parseTime(query.to);
+    if (!to) return { error: 'to must be an ISO date or a Unix timestamp in ms' };
+    const end = registryStats.bucketStart(to.getTime(), interval) + size;
+
+    const from = query.from === undefined ? new Date(end - STATS_DEFAULT_BUCKETS[interval] * size) : parseTime(query.from);
+    if (!from) return { error: 'from must be an ISO date or a Unix timestamp in ms' };
+    const start = registryStats.bucketStart(from.getTime(), interval);
+
+    const buckets = (end - start) / size;
+    if (buckets < 1) return { error: 'from must be before to' };
+    if (buckets > MAX_STATS_BUCKETS) {
+      return { error: `At most ${MAX_STATS_BUCKETS} ${interval}s per request` };
+    }
+    return { from: new Date(start), to: new Date(end), buckets };
+  }
+
+  function statsInterval(query) {
+    const interval = query.interval || 'day';
+    return registryStats.INTERVAL_MS[interval] ? interval : null;
+  }
+
+  // Registrations, updates, address changes and releases per hour, day or
+  // week, read from the hourly rollup. Every bucket in the range is listed.
+  router.get('/stats/timeseries', httpCache('stats'), async (req, res) => {
+    const interval = statsInterval(req.query);
+    if (!interval) {
+      return res.status(400).json({ error: 'interval must be one of hour, day, week' });
+    }
+    const range = statsRange(req.query, interval);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    try {
+      const rows = await store.activitySeries({ interval, from: range.from, to: range.to });
+      const byTime = new Map(rows.map(row => [new Date(row.time).getTime(), row]));
+      const size = registryStats.INTERVAL_MS[interval];
+      const points = [];
+      for (let i = 0; i < range.buckets; i++) {
+        const time = range.from.getTime() + i * size;
+        const row = byTime.get(time);
+        points.push({
+          time: new Date(time).toISOString(),
+          registrations: row ? row.registrations : 0,
+          updates: row ? row.updates : 0,
+          address_changes: row ? row.address_changes : 0,
+          releases: row ? row.releases : 0
+        });
+      }
+
+      res.json({ interval, from: range.from.toISOString(), to: range.to.toISOString(), points });
+    } catch (err) {
+      log.error('DB error on stats timeseries', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Names by length and character class (top-level names), and by level
+  router.get('/stats/distribution', httpCache('stats'), async (req, res) => {
+    try {
+      const rows = await store.nameStats();
+      const count = (dimension, bucket) => {
+        const row = rows.find(r => r.dimension === dimension && r.bucket === bucket);
+        return row ? parseInt(row.names) : 0;
+      };
+
+      res.json({
+        total_names: count('level', 'top_level') + count('level', 'subname'),
+        top_level: count('level', 'top_level'),
+        subnames: count('level', 'subname'),
+        length: rows
+          .filter(r => r.dimension === 'length')
+          .map(r => ({ length: parseInt(r.bucket), names: parseInt(r.names) }))
+          .sort((a, b) => a.length - b.length),
+        character_class: registryStats.CHARACTER_CLASSES.map(characterClass => ({
+          class: characterClass,
+          names: count('class', characterClass)
+        }))
+      });
+    } catch (err) {
+      log.error('DB error on stats distribution', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // UTC days with the most registrations
+  router.get('/stats/top-days', httpCache('stats'), async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+    try {
+      const days = await store.topDays(limit);
+      res.json({
+        days: days.map(d => ({ day: new Date(d.day).toISOString().slice(0, 10), registrations: d.registrations }))
+      });
+    } catch (err) {
+      log.error('DB error on stats top days', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  // Address churn over a range (default the last 30 days): how many times
+  // names were pointed somewhere new, against the names registered now
+  router.get('/stats/churn', httpCache('stats'), async (req, res) => {
+    const range = statsRange(req.query, 'day');
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    try {
+      const totals = await store.activityTotals({ from: range.from, to: range.to });
+      const names = (await store.nameStats())
+        .filter(r => r.dimension === 'level')
+        .reduce((sum, r) => sum + parseInt(r.names), 0);
+
+      res.json({
+        from: range.from.toISOString(),
+        to: range.to.toISOString(),
+        ...totals,
+        net_growth: totals.registrations - totals.releases,
+        names,
+        churn_rate: names > 0 ? Math.round(totals.address_changes / names * 10000) / 10000 : 0
+      });
+    } catch (err) {
+      log.error('DB error on stats churn', { error: err.message });
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createStatsRoutes, STATS_DEFAULT_BUCKETS, MAX_STATS_BUCKETS };
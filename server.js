@@ -1,623 +1,266 @@
 const express = require('express');
-const { Pool } = require('pg');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const path = require('path');
-const nacl = require('tweetnacl');
-const bs58 = require('bs58');
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Health check - before ALL middleware so Railway can always reach it
-app.get('/healthz', (req, res) => {
-  console.log('Health check hit');
-  res.status(200).send('ok');
-});
-
-// PostgreSQL connection
-if (!process.env.DATABASE_URL) {
-  console.error('DATABASE_URL environment variable is not set');
-  process.exit(1);
-}
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
-
-// Security headers
-app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      connectSrc: ["'self'"],
-      scriptSrc: ["'self'", "'unsafe-inline'"],
-      scriptSrcAttr: ["'unsafe-inline'"],
-      styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
-      fontSrc: ["'self'", "https://fonts.gstatic.com"],
-      imgSrc: ["'self'", "data:", "https://images.unsplash.com"],
-    }
-  }
-}));
-
-// CORS - configure allowed origins for production
-const corsOptions = {
-  origin: process.env.CORS_ORIGINS
-    ? process.env.CORS_ORIGINS.split(',')
-    : '*',
-  methods: ['GET', 'POST', 'PUT'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  maxAge: 86400
-};
-app.use(cors(corsOptions));
-
-// Rate limiting
-const generalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100,
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: { error: 'Too many requests, please try again later' }
-});
-
-const registrationLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 10,
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: { error: 'Too many registration attempts, please try again later' }
-});
-
-app.use('/api/', generalLimiter);
-
-// Body parsing with size limit
-app.use(express.json({ limit: '10kb' }));
-app.use(express.static('public'));
-
-// Initialize PostgreSQL database
-async function initDatabase() {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS names (
-        id SERIAL PRIMARY KEY,
-        name TEXT UNIQUE NOT NULL,
-        address TEXT NOT NULL,
-        owner_signature TEXT,
-        registered_at BIGINT NOT NULL,
-        updated_at BIGINT NOT NULL,
-        expires_at BIGINT,
-        metadata TEXT
-      )
-    `);
-
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_name ON names(name)
-    `);
-
-    await pool.query(`DROP INDEX IF EXISTS idx_address`);
-    await pool.query(`CREATE UNIQUE INDEX idx_address ON names(address)`);
-
-    console.log('Database initialized');
-  } catch (err) {
-    console.error('Database initialization error:', err);
-    throw err;
-  }
-}
-
-// Validation helpers
-function isValidXRSName(name) {
-  if (typeof name !== 'string') return false;
-  const nameRegex = /^[a-z0-9]([a-z0-9-]{1,30}[a-z0-9])?$/;
-  return nameRegex.test(name) && !name.includes('--');
+const crypto = require('crypto');
+const { resolveConfig } = require('./config');
+const { createDohHandler, startDnsServer } = require('./dns');
+const { loggerFromConfig, requestContext } = require('./logger');
+const { createRegistry, registerProcessMetrics } = require('./metrics');
+const { createRouter } = require('./routes');
+
+// Everything configurable lives in config.js. Requiring this file has no side
+// effects: createRouter (routes/) / createApp build the service, start() runs
+// it, and `node server.js` calls start() with configuration from the environment.
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+// Operations: request IDs taken from clients
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Whether the request carries "Authorization: Bearer <token>", compared in constant time
+function bearerTokenMatches(req, token) {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!match) return false;
+  const given = crypto.createHash('sha256').update(match[1]).digest();
+  return crypto.timingSafeEqual(given, crypto.createHash('sha256').update(token).digest());
 }
 
-function isValidXRSAddress(address) {
-  if (typeof address !== 'string') return false;
-  return address.length >= 32 && address.length <= 64 && /^[a-zA-Z0-9]+$/.test(address);
+// Metrics label for a request: the route pattern it matched (never the raw
+// path, which would make a series per name), else where it ended up
+function routeLabel(req, res) {
+  if (req.route) return req.baseUrl + req.route.path;
+  if (res.statusCode === 404) return 'unmatched';
+  return req.baseUrl || 'static';
 }
 
-function safeJsonParse(str) {
-  if (!str) return null;
-  try {
-    return JSON.parse(str);
-  } catch {
-    return null;
-  }
-}
-
-function sanitizeMetadata(metadata) {
-  if (!metadata || typeof metadata !== 'object') return null;
-  const allowed = ['description', 'avatar', 'website', 'email'];
-  const sanitized = {};
-  for (const key of allowed) {
-    if (metadata[key] && typeof metadata[key] === 'string' && metadata[key].length <= 256) {
-      sanitized[key] = metadata[key];
-    }
-  }
-  return Object.keys(sanitized).length > 0 ? sanitized : null;
-}
-
-// Ed25519 signature verification
-function verifySignature(message, signature, address) {
-  try {
-    const publicKeyBytes = bs58.decode(address);
-    if (publicKeyBytes.length !== 32) return false;
-    const signatureBytes = bs58.decode(signature);
-    if (signatureBytes.length !== 64) return false;
-    const messageBytes = new TextEncoder().encode(message);
-    return nacl.sign.detached.verify(messageBytes, signatureBytes, publicKeyBytes);
-  } catch {
-    return false;
-  }
-}
-
-// API Routes
-
-// API documentation
-app.get('/api', (req, res) => {
-  res.json({
-    service: 'XRS Names',
-    version: '1.1.0',
-    description: 'Human-readable name resolution for the Xeris blockchain',
-    base_url: `${req.protocol}://${req.get('host')}/api`,
-    endpoints: {
-      'GET /api/health': {
-        description: 'Service health check',
-        response: '{ status, service, version }'
-      },
-      'GET /api/check/:name': {
-        description: 'Check if a name is available',
-        example: '/api/check/alice',
-        response: '{ name, available }'
-      },
-      'GET /api/resolve/:name': {
-        description: 'Resolve a .xrs name to a wallet address',
-        example: '/api/resolve/alice',
-        response: '{ name, address, registered, metadata }'
-      },
-      'GET /api/reverse/:address': {
-        description: 'Reverse lookup — find names registered to an address',
-        example: '/api/reverse/8BzQbGLHZhXp...',
-        response: '{ address, names[], primary }'
-      },
-      'POST /api/register': {
-        description: 'Register a new .xrs name',
-        body: '{ name, address, signature?, metadata? }',
-        signature_format: 'sign("xrs-names:register:<name>:<address>") — optional, base58-encoded Ed25519. Verified when provided.',
-        response: '{ success, name, address, registered }'
-      },
-      'PUT /api/update/:name': {
-        description: 'Update the address for a registered name (requires signature from current owner)',
-        body: '{ address, signature }',
-        signature_format: 'sign("xrs-names:update:<name>:<new_address>") — required, base58-encoded Ed25519',
-        response: '{ success, name, address, updated }'
-      },
-      'GET /api/search?q=:query': {
-        description: 'Search names by prefix',
-        example: '/api/search?q=ali&limit=20',
-        response: '{ query, results[] }'
-      },
-      'GET /api/recent': {
-        description: 'List recently registered names',
-        example: '/api/recent?limit=10',
-        response: '{ recent[] }'
-      },
-      'GET /api/directory': {
-        description: 'Paginated directory of all registered names',
-        example: '/api/directory?page=1&limit=50',
-        response: '{ entries[], total, page, pages }'
-      },
-      'GET /api/stats': {
-        description: 'Registry statistics',
-        response: '{ total_names, unique_owners, service, version }'
-      }
-    },
-    signing: {
-      algorithm: 'Ed25519 detached signature (base58-encoded)',
-      register: 'sign("xrs-names:register:<name>:<address>") — optional, verified when provided',
-      update: 'sign("xrs-names:update:<name>:<new_address>") — required, must be signed by current owner',
-      notes: 'Addresses are base58-encoded Ed25519 public keys (32 bytes). Signatures are base58-encoded Ed25519 detached signatures (64 bytes).'
-    },
-    rate_limits: {
-      general: '100 requests per 15 minutes',
-      registration: '10 requests per hour'
-    },
-    explorer: 'https://explorer.xerisweb.com/account/{address}'
+/**
+ * The full service as an Express app: security headers, CORS, the API router
+ * at config.apiPrefix, DNS-over-HTTPS at /dns-query unless config.doh is false
+ * and, unless config.serveFrontend is false, the web frontend. app.start()
+ * and app.close() are the router's.
+ *
+ * Apart from the probes and /metrics, which are polled every few seconds,
+ * every request gets an ID (the client's X-Request-Id when it is sensible, a
+ * new UUID otherwise) that is echoed back and added to everything logged
+ * while handling it, and one access log entry. /healthz is liveness: the
+ * process is up. /readyz is readiness: the store is initialized and the
+ * database answers. With config.metrics, /metrics serves Prometheus metrics.
+ */
+function createApp({ store, config } = {}) {
+  config = resolveConfig(config);
+  const app = express();
+  const log = loggerFromConfig(config);
+  const metrics = createRegistry();
+  const router = createRouter({ store, config, metrics, log });
+
+  registerProcessMetrics(metrics);
+  const requestDuration = metrics.histogram('xrs_http_request_duration_seconds',
+    'HTTP request latency by route', ['method', 'route']);
+  const requestsTotal = metrics.counter('xrs_http_requests_total',
+    'HTTP responses by route and status', ['method', 'route', 'status']);
+
+  // Health check - before ALL middleware so Railway can always reach it
+  app.get('/healthz', (req, res) => {
+    res.status(200).send('ok');
   });
-});
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    service: 'XRS Names',
-    version: '1.1.0'
+  // Readiness - take the instance out of rotation while the database is unreachable
+  app.get('/readyz', async (req, res) => {
+    const { ready, checks } = await router.ready();
+    res.set('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', checks });
   });
-});
-
-// Check name availability
-app.get('/api/check/:name', async (req, res) => {
-  const name = req.params.name.toLowerCase().replace('.xrs', '');
 
-  if (!isValidXRSName(name)) {
-    return res.status(400).json({
-      error: 'Invalid name format',
-      rules: '3-32 characters, lowercase letters, numbers, hyphens (no consecutive hyphens)'
+  if (config.metrics) {
+    app.get('/metrics', async (req, res, next) => {
+      if (config.metricsToken && !bearerTokenMatches(req, config.metricsToken)) {
+        return res.status(401).json({ error: 'Metrics token required' });
+      }
+      try {
+        res.set('Content-Type', metrics.contentType);
+        res.send(await metrics.render());
+      } catch (err) {
+        next(err);
+      }
     });
   }
 
-  try {
-    const result = await pool.query('SELECT name FROM names WHERE name = $1', [name]);
-    res.json({
-      name: `${name}.xrs`,
-      available: result.rows.length === 0
+  // Request IDs, access logs and request metrics
+  app.use((req, res, next) => {
+    const requestId = REQUEST_ID_PATTERN.test(req.get('X-Request-Id') || '')
+      ? req.get('X-Request-Id')
+      : crypto.randomUUID();
+    res.set('X-Request-Id', requestId);
+    const startedAt = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      const route = routeLabel(req, res);
+      requestDuration.observe({ method: req.method, route }, seconds);
+      requestsTotal.inc({ method: req.method, route, status: res.statusCode });
+      requestContext.run({ request_id: requestId }, () => log.info('Request', {
+        method: req.method,
+        path: req.originalUrl,
+        route,
+        status: res.statusCode,
+        duration_ms: Math.round(seconds * 1e6) / 1e3
+      }));
     });
-  } catch (err) {
-    console.error('DB error on check:', err.message);
-    res.status(500).json({ error: 'Database error' });
-  }
-});
-
-// Resolve name to address
-app.get('/api/resolve/:name', async (req, res) => {
-  const name = req.params.name.toLowerCase().replace('.xrs', '');
-
-  if (!isValidXRSName(name)) {
-    return res.status(400).json({ error: 'Invalid name format' });
-  }
 
-  try {
-    const result = await pool.query(
-      'SELECT address, registered_at, metadata FROM names WHERE name = $1',
-      [name]
-    );
+    requestContext.run({ request_id: requestId }, next);
+  });
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        error: 'Name not found',
-        name: `${name}.xrs`
-      });
+  // Security headers
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        connectSrc: ["'self'"],
+        scriptSrc: ["'self'", "'unsafe-inline'"],
+        scriptSrcAttr: ["'unsafe-inline'"],
+        styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+        fontSrc: ["'self'", "https://fonts.gstatic.com"],
+        imgSrc: ["'self'", "data:", "https://images.unsplash.com"],
+      }
     }
-
-    const row = result.rows[0];
-    res.json({
-      name: `${name}.xrs`,
-      address: row.address,
-      registered: new Date(parseInt(row.registered_at)).toISOString(),
-      metadata: safeJsonParse(row.metadata)
+  }));
+
+  // CORS - configure allowed origins for production
+  app.use(cors({
+    origin: config.corsOrigins,
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'If-None-Match', 'If-Modified-Since', 'X-Request-Id'],
+    exposedHeaders: ['ETag', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-Request-Id'],
+    maxAge: 86400
+  }));
+
+  if (config.serveFrontend) {
+    app.use(express.static(PUBLIC_DIR));
+    app.get('/', (req, res) => {
+      res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
     });
-  } catch (err) {
-    console.error('DB error on resolve:', err.message);
-    res.status(500).json({ error: 'Database error' });
   }
-});
 
-// Reverse lookup - address to name(s)
-app.get('/api/reverse/:address', async (req, res) => {
-  const address = req.params.address;
+  app.use(config.apiPrefix, router);
 
-  if (!isValidXRSAddress(address)) {
-    return res.status(400).json({ error: 'Invalid address format' });
+  // DNS-over-HTTPS (RFC 8484), counted against the API's general rate limit
+  if (config.doh) {
+    app.use('/dns-query', router.generalLimiter, createDohHandler(router.answerDns));
   }
 
-  try {
-    const result = await pool.query(
-      'SELECT name, registered_at FROM names WHERE address = $1 ORDER BY registered_at ASC',
-      [address]
-    );
-
-    res.json({
-      address: address,
-      names: result.rows.map(r => ({
-        name: `${r.name}.xrs`,
-        registered: new Date(parseInt(r.registered_at)).toISOString()
-      })),
-      primary: result.rows.length > 0 ? `${result.rows[0].name}.xrs` : null
-    });
-  } catch (err) {
-    console.error('DB error on reverse:', err.message);
-    res.status(500).json({ error: 'Database error' });
-  }
-});
-
-// Register a new name
-app.post('/api/register', registrationLimiter, async (req, res) => {
-  const { name, address, signature, metadata } = req.body;
-
-  if (!name || !address) {
-    return res.status(400).json({ error: 'Name and address are required' });
-  }
-
-  const cleanName = String(name).toLowerCase().replace('.xrs', '');
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
 
-  if (!isValidXRSName(cleanName)) {
-    return res.status(400).json({
-      error: 'Invalid name format',
-      rules: '3-32 characters, lowercase letters, numbers, hyphens'
-    });
-  }
+  // Global error handler
+  app.use((err, req, res, next) => {
+    log.error('Unhandled error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  });
 
-  if (!isValidXRSAddress(address)) {
-    return res.status(400).json({ error: 'Invalid address format' });
-  }
+  app.start = router.start;
+  app.close = router.close;
+  app.store = router.store;
+  app.answerDns = router.answerDns;
+  app.refreshSnapshot = router.refreshSnapshot;
+  app.metrics = metrics;
+  app.log = log;
+  return app;
+}
 
-  // Signature is optional (web UI uses WalletConnect pairing instead)
-  // but when provided, it must be valid
-  if (signature) {
-    const signMessage = `xrs-names:register:${cleanName}:${address}`;
-    if (!verifySignature(signMessage, signature, address)) {
-      return res.status(401).json({ error: 'Invalid signature' });
-    }
+/**
+ * Run the service: build the app, prepare the store (retrying while the
+ * database comes up), listen on config.port and, with config.handleSignals,
+ * shut down cleanly on SIGINT / SIGTERM. With config.dnsPort, also serve the
+ * .xrs DNS zone over UDP and TCP. Resolves to { app, server, dnsServer, close }.
+ */
+async function start({ store, config } = {}) {
+  config = resolveConfig(config);
+  const app = createApp({ store, config });
+  const { log } = app;
+  if (app.store.driver === 'memory') {
+    log.warn('Using the in-memory store — data is lost when the server stops');
   }
 
-  // Check if address already has a name
-  try {
-    const existing = await pool.query('SELECT name FROM names WHERE address = $1', [address]);
-    if (existing.rows.length > 0) {
-      return res.status(409).json({
-        error: 'This address already has a registered name',
-        existing_name: `${existing.rows[0].name}.xrs`
+  // Start with retry for database connection
+  for (let attempt = 1; attempt <= config.startupRetries; attempt++) {
+    try {
+      await app.start();
+      break;
+    } catch (err) {
+      log.error('Database connection attempt failed', {
+        attempt,
+        attempts: config.startupRetries,
+        error: err.message
       });
-    }
-  } catch (err) {
-    console.error('DB error checking address:', err.message);
-    return res.status(500).json({ error: 'Database error' });
-  }
-
-  const now = Date.now();
-  const sanitizedMeta = sanitizeMetadata(metadata);
-  const metadataStr = sanitizedMeta ? JSON.stringify(sanitizedMeta) : null;
-
-  try {
-    await pool.query(
-      `INSERT INTO names (name, address, owner_signature, registered_at, updated_at, metadata)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [cleanName, address, signature || null, now, now, metadataStr]
-    );
-
-    res.status(201).json({
-      success: true,
-      name: `${cleanName}.xrs`,
-      address: address,
-      registered: new Date(now).toISOString()
-    });
-  } catch (err) {
-    if (err.code === '23505') { // unique_violation
-      if (err.constraint === 'idx_address' || err.detail?.includes('address')) {
-        return res.status(409).json({
-          error: 'This address already has a registered name',
-          address: address
-        });
+      if (attempt === config.startupRetries) {
+        await app.close().catch(() => {});
+        throw err;
       }
-      return res.status(409).json({
-        error: 'Name already registered',
-        name: `${cleanName}.xrs`
-      });
-    }
-    console.error('Registration error:', err.message);
-    res.status(500).json({ error: 'Failed to register name' });
-  }
-});
-
-// Update name address (owner only)
-app.put('/api/update/:name', async (req, res) => {
-  const name = req.params.name.toLowerCase().replace('.xrs', '');
-  const { address, signature } = req.body;
-
-  if (!isValidXRSName(name)) {
-    return res.status(400).json({ error: 'Invalid name format' });
-  }
-
-  if (!address || !isValidXRSAddress(address)) {
-    return res.status(400).json({ error: 'Invalid address format' });
-  }
-
-  if (!signature) {
-    return res.status(401).json({ error: 'Signature required for updates' });
-  }
-
-  const now = Date.now();
-
-  try {
-    // Look up current owner
-    const existing = await pool.query('SELECT address FROM names WHERE name = $1', [name]);
-    if (existing.rows.length === 0) {
-      return res.status(404).json({ error: 'Name not found' });
-    }
-
-    const currentOwner = existing.rows[0].address;
-    const message = `xrs-names:update:${name}:${address}`;
-    if (!verifySignature(message, signature, currentOwner)) {
-      return res.status(401).json({ error: 'Invalid signature — must be signed by current owner' });
+      const delay = attempt * 2000;
+      log.info('Retrying database connection', { delay_ms: delay });
+      await new Promise(r => setTimeout(r, delay));
     }
-
-    const result = await pool.query(
-      'UPDATE names SET address = $1, owner_signature = $2, updated_at = $3 WHERE name = $4',
-      [address, signature, now, name]
-    );
-
-    res.json({
-      success: true,
-      name: `${name}.xrs`,
-      address: address,
-      updated: new Date(now).toISOString()
-    });
-  } catch (err) {
-    console.error('DB error on update:', err.message);
-    res.status(500).json({ error: 'Database error' });
-  }
-});
-
-// Search names
-app.get('/api/search', async (req, res) => {
-  const query = req.query.q;
-  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
-
-  if (!query || typeof query !== 'string' || query.length < 2 || query.length > 32) {
-    return res.status(400).json({ error: 'Query must be 2-32 characters' });
   }
 
-  const cleanQuery = query.toLowerCase().replace(/[^a-z0-9-]/g, '');
-  if (cleanQuery.length < 2) {
-    return res.status(400).json({ error: 'Query too short after sanitization' });
-  }
-
-  try {
-    const result = await pool.query(
-      `SELECT name, address, registered_at
-       FROM names
-       WHERE name LIKE $1
-       ORDER BY registered_at ASC
-       LIMIT $2`,
-      [`${cleanQuery}%`, limit]
-    );
-
-    res.json({
-      query: cleanQuery,
-      results: result.rows.map(r => ({
-        name: `${r.name}.xrs`,
-        address: r.address,
-        registered: new Date(parseInt(r.registered_at)).toISOString()
-      }))
-    });
-  } catch (err) {
-    console.error('DB error on search:', err.message);
-    res.status(500).json({ error: 'Database error' });
-  }
-});
-
-// Get recent registrations
-app.get('/api/recent', async (req, res) => {
-  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
-
-  try {
-    const result = await pool.query(
-      `SELECT name, address, registered_at
-       FROM names
-       ORDER BY registered_at DESC
-       LIMIT $1`,
-      [limit]
-    );
-
-    res.json({
-      recent: result.rows.map(r => ({
-        name: `${r.name}.xrs`,
-        address: r.address,
-        registered: new Date(parseInt(r.registered_at)).toISOString()
-      }))
-    });
-  } catch (err) {
-    console.error('DB error on recent:', err.message);
-    res.status(500).json({ error: 'Database error' });
-  }
-});
-
-// Directory - list all registered names with pagination
-app.get('/api/directory', async (req, res) => {
-  const page = Math.max(parseInt(req.query.page) || 1, 1);
-  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
-  const offset = (page - 1) * limit;
-
-  try {
-    const countResult = await pool.query('SELECT COUNT(*) as total FROM names');
-    const total = parseInt(countResult.rows[0].total);
-
-    const result = await pool.query(
-      `SELECT name, address, registered_at
-       FROM names
-       ORDER BY name ASC
-       LIMIT $1 OFFSET $2`,
-      [limit, offset]
-    );
-
-    res.json({
-      entries: result.rows.map(r => ({
-        name: `${r.name}.xrs`,
-        address: r.address,
-        registered: new Date(parseInt(r.registered_at)).toISOString()
-      })),
-      total,
-      page,
-      pages: Math.ceil(total / limit)
-    });
-  } catch (err) {
-    console.error('DB error on directory:', err.message);
-    res.status(500).json({ error: 'Database error' });
-  }
-});
-
-// Stats
-app.get('/api/stats', async (req, res) => {
-  try {
-    const totalResult = await pool.query('SELECT COUNT(*) as total FROM names');
-    const ownersResult = await pool.query('SELECT COUNT(DISTINCT address) as unique_owners FROM names');
-
-    res.json({
-      total_names: parseInt(totalResult.rows[0].total),
-      unique_owners: parseInt(ownersResult.rows[0].unique_owners),
-      service: 'XRS Names - Public Good',
-      version: '1.1.0'
-    });
-  } catch (err) {
-    console.error('DB error on stats:', err.message);
-    res.status(500).json({ error: 'Database error' });
-  }
-});
-
-// Serve frontend
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Not found' });
-});
-
-// Global error handler
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err.message);
-  res.status(500).json({ error: 'Internal server error' });
-});
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(config.port, config.host, () => resolve(listening)).on('error', reject);
+  });
+  log.info('XRS Names service running', {
+    port: server.address().port,
+    api_docs: `http://localhost:${server.address().port}${config.apiPrefix}/health`
+  });
 
-// Start server with retry for database connection
-async function start() {
-  const maxRetries = 5;
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+  let dnsServer = null;
+  if (config.dnsPort !== null) {
     try {
-      await initDatabase();
-      app.listen(PORT, '0.0.0.0', () => {
-        console.log(`XRS Names service running on port ${PORT}`);
-        console.log(`API docs: http://localhost:${PORT}/api/health`);
+      dnsServer = await startDnsServer(app.answerDns, {
+        port: config.dnsPort,
+        host: config.dnsHost,
+        rateLimit: config.rateLimits ? config.rateLimits.dns : null,
+        log
       });
-      return;
     } catch (err) {
-      console.error(`Database connection attempt ${attempt}/${maxRetries} failed:`, err.message);
-      if (attempt === maxRetries) throw err;
-      const delay = attempt * 2000;
-      console.log(`Retrying in ${delay / 1000}s...`);
-      await new Promise(r => setTimeout(r, delay));
+      await new Promise(resolve => server.close(resolve));
+      await app.close().catch(() => {});
+      throw err;
     }
+    log.info('DNS server for .xrs running (UDP and TCP)', { port: dnsServer.port });
   }
+
+  // Stop accepting connections, end event streams, then close the store
+  const close = async () => {
+    const closed = new Promise(resolve => server.close(resolve));
+    if (dnsServer) await dnsServer.close();
+    await app.close();
+    await closed;
+  };
+
+  if (config.handleSignals) {
+    const shutdown = () => {
+      log.info('Shutting down gracefully');
+      close().then(() => {
+        log.info('Store closed');
+        process.exit(0);
+      }).catch(err => {
+        log.error('Error closing store', { error: err.message });
+        process.exit(1);
+      });
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  }
+
+  return { app, server, dnsServer, close };
 }
 
-start().catch(err => {
-  console.error('Failed to start server:', err);
-  process.exit(1);
-});
+module.exports = { createApp, createRouter, start };
 
-// Graceful shutdown
-function shutdown() {
-  console.log('\nShutting down gracefully...');
-  pool.end().then(() => {
-    console.log('Database pool closed');
-    process.exit(0);
-  }).catch(err => {
-    console.error('Error closing pool:', err);
+if (require.main === module) {
+  start().catch(err => {
+    console.error('Failed to start server:', err);
     process.exit(1);
   });
 }
-
-process.on('SIGINT', shutdown);
-process.on('SIGTERM', shutdown);
@@ -0,0 +1,75 @@
+// Registry statistics rollups (GET /api/stats/...). Dashboards read two
+// small tables instead of scanning names and name_events:
+//
+//   activity  changes per UTC hour: registrations, updates, address changes
+//             and releases, from each change log event
+//   names     name counts per distribution bucket: top-level names by length
+//             and character class of their Unicode label, and top-level
+//             names against subnames
+//
+// The server adds every event to both as it records it, in the same
+// transaction. Migration 5 backfilled them with these rules, so changing a
+// rule needs a migration that recounts.
+
+const nameRules = require('./public/xrs-name-rules');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+const INTERVAL_MS = { hour: HOUR_MS, day: DAY_MS, week: WEEK_MS };
+
+const CHARACTER_CLASSES = ['letters', 'digits', 'alphanumeric', 'hyphenated', 'unicode', 'emoji'];
+
+const PICTOGRAPHIC = /[\p{Extended_Pictographic}\p{Regional_Indicator}]/u;
+
+/**
+ * Start of the UTC hour, day or week (from Monday, like Postgres
+ * date_trunc) containing the time ms.
+ */
+function bucketStart(ms, interval) {
+  if (interval !== 'week') return Math.floor(ms / INTERVAL_MS[interval]) * INTERVAL_MS[interval];
+  const day = Math.floor(ms / DAY_MS);
+  return (day - (day + 3) % 7) * DAY_MS; // 1970-01-01 was a Thursday
+}
+
+function characterClass(label) {
+  if (PICTOGRAPHIC.test(label)) return 'emoji';
+  if (/[^\x00-\x7f]/.test(label)) return 'unicode';
+  if (label.includes('-')) return 'hyphenated';
+  if (/^[0-9]+$/.test(label)) return 'digits';
+  if (/^[a-z]+$/.test(label)) return 'letters';
+  return 'alphanumeric';
+}
+
+/**
+ * The [dimension, bucket] pairs a stored name counts towards. Lengths are in
+ * code points, as the name rules count them.
+ */
+function distributionBuckets(name) {
+  if (name.includes('.')) return [['level', 'subname']];
+  const label = nameRules.toUnicode(name);
+  return [
+    ['level', 'top_level'],
+    ['length', String([...label].length)],
+    ['class', characterClass(label)]
+  ];
+}
+
+/**
+ * What a change log row adds to its hour. Every event other than register
+ * and release is an update; it is also an address change when it moved the
+ * name to a different address.
+ */
+function activityCounts({ event_type: type, address, previous_address: previousAddress }) {
+  const registration = type === 'register';
+  const release = type === 'release';
+  return {
+    registrations: registration ? 1 : 0,
+    updates: registration || release ? 0 : 1,
+    address_changes: !release && address && previousAddress && address !== previousAddress ? 1 : 0,
+    releases: release ? 1 : 0
+  };
+}
+
+module.exports = { INTERVAL_MS, CHARACTER_CLASSES, bucketStart, characterClass, distributionBuckets, activityCounts };
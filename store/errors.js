@@ -0,0 +1,10 @@
+// Raised by every store when a write would break a uniqueness rule: a name,
+// reservation pattern or commitment that already exists.
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
+
+module.exports = { ConflictError };
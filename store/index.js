@@ -0,0 +1,57 @@
+// Storage backends. The routes (routes/) reach the database only through a
+// store, so the service runs against PostgreSQL in production and in memory
+// for local development and tests.
+//
+// Every store implements the same interface; all methods are async:
+//
+//   names:        getName, getNames, findBySkeleton, insertName, updateName,
+//                 updateSubtree, deleteNames, namesByAddresses, namesByOwner,
+//                 listSubnames, searchNames, recentNames, listNames, stats,
+//                 snapshotEntries
+//   primary:      primaryNames, setPrimaryName
+//   nonces:       insertNonce, consumeNonce, purgeNonces
+//   change log:   appendEvent, eventsSince, nameHistory, addressHistory
+//   webhooks:     countWebhooks, insertWebhook, getWebhook, deleteWebhook,
+//                 activeWebhooks, webhookDelivered, webhookFailed
+//   reservations: listReservations, insertReservation, deleteReservation
+//   audit log:    appendAudit, auditLog
+//   snapshots:    latestSnapshot, insertSnapshot, pruneSnapshots
+//   commitments:  insertCommitment, getCommitment, claimCommitment, purgeCommitments
+//   statistics:   addActivity, adjustNameStats, activitySeries, activityTotals,
+//                 topDays, nameStats
+//   lifecycle:    init, transaction(fn), ping, poolStats, close
+//
+// Rows have the columns of the tables in migrations/. Inserts that break a
+// uniqueness rule throw ConflictError. Name listings sort by name in byte
+// order, and by registered_at with id as the tie-breaker; searchNames ranks
+// by match and adds each row's trigram similarity. listNames pages by key
+// (sort column, then id) rather than offset. transaction(fn)
+// calls fn with a store whose writes commit together, or not at all if fn throws.
+// ping() rejects when the database is unreachable; poolStats() is
+// { total, idle, waiting } connections, or null without a pool.
+
+const { createPostgresStore } = require('./postgres');
+const { createMemoryStore } = require('./memory');
+const { ConflictError } = require('./errors');
+
+const STORE_DRIVERS = ['postgres', 'memory'];
+
+/**
+ * Create the store named by `driver`. The postgres store needs `databaseUrl`;
+ * `ssl` is passed to the pg Pool.
+ */
+function createStore({ driver, databaseUrl, ssl = false }) {
+  if (driver === 'memory') {
+    return createMemoryStore();
+  }
+  if (driver === 'postgres') {
+    if (!databaseUrl) {
+      throw new Error('DATABASE_URL environment variable is not set (set STORE=memory to run without a database)');
+    }
+    const { Pool } = require('pg');
+    return createPostgresStore(new Pool({ connectionString: databaseUrl, ssl }));
+  }
+  throw new Error(`Unknown store "${driver}" — use one of ${STORE_DRIVERS.join(', ')}`);
+}
+
+module.exports = { createStore, createPostgresStore, createMemoryStore, ConflictError, STORE_DRIVERS };
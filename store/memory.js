@@ -0,0 +1,530 @@
+// In-memory store for local development and tests. Same interface and the
+// same uniqueness and ordering rules as the PostgreSQL store; data is lost on
+// restart.
+//
+// Calls are serialised, and a transaction holds the lock until it finishes,
+// so nothing sees its writes before it commits. A failed transaction restores
+// a snapshot taken when it began. Inside transaction(fn), use only the store
+// passed to fn: calling the outer store there waits for the lock forever.
+
+const { ConflictError } = require('./errors');
+const { bucketStart } = require('../stats');
+
+const NAME_DEFAULTS = {
+  parent: null,
+  pending_owner: null,
+  owner_signature: null,
+  metadata: null,
+  records: null,
+  skeleton: null,
+  moderation: null,
+  moderation_reason: null
+};
+
+function emptyState() {
+  return {
+    ids: { names: 0, events: 0, webhooks: 0, reservations: 0, audit: 0 },
+    names: new Map(),
+    primaryNames: new Map(),
+    nonces: new Map(),
+    events: [],
+    webhooks: new Map(),
+    reservations: new Map(),
+    audit: [],
+    snapshots: new Map(),
+    commitments: new Map(),
+    statsActivity: new Map(), // hour (ms) -> counts
+    statsNames: new Map() // "dimension\nbucket" -> names
+  };
+}
+
+// Rows leave the store as copies so callers can't change stored state
+function copy(row) {
+  if (!row) return null;
+  const out = {};
+  for (const [key, value] of Object.entries(row)) {
+    out[key] = value instanceof Date ? new Date(value) : value;
+  }
+  return out;
+}
+
+// Column equality as Postgres sees it: timestamps by instant, numbers
+// whether they arrive as numbers or BIGINT strings
+function sameValue(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+  return String(a) === String(b);
+}
+
+function matches(row, expected) {
+  return Object.entries(expected).every(([column, value]) => sameValue(row[column], value));
+}
+
+// pg_trgm's similarity(): words (runs of letters and digits) padded with two
+// spaces in front and one behind, split into trigrams, compared as sets
+const SIMILARITY_THRESHOLD = 0.3; // pg_trgm.similarity_threshold, used by %
+
+function trigrams(text) {
+  const set = new Set();
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    const padded = `  ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) set.add(padded.slice(i, i + 3));
+  }
+  return set;
+}
+
+function trigramSimilarity(a, b) {
+  const left = trigrams(a);
+  const right = trigrams(b);
+  let shared = 0;
+  for (const trigram of left) if (right.has(trigram)) shared++;
+  const total = left.size + right.size - shared;
+  return total === 0 ? 0 : shared / total;
+}
+
+const ACTIVITY_COUNTS = ['registrations', 'updates', 'address_changes', 'releases'];
+
+function addCounts(total, counts) {
+  for (const key of ACTIVITY_COUNTS) total[key] = (total[key] || 0) + counts[key];
+  return total;
+}
+
+// Byte order, like COLLATE "C"
+function compareText(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const byName = (a, b) => compareText(a.name, b.name);
+const byRegistered = (a, b) => (new Date(a.registered_at) - new Date(b.registered_at)) || a.id - b.id;
+
+// listNames sort keys and their columns; id breaks ties between timestamps
+const SORT_COLUMNS = { name: 'name', registered: 'registered_at', updated: 'updated_at' };
+
+function compareKeys(sort, a, b) {
+  if (sort === 'name') return compareText(a.value, b.value);
+  return (new Date(a.value) - new Date(b.value)) || a.id - b.id;
+}
+
+// Text records as the API reports them: the record store's, or legacy metadata
+function textRecords(row) {
+  const records = row.records ? JSON.parse(row.records) : null;
+  if (records && records.text) return records.text;
+  return row.metadata ? JSON.parse(row.metadata) : {};
+}
+
+function passesFilters(row, { minLength, maxLength, registeredAfter, hasMetadata }) {
+  const length = row.name.length;
+  return (minLength === undefined || length >= minLength) &&
+    (maxLength === undefined || length <= maxLength) &&
+    (registeredAfter === undefined || new Date(row.registered_at) > new Date(registeredAfter)) &&
+    (hasMetadata === undefined || (Object.keys(textRecords(row)).length > 0) === hasMetadata);
+}
+
+const inSubtree = (row, name) => row.name === name || row.name.endsWith(`.${name}`);
+const below = (row, name) => row.name.endsWith(`.${name}`);
+
+// Newest-first page of rows (kept in id order) matching fn
+function newestFirst(rows, fn, { before, limit }) {
+  const page = [];
+  for (let i = rows.length - 1; i >= 0 && page.length < limit; i--) {
+    const row = rows[i];
+    if ((before === null || before === undefined || row.id < before) && fn(row)) page.push(copy(row));
+  }
+  return page;
+}
+
+// Every data method, synchronous, against the current state
+function operations(store) {
+  const names = () => [...store.state.names.values()];
+  const nextId = table => ++store.state.ids[table];
+
+  return {
+    // Names
+
+    getName(name) {
+      return copy(store.state.names.get(name));
+    },
+
+    getNames(list) {
+      return list.filter(name => store.state.names.has(name)).map(name => copy(store.state.names.get(name)));
+    },
+
+    findBySkeleton(skeleton, exceptName) {
+      const found = names().filter(r => r.skeleton === skeleton && r.name !== exceptName).sort(byName);
+      return copy(found[0]);
+    },
+
+    insertName(row) {
+      if (store.state.names.has(row.name)) throw new ConflictError(`Name ${row.name} already exists`);
+      const stored = { id: nextId('names'), ...NAME_DEFAULTS, ...copy(row) };
+      store.state.names.set(row.name, stored);
+      return copy(stored);
+    },
+
+    updateName(name, changes, expected = {}) {
+      const row = store.state.names.get(name);
+      if (!row || !matches(row, expected)) return null;
+      Object.assign(row, copy(changes));
+      return copy(row);
+    },
+
+    updateSubtree(name, changes, { descendantsOnly = false, expected = {} } = {}) {
+      return names()
+        .filter(r => (descendantsOnly ? below(r, name) : inSubtree(r, name)) && matches(r, expected))
+        .sort(byName)
+        .map(row => copy(Object.assign(row, copy(changes))));
+    },
+
+    deleteNames({ subtreeOf, expiresBy } = {}) {
+      if (subtreeOf === undefined && expiresBy === undefined) {
+        throw new Error('deleteNames needs subtreeOf or expiresBy');
+      }
+      const deleted = names()
+        .filter(r => (subtreeOf === undefined || inSubtree(r, subtreeOf)) &&
+          (expiresBy === undefined || Number(r.expires_at) <= expiresBy))
+        .sort(byName);
+      for (const row of deleted) store.state.names.delete(row.name);
+      return deleted.map(copy);
+    },
+
+    namesByAddresses(addresses, now) {
+      return names()
+        .filter(r => addresses.includes(r.address) && Number(r.expires_at) > now && r.moderation === null)
+        .sort(byRegistered)
+        .map(copy);
+    },
+
+    namesByOwner(owner, expiresAfter) {
+      return names()
+        .filter(r => r.owner === owner && Number(r.expires_at) > expiresAfter)
+        .sort(byRegistered)
+        .map(copy);
+    },
+
+    listSubnames(parent, now) {
+      return names()
+        .filter(r => r.parent === parent && Number(r.expires_at) > now)
+        .sort(byName)
+        .map(copy);
+    },
+
+    // Same matching and order as pg_trgm in the Postgres store
+    searchNames(query, limit) {
+      const matchRank = name => (name === query ? 0 : name.startsWith(query) ? 1 : name.includes(query) ? 2 : 3);
+      return names()
+        .map(r => ({ ...copy(r), similarity: trigramSimilarity(r.name, query) }))
+        .filter(r => r.name.includes(query) || r.similarity >= SIMILARITY_THRESHOLD)
+        .sort((a, b) => matchRank(a.name) - matchRank(b.name) || b.similarity - a.similarity || byName(a, b))
+        .slice(0, limit);
+    },
+
+    recentNames(limit) {
+      return names().sort((a, b) => byRegistered(b, a)).slice(0, limit).map(copy);
+    },
+
+    listNames({ sort = 'name', order = 'asc', after = null, limit, filters = {} }) {
+      const sign = order === 'desc' ? -1 : 1;
+      const keyOf = row => ({ value: row[SORT_COLUMNS[sort]], id: row.id });
+      return names()
+        .filter(r => passesFilters(r, filters) && (!after || sign * compareKeys(sort, keyOf(r), after) > 0))
+        .sort((a, b) => sign * compareKeys(sort, keyOf(a), keyOf(b)))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    stats() {
+      const rows = names();
+      return {
+        total_names: rows.length,
+        unique_owners: new Set(rows.map(r => r.owner)).size,
+        unique_addresses: new Set(rows.map(r => r.address)).size
+      };
+    },
+
+    snapshotEntries() {
+      return names().sort(byName).map(({ name, owner, address, records, metadata, expires_at }) =>
+        ({ name, owner, address, records, metadata, expires_at }));
+    },
+
+    // Statistics rollups (see stats.js)
+
+    addActivity(hour, counts) {
+      const key = new Date(hour).getTime();
+      store.state.statsActivity.set(key, addCounts({ ...store.state.statsActivity.get(key) }, counts));
+    },
+
+    adjustNameStats(buckets, delta) {
+      for (const [dimension, bucket] of buckets) {
+        const key = `${dimension}\n${bucket}`;
+        store.state.statsNames.set(key, (store.state.statsNames.get(key) || 0) + delta);
+      }
+    },
+
+    activitySeries({ interval, from, to }) {
+      const buckets = new Map();
+      for (const [hour, counts] of store.state.statsActivity) {
+        if (hour < new Date(from).getTime() || hour >= new Date(to).getTime()) continue;
+        const time = bucketStart(hour, interval);
+        buckets.set(time, addCounts(buckets.get(time) || {}, counts));
+      }
+      return [...buckets.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([time, counts]) => ({ time: new Date(time), ...counts }));
+    },
+
+    activityTotals({ from, to }) {
+      const total = { registrations: 0, updates: 0, address_changes: 0, releases: 0 };
+      for (const [hour, counts] of store.state.statsActivity) {
+        if (hour >= new Date(from).getTime() && hour < new Date(to).getTime()) addCounts(total, counts);
+      }
+      return total;
+    },
+
+    topDays(limit) {
+      const days = new Map();
+      for (const [hour, counts] of store.state.statsActivity) {
+        const day = bucketStart(hour, 'day');
+        days.set(day, (days.get(day) || 0) + counts.registrations);
+      }
+      return [...days.entries()]
+        .filter(([, registrations]) => registrations > 0)
+        .sort((a, b) => b[1] - a[1] || b[0] - a[0])
+        .slice(0, limit)
+        .map(([day, registrations]) => ({ day: new Date(day), registrations }));
+    },
+
+    nameStats() {
+      return [...store.state.statsNames.entries()]
+        .filter(([, names]) => names > 0)
+        .map(([key, names]) => {
+          const [dimension, bucket] = key.split('\n');
+          return { dimension, bucket, names };
+        });
+    },
+
+    // Primary names
+
+    primaryNames(addresses) {
+      return addresses.filter(a => store.state.primaryNames.has(a)).map(a => copy(store.state.primaryNames.get(a)));
+    },
+
+    setPrimaryName({ address, name, signature, updated_at }) {
+      store.state.primaryNames.set(address, { address, name, signature, updated_at });
+    },
+
+    // Signature nonces
+
+    insertNonce({ nonce, issued_at, expires_at }) {
+      if (store.state.nonces.has(nonce)) throw new ConflictError('Nonce already exists');
+      store.state.nonces.set(nonce, { nonce, issued_at, expires_at, used_at: null });
+    },
+
+    consumeNonce(nonce, now) {
+      const row = store.state.nonces.get(nonce);
+      if (!row || row.used_at !== null || Number(row.expires_at) <= now) return false;
+      row.used_at = now;
+      return true;
+    },
+
+    purgeNonces(now) {
+      for (const [nonce, row] of store.state.nonces) {
+        if (Number(row.expires_at) <= now) store.state.nonces.delete(nonce);
+      }
+    },
+
+    // Change log
+
+    appendEvent(row) {
+      const stored = { id: nextId('events'), ...copy(row) };
+      store.state.events.push(stored);
+      return copy(stored);
+    },
+
+    eventsSince(afterId, limit) {
+      return store.state.events.filter(e => e.id > afterId).slice(0, limit).map(copy);
+    },
+
+    nameHistory(name, page) {
+      return newestFirst(store.state.events, e => e.name === name, page);
+    },
+
+    addressHistory(address, page) {
+      return newestFirst(
+        store.state.events,
+        e => [e.address, e.previous_address, e.owner, e.previous_owner].includes(address),
+        page
+      );
+    },
+
+    // Webhooks
+
+    countWebhooks(owner) {
+      return [...store.state.webhooks.values()].filter(w => w.owner === owner).length;
+    },
+
+    insertWebhook(row) {
+      const stored = {
+        id: nextId('webhooks'),
+        ...copy(row),
+        active: true,
+        failure_count: 0,
+        last_delivery_at: null,
+        last_status: null
+      };
+      store.state.webhooks.set(stored.id, stored);
+      return copy(stored);
+    },
+
+    getWebhook(id) {
+      return copy(store.state.webhooks.get(id));
+    },
+
+    deleteWebhook(id) {
+      return store.state.webhooks.delete(id);
+    },
+
+    activeWebhooks() {
+      return [...store.state.webhooks.values()].filter(w => w.active).map(copy);
+    },
+
+    webhookDelivered(id, { status, at }) {
+      const row = store.state.webhooks.get(id);
+      if (row) Object.assign(row, { failure_count: 0, last_status: status, last_delivery_at: at });
+    },
+
+    webhookFailed(id, { status, at, maxFailures }) {
+      const row = store.state.webhooks.get(id);
+      if (!row) return;
+      row.failure_count += 1;
+      Object.assign(row, { last_status: status, last_delivery_at: at, active: row.failure_count < maxFailures });
+    },
+
+    // Reservations
+
+    listReservations() {
+      return [...store.state.reservations.values()]
+        .sort((a, b) => compareText(a.pattern, b.pattern))
+        .map(copy);
+    },
+
+    insertReservation({ pattern, reason, created_by, created_at }) {
+      if ([...store.state.reservations.values()].some(r => r.pattern === pattern)) {
+        throw new ConflictError(`Pattern ${pattern} is already reserved`);
+      }
+      const stored = { id: nextId('reservations'), pattern, reason, created_by, created_at };
+      store.state.reservations.set(stored.id, stored);
+      return copy(stored);
+    },
+
+    deleteReservation(id) {
+      const row = store.state.reservations.get(id);
+      store.state.reservations.delete(id);
+      return copy(row);
+    },
+
+    // Admin audit log
+
+    appendAudit(row) {
+      store.state.audit.push({ id: nextId('audit'), ...copy(row) });
+    },
+
+    auditLog(page) {
+      return newestFirst(store.state.audit, () => true, page);
+    },
+
+    // Registry snapshots
+
+    latestSnapshot() {
+      const sequences = [...store.state.snapshots.keys()];
+      return sequences.length ? copy(store.state.snapshots.get(Math.max(...sequences))) : null;
+    },
+
+    insertSnapshot(row) {
+      if (store.state.snapshots.has(row.sequence)) throw new ConflictError(`Snapshot ${row.sequence} already exists`);
+      store.state.snapshots.set(row.sequence, copy(row));
+      return copy(row);
+    },
+
+    pruneSnapshots(createdBefore) {
+      const latest = Math.max(...store.state.snapshots.keys());
+      for (const [sequence, row] of store.state.snapshots) {
+        if (sequence !== latest && Number(row.created_at) < createdBefore) store.state.snapshots.delete(sequence);
+      }
+    },
+
+    // Registration commitments
+
+    insertCommitment({ commitment, created_at }) {
+      if (store.state.commitments.has(commitment)) throw new ConflictError('Commitment already exists');
+      store.state.commitments.set(commitment, { commitment, created_at });
+    },
+
+    getCommitment(commitment) {
+      return copy(store.state.commitments.get(commitment));
+    },
+
+    claimCommitment(commitment) {
+      const row = store.state.commitments.get(commitment);
+      store.state.commitments.delete(commitment);
+      return copy(row);
+    },
+
+    purgeCommitments(createdBy) {
+      for (const [commitment, row] of store.state.commitments) {
+        if (Number(row.created_at) <= createdBy) store.state.commitments.delete(commitment);
+      }
+    }
+  };
+}
+
+// Wrap synchronous operations as async methods, each run through `run`
+function asyncMethods(ops, run) {
+  const methods = {};
+  for (const [key, op] of Object.entries(ops)) {
+    methods[key] = (...args) => run(() => op(...args));
+  }
+  return methods;
+}
+
+function createMemoryStore() {
+  const store = { state: emptyState() };
+  const ops = operations(store);
+
+  let queue = Promise.resolve();
+  const exclusive = fn => {
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  return {
+    driver: 'memory',
+    ...asyncMethods(ops, exclusive),
+
+    async init() {},
+
+    async ping() {},
+
+    poolStats() {
+      return null;
+    },
+
+    transaction(fn) {
+      return exclusive(async () => {
+        const snapshot = structuredClone(store.state);
+        try {
+          return await fn(asyncMethods(ops, async op => op()));
+        } catch (err) {
+          store.state = snapshot;
+          throw err;
+        }
+      });
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createMemoryStore };
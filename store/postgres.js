@@ -0,0 +1,622 @@
+// PostgreSQL store. The schema is managed by migrations/ (see migrate.js).
+
+const migrations = require('../migrate');
+const { ConflictError } = require('./errors');
+
+// Columns callers may write; anything else is a programming error
+const NAME_COLUMNS = new Set([
+  'name', 'parent', 'address', 'owner', 'pending_owner', 'owner_signature', 'registered_at',
+  'updated_at', 'expires_at', 'metadata', 'records', 'skeleton', 'moderation', 'moderation_reason'
+]);
+
+// Byte order, so name listings sort exactly like the in-memory store
+const BY_NAME = 'name COLLATE "C" ASC';
+
+function checkColumns(columns) {
+  for (const column of columns) {
+    if (!NAME_COLUMNS.has(column)) throw new Error(`Unknown names column "${column}"`);
+  }
+}
+
+// "col = $n" conditions for expected column values (null matches IS NULL)
+function conditions(expected, params) {
+  checkColumns(Object.keys(expected));
+  return Object.entries(expected).map(([column, value]) => {
+    if (value === null) return `${column} IS NULL`;
+    params.push(value);
+    return `${column} = $${params.length}`;
+  });
+}
+
+function assignments(changes, params) {
+  checkColumns(Object.keys(changes));
+  return Object.entries(changes).map(([column, value]) => {
+    params.push(value);
+    return `${column} = $${params.length}`;
+  });
+}
+
+// WHERE clause for a name and/or its subnames
+function subtreeCondition(name, descendantsOnly, params) {
+  params.push(`%.${name}`);
+  const below = `name LIKE $${params.length}`;
+  if (descendantsOnly) return below;
+  params.push(name);
+  return `(name = $${params.length} OR ${below})`;
+}
+
+async function insert(db, sql, params, conflictMessage) {
+  try {
+    return await db.query(sql, params);
+  } catch (err) {
+    if (err.code === '23505') throw new ConflictError(conflictMessage); // unique_violation
+    throw err;
+  }
+}
+
+const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+
+// SUMs arrive as BIGINT strings
+function activityRow(row) {
+  return {
+    registrations: parseInt(row.registrations),
+    updates: parseInt(row.updates),
+    address_changes: parseInt(row.address_changes),
+    releases: parseInt(row.releases)
+  };
+}
+
+// listNames sort keys and their columns; id breaks ties between timestamps
+const SORT_COLUMNS = { name: 'name', registered: 'registered_at', updated: 'updated_at' };
+
+// Text records as the API reports them: the record store's, or legacy metadata
+const TEXT_RECORDS = `COALESCE(records::jsonb -> 'text', metadata::jsonb, '{}'::jsonb)`;
+
+// WHERE conditions for listNames filters
+function listFilters({ minLength, maxLength, registeredAfter, hasMetadata }, params) {
+  const where = [];
+  if (minLength !== undefined) {
+    params.push(minLength);
+    where.push(`char_length(name) >= $${params.length}`);
+  }
+  if (maxLength !== undefined) {
+    params.push(maxLength);
+    where.push(`char_length(name) <= $${params.length}`);
+  }
+  if (registeredAfter !== undefined) {
+    params.push(registeredAfter);
+    where.push(`registered_at > $${params.length}`);
+  }
+  if (hasMetadata !== undefined) {
+    where.push(`${TEXT_RECORDS} ${hasMetadata ? '<>' : '='} '{}'::jsonb`);
+  }
+  return where;
+}
+
+// Every data method, run against a pool or a transaction's client
+function queries(db) {
+  return {
+    // Names
+
+    async getName(name) {
+      const result = await db.query('SELECT * FROM names WHERE name = $1', [name]);
+      return result.rows[0] || null;
+    },
+
+    async getNames(names) {
+      const result = await db.query('SELECT * FROM names WHERE name = ANY($1)', [names]);
+      return result.rows;
+    },
+
+    async findBySkeleton(skeleton, exceptName) {
+      const result = await db.query(
+        `SELECT * FROM names WHERE skeleton = $1 AND name <> $2 ORDER BY ${BY_NAME} LIMIT 1`,
+        [skeleton, exceptName]
+      );
+      return result.rows[0] || null;
+    },
+
+    async insertName(row) {
+      checkColumns(Object.keys(row));
+      const columns = Object.keys(row);
+      const result = await insert(
+        db,
+        `INSERT INTO names (${columns.join(', ')})
+         VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+         RETURNING *`,
+        Object.values(row),
+        `Name ${row.name} already exists`
+      );
+      return result.rows[0];
+    },
+
+    async updateName(name, changes, expected = {}) {
+      const params = [];
+      const sets = assignments(changes, params);
+      params.push(name);
+      const where = [`name = $${params.length}`, ...conditions(expected, params)];
+      const result = await db.query(
+        `UPDATE names SET ${sets.join(', ')} WHERE ${where.join(' AND ')} RETURNING *`,
+        params
+      );
+      return result.rows[0] || null;
+    },
+
+    async updateSubtree(name, changes, { descendantsOnly = false, expected = {} } = {}) {
+      const params = [];
+      const sets = assignments(changes, params);
+      const where = [subtreeCondition(name, descendantsOnly, params), ...conditions(expected, params)];
+      const result = await db.query(
+        `UPDATE names SET ${sets.join(', ')} WHERE ${where.join(' AND ')} RETURNING *`,
+        params
+      );
+      return result.rows.sort(byName);
+    },
+
+    async deleteNames({ subtreeOf, expiresBy } = {}) {
+      const params = [];
+      const where = [];
+      if (subtreeOf !== undefined) where.push(subtreeCondition(subtreeOf, false, params));
+      if (expiresBy !== undefined) {
+        params.push(expiresBy);
+        where.push(`expires_at <= $${params.length}`);
+      }
+      if (where.length === 0) throw new Error('deleteNames needs subtreeOf or expiresBy');
+      const result = await db.query(`DELETE FROM names WHERE ${where.join(' AND ')} RETURNING *`, params);
+      return result.rows.sort(byName);
+    },
+
+    async namesByAddresses(addresses, now) {
+      const result = await db.query(
+        `SELECT * FROM names
+         WHERE address = ANY($1) AND expires_at > $2 AND moderation IS NULL
+         ORDER BY registered_at ASC, id ASC`,
+        [addresses, now]
+      );
+      return result.rows;
+    },
+
+    async namesByOwner(owner, expiresAfter) {
+      const result = await db.query(
+        'SELECT * FROM names WHERE owner = $1 AND expires_at > $2 ORDER BY registered_at ASC, id ASC',
+        [owner, expiresAfter]
+      );
+      return result.rows;
+    },
+
+    async listSubnames(parent, now) {
+      const result = await db.query(
+        `SELECT * FROM names WHERE parent = $1 AND expires_at > $2 ORDER BY ${BY_NAME}`,
+        [parent, now]
+      );
+      return result.rows;
+    },
+
+    // Names containing query or similar to it (pg_trgm, migration 3), best
+    // first: exact, prefix, substring, then by similarity. Rows carry their
+    // similarity. query holds only a-z 0-9 . - so it needs no LIKE escaping.
+    async searchNames(query, limit) {
+      const result = await db.query(
+        `SELECT *, similarity(name, $1) AS similarity FROM names
+         WHERE name LIKE '%' || $1 || '%' OR name % $1
+         ORDER BY CASE WHEN name = $1 THEN 0 WHEN name LIKE $1 || '%' THEN 1
+                       WHEN name LIKE '%' || $1 || '%' THEN 2 ELSE 3 END,
+                  similarity DESC, ${BY_NAME}
+         LIMIT $2`,
+        [query, limit]
+      );
+      return result.rows;
+    },
+
+    async recentNames(limit) {
+      const result = await db.query('SELECT * FROM names ORDER BY registered_at DESC, id DESC LIMIT $1', [limit]);
+      return result.rows;
+    },
+
+    // One page of names in sort order, starting after the key { value, id }
+    // of the previous page's last row (migration 4 indexes each order)
+    async listNames({ sort = 'name', order = 'asc', after = null, limit, filters = {} }) {
+      const params = [];
+      const where = listFilters(filters, params);
+      const column = SORT_COLUMNS[sort];
+      const direction = order === 'desc' ? 'DESC' : 'ASC';
+      const key = sort === 'name' ? ['name COLLATE "C"'] : [column, 'id'];
+      if (after) {
+        params.push(after.value);
+        if (sort !== 'name') params.push(after.id);
+        const values = key.map((_, i) => `$${params.length - key.length + 1 + i}`);
+        where.push(`(${key.join(', ')}) ${order === 'desc' ? '<' : '>'} (${values.join(', ')})`);
+      }
+      params.push(limit);
+      const result = await db.query(
+        `SELECT * FROM names ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY ${key.map(k => `${k} ${direction}`).join(', ')}
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    },
+
+    async stats() {
+      const result = await db.query(
+        `SELECT COUNT(*) AS total_names, COUNT(DISTINCT owner) AS unique_owners,
+           COUNT(DISTINCT address) AS unique_addresses
+         FROM names`
+      );
+      const row = result.rows[0];
+      return {
+        total_names: parseInt(row.total_names),
+        unique_owners: parseInt(row.unique_owners),
+        unique_addresses: parseInt(row.unique_addresses)
+      };
+    },
+
+    // Every name with the columns a registry snapshot covers, in name order
+    async snapshotEntries() {
+      const result = await db.query(
+        `SELECT name, owner, address, records, metadata, expires_at FROM names ORDER BY ${BY_NAME}`
+      );
+      return result.rows;
+    },
+
+    // Statistics rollups (see stats.js)
+
+    // Add counts to an hour. Writes in the same hour queue on its row, only
+    // for as long as their transactions take.
+    async addActivity(hour, counts) {
+      await db.query(
+        `INSERT INTO stats_activity (hour, registrations, updates, address_changes, releases)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (hour) DO UPDATE SET
+           registrations = stats_activity.registrations + EXCLUDED.registrations,
+           updates = stats_activity.updates + EXCLUDED.updates,
+           address_changes = stats_activity.address_changes + EXCLUDED.address_changes,
+           releases = stats_activity.releases + EXCLUDED.releases`,
+        [hour, counts.registrations, counts.updates, counts.address_changes, counts.releases]
+      );
+    },
+
+    async adjustNameStats(buckets, delta) {
+      for (const [dimension, bucket] of buckets) {
+        await db.query(
+          `INSERT INTO stats_names (dimension, bucket, names) VALUES ($1, $2, $3)
+           ON CONFLICT (dimension, bucket) DO UPDATE SET names = stats_names.names + EXCLUDED.names`,
+          [dimension, bucket, delta]
+        );
+      }
+    },
+
+    // Activity summed per UTC hour, day or week in [from, to), oldest first.
+    // Only buckets with activity have rows.
+    async activitySeries({ interval, from, to }) {
+      const result = await db.query(
+        `SELECT date_trunc($1, hour, 'UTC') AS time, SUM(registrations) AS registrations,
+           SUM(updates) AS updates, SUM(address_changes) AS address_changes, SUM(releases) AS releases
+         FROM stats_activity
+         WHERE hour >= $2 AND hour < $3
+         GROUP BY 1
+         ORDER BY 1`,
+        [interval, from, to]
+      );
+      return result.rows.map(row => ({ ...activityRow(row), time: row.time }));
+    },
+
+    async activityTotals({ from, to }) {
+      const result = await db.query(
+        `SELECT COALESCE(SUM(registrations), 0) AS registrations, COALESCE(SUM(updates), 0) AS updates,
+           COALESCE(SUM(address_changes), 0) AS address_changes, COALESCE(SUM(releases), 0) AS releases
+         FROM stats_activity
+         WHERE hour >= $1 AND hour < $2`,
+        [from, to]
+      );
+      return activityRow(result.rows[0]);
+    },
+
+    // UTC days with the most registrations, most first (latest on a tie)
+    async topDays(limit) {
+      const result = await db.query(
+        `SELECT date_trunc('day', hour, 'UTC') AS day, SUM(registrations) AS registrations
+         FROM stats_activity
+         GROUP BY 1
+         HAVING SUM(registrations) > 0
+         ORDER BY 2 DESC, 1 DESC
+         LIMIT $1`,
+        [limit]
+      );
+      return result.rows.map(row => ({ day: row.day, registrations: parseInt(row.registrations) }));
+    },
+
+    async nameStats() {
+      const result = await db.query('SELECT dimension, bucket, names FROM stats_names WHERE names > 0');
+      return result.rows;
+    },
+
+    // Primary names
+
+    async primaryNames(addresses) {
+      const result = await db.query('SELECT * FROM primary_names WHERE address = ANY($1)', [addresses]);
+      return result.rows;
+    },
+
+    async setPrimaryName({ address, name, signature, updated_at }) {
+      await db.query(
+        `INSERT INTO primary_names (address, name, signature, updated_at)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (address) DO UPDATE SET name = $2, signature = $3, updated_at = $4`,
+        [address, name, signature, updated_at]
+      );
+    },
+
+    // Signature nonces
+
+    async insertNonce({ nonce, issued_at, expires_at }) {
+      await insert(
+        db,
+        'INSERT INTO signature_nonces (nonce, issued_at, expires_at) VALUES ($1, $2, $3)',
+        [nonce, issued_at, expires_at],
+        'Nonce already exists'
+      );
+    },
+
+    // Marks the nonce used; false if it is unknown, expired or already used
+    async consumeNonce(nonce, now) {
+      const result = await db.query(
+        `UPDATE signature_nonces SET used_at = $1
+         WHERE nonce = $2 AND used_at IS NULL AND expires_at > $1
+         RETURNING nonce`,
+        [now, nonce]
+      );
+      return result.rows.length > 0;
+    },
+
+    async purgeNonces(now) {
+      await db.query('DELETE FROM signature_nonces WHERE expires_at <= $1', [now]);
+    },
+
+    // Change log
+
+    async appendEvent(row) {
+      const result = await db.query(
+        `INSERT INTO name_events
+           (name, event_type, address, previous_address, owner, previous_owner, data, signature, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [row.name, row.event_type, row.address, row.previous_address, row.owner,
+          row.previous_owner, row.data, row.signature, row.created_at]
+      );
+      return result.rows[0];
+    },
+
+    async eventsSince(afterId, limit) {
+      const result = await db.query(
+        'SELECT * FROM name_events WHERE id > $1 ORDER BY id ASC LIMIT $2',
+        [afterId, limit]
+      );
+      return result.rows;
+    },
+
+    // Newest first; before is an event id or null
+    async nameHistory(name, { before, limit }) {
+      const result = await db.query(
+        `SELECT * FROM name_events
+         WHERE name = $1 AND ($2::bigint IS NULL OR id < $2)
+         ORDER BY id DESC
+         LIMIT $3`,
+        [name, before, limit]
+      );
+      return result.rows;
+    },
+
+    async addressHistory(address, { before, limit }) {
+      const result = await db.query(
+        `SELECT * FROM name_events
+         WHERE (address = $1 OR previous_address = $1 OR owner = $1 OR previous_owner = $1)
+           AND ($2::bigint IS NULL OR id < $2)
+         ORDER BY id DESC
+         LIMIT $3`,
+        [address, before, limit]
+      );
+      return result.rows;
+    },
+
+    // Webhooks
+
+    async countWebhooks(owner) {
+      const result = await db.query('SELECT COUNT(*) AS total FROM webhooks WHERE owner = $1', [owner]);
+      return parseInt(result.rows[0].total);
+    },
+
+    async insertWebhook(row) {
+      const result = await db.query(
+        `INSERT INTO webhooks (owner, url, secret, names, addresses, event_types, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [row.owner, row.url, row.secret, row.names, row.addresses, row.event_types, row.created_at]
+      );
+      return result.rows[0];
+    },
+
+    async getWebhook(id) {
+      const result = await db.query('SELECT * FROM webhooks WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    async deleteWebhook(id) {
+      const result = await db.query('DELETE FROM webhooks WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    },
+
+    async activeWebhooks() {
+      const result = await db.query('SELECT * FROM webhooks WHERE active = TRUE ORDER BY id ASC');
+      return result.rows;
+    },
+
+    async webhookDelivered(id, { status, at }) {
+      await db.query(
+        'UPDATE webhooks SET failure_count = 0, last_status = $1, last_delivery_at = $2 WHERE id = $3',
+        [status, at, id]
+      );
+    },
+
+    // Counts a failed delivery and disables the webhook at maxFailures in a row
+    async webhookFailed(id, { status, at, maxFailures }) {
+      await db.query(
+        `UPDATE webhooks SET failure_count = failure_count + 1, last_status = $1, last_delivery_at = $2,
+           active = (failure_count + 1 < $3)
+         WHERE id = $4`,
+        [status, at, maxFailures, id]
+      );
+    },
+
+    // Reservations
+
+    async listReservations() {
+      const result = await db.query('SELECT * FROM reserved_names ORDER BY pattern COLLATE "C" ASC');
+      return result.rows;
+    },
+
+    async insertReservation({ pattern, reason, created_by, created_at }) {
+      const result = await insert(
+        db,
+        `INSERT INTO reserved_names (pattern, reason, created_by, created_at)
+         VALUES ($1, $2, $3, $4) RETURNING *`,
+        [pattern, reason, created_by, created_at],
+        `Pattern ${pattern} is already reserved`
+      );
+      return result.rows[0];
+    },
+
+    async deleteReservation(id) {
+      const result = await db.query('DELETE FROM reserved_names WHERE id = $1 RETURNING *', [id]);
+      return result.rows[0] || null;
+    },
+
+    // Admin audit log
+
+    async appendAudit(row) {
+      await db.query(
+        `INSERT INTO admin_audit_log (admin, action, target, data, signature, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [row.admin, row.action, row.target, row.data, row.signature, row.created_at]
+      );
+    },
+
+    // Newest first; before is an entry id or null
+    async auditLog({ before, limit }) {
+      const result = await db.query(
+        `SELECT * FROM admin_audit_log
+         WHERE ($1::bigint IS NULL OR id < $1)
+         ORDER BY id DESC
+         LIMIT $2`,
+        [before, limit]
+      );
+      return result.rows;
+    },
+
+    // Registry snapshots
+
+    async latestSnapshot() {
+      const result = await db.query('SELECT * FROM registry_snapshots ORDER BY sequence DESC LIMIT 1');
+      return result.rows[0] || null;
+    },
+
+    async insertSnapshot({ sequence, root, size, public_key, signature, created_at }) {
+      const result = await insert(
+        db,
+        `INSERT INTO registry_snapshots (sequence, root, size, public_key, signature, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [sequence, root, size, public_key, signature, created_at],
+        `Snapshot ${sequence} already exists`
+      );
+      return result.rows[0];
+    },
+
+    // Delete snapshots created before createdBefore, keeping the latest
+    async pruneSnapshots(createdBefore) {
+      await db.query(
+        `DELETE FROM registry_snapshots
+         WHERE created_at < $1 AND sequence < (SELECT MAX(sequence) FROM registry_snapshots)`,
+        [createdBefore]
+      );
+    },
+
+    // Registration commitments
+
+    async insertCommitment({ commitment, created_at }) {
+      await insert(
+        db,
+        'INSERT INTO registration_commitments (commitment, created_at) VALUES ($1, $2)',
+        [commitment, created_at],
+        'Commitment already exists'
+      );
+    },
+
+    async getCommitment(commitment) {
+      const result = await db.query('SELECT * FROM registration_commitments WHERE commitment = $1', [commitment]);
+      return result.rows[0] || null;
+    },
+
+    // Deletes and returns the commitment; a concurrent claim gets null
+    async claimCommitment(commitment) {
+      const result = await db.query(
+        'DELETE FROM registration_commitments WHERE commitment = $1 RETURNING *',
+        [commitment]
+      );
+      return result.rows[0] || null;
+    },
+
+    async purgeCommitments(createdBy) {
+      await db.query('DELETE FROM registration_commitments WHERE created_at <= $1', [createdBy]);
+    }
+  };
+}
+
+function createPostgresStore(pool) {
+  return {
+    driver: 'postgres',
+    ...queries(pool),
+
+    // Readiness probe: a round trip to the database
+    async ping() {
+      await pool.query('SELECT 1');
+    },
+
+    poolStats() {
+      return { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount };
+    },
+
+    // Bring the schema up to date, or with autoMigrate false refuse to start
+    // while migrations are pending (run `npm run migrate` as a release step)
+    async init({ autoMigrate = true, log, config } = {}) {
+      if (!autoMigrate) {
+        const pending = (await migrations.status(pool)).filter(m => !m.applied_at);
+        if (pending.length > 0) {
+          throw new Error(`Pending migrations: ${pending.map(m => m.version).join(', ')} — run npm run migrate`);
+        }
+        return;
+      }
+      await migrations.migrate(pool, { log, config });
+    },
+
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await fn(queries(client));
+        await client.query('COMMIT');
+        return result;
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+
+    close() {
+      return pool.end();
+    }
+  };
+}
+
+module.exports = { createPostgresStore };
@@ -1,6 +1,8 @@
 #!/bin/bash
 # XRS Names API Test Script
 # Run this after starting the server to verify everything works
+# (unsigned registrations below need ALLOW_UNSIGNED_REGISTRATION=true;
+# otherwise use POST /api/commit + /api/reveal)
 
 API_URL="http://localhost:3000/api"
 
@@ -0,0 +1,161 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startService, keyPair, signAction, registerName } = require('./helpers');
+
+describe('admin API', () => {
+  let service;
+  const admin = keyPair();
+  const alice = keyPair();
+  const bob = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0, adminKeys: [admin.address], reservedNames: ['registry'] });
+    await registerName(service, 'alice', alice);
+    const auth = await signAction(service, 'create-subname', { name: 'pay.alice', address: alice.address, owner: alice.address }, alice);
+    await service.request('POST', '/api/subnames/alice', { label: 'pay', address: alice.address, ...auth });
+  });
+  after(() => service.close());
+
+  // Send an admin action signed by signer (the admin key unless given)
+  const adminRequest = async (method, path, action, fields, body = {}, signer = admin) => {
+    const auth = await signAction(service, action, { admin: signer.address, ...fields }, signer);
+    return service.request(method, path, { admin: signer.address, ...fields, ...body, ...auth });
+  };
+
+  const reserve = (pattern, reason) => adminRequest('POST', '/api/admin/reserved', 'admin-reserve', { pattern }, { reason });
+
+  const moderate = (name, status, reason) =>
+    adminRequest('PUT', `/api/admin/names/${name}/moderation`, 'admin-moderate', { name, status }, { reason });
+
+  const tryRegister = async name => {
+    try {
+      await registerName(service, name, bob);
+      return 201;
+    } catch (err) {
+      return JSON.parse(err.message.replace(/^reveal failed: /, '')).error;
+    }
+  };
+
+  it('keeps reserved names and patterns from being registered', async () => {
+    assert.equal(await tryRegister('registry'), 'Name is reserved');
+
+    const res = await reserve('xrs-*', 'Registry brand');
+    assert.equal(res.status, 201);
+    assert.equal((await reserve('xrs-*')).status, 409);
+
+    const check = (await service.request('GET', '/api/check/xrs-team')).body;
+    assert.equal(check.available, false);
+    assert.equal(check.reserved, true);
+    assert.equal(check.reason, 'Registry brand');
+    assert.equal(await tryRegister('xrs-team'), 'Name is reserved');
+
+    const { reserved } = (await service.request('GET', '/api/admin/reserved')).body;
+    assert.deepEqual(reserved.map(r => [r.pattern, r.source]), [['registry', 'config'], ['xrs-*', 'admin']]);
+  });
+
+  it('lifts a reservation', async () => {
+    const { body } = await reserve('lifted', 'Held for now');
+    assert.equal(await tryRegister('lifted'), 'Name is reserved');
+
+    const res = await adminRequest('DELETE', `/api/admin/reserved/${body.id}`, 'admin-unreserve', { id: body.id });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.pattern, 'lifted');
+    assert.equal(await tryRegister('lifted'), 201);
+    assert.equal((await adminRequest('DELETE', `/api/admin/reserved/${body.id}`, 'admin-unreserve', { id: body.id })).status, 404);
+  });
+
+  it('only accepts actions signed by a configured admin key', async () => {
+    const outsider = keyPair();
+    const denied = await adminRequest('POST', '/api/admin/reserved', 'admin-reserve', { pattern: 'mine' }, {}, outsider);
+    assert.equal(denied.status, 403);
+
+    // A configured admin address with someone else's signature
+    const auth = await signAction(service, 'admin-reserve', { admin: admin.address, pattern: 'mine' }, outsider);
+    const forged = await service.request('POST', '/api/admin/reserved', { admin: admin.address, pattern: 'mine', ...auth });
+    assert.equal(forged.status, 401);
+    assert.equal((await service.request('GET', '/api/check/mine')).body.available, true);
+  });
+
+  it('freezes a name and its subnames until the hold is lifted', async () => {
+    const res = await moderate('alice', 'frozen', 'Dispute #12');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.affected, ['alice.xrs', 'pay.alice.xrs']);
+
+    for (const name of ['alice', 'pay.alice']) {
+      const resolved = await service.request('GET', `/api/resolve/${name}`);
+      assert.equal(resolved.status, 423, name);
+      assert.equal(resolved.body.moderation, 'frozen');
+      assert.equal(resolved.body.reason, 'Dispute #12');
+    }
+
+    const address = keyPair().address;
+    const update = await signAction(service, 'update', { name: 'alice', address }, alice);
+    assert.equal((await service.request('PUT', '/api/update/alice', { address, ...update })).status, 423);
+
+    // A frozen name can still be renewed; a suspended one cannot
+    const renew = await signAction(service, 'renew', { name: 'alice', years: 1 }, alice);
+    assert.equal((await service.request('POST', '/api/renew/alice', { years: 1, ...renew })).status, 200);
+    assert.equal((await moderate('alice', 'suspended')).status, 200);
+    const again = await signAction(service, 'renew', { name: 'alice', years: 1 }, alice);
+    assert.equal((await service.request('POST', '/api/renew/alice', { years: 1, ...again })).status, 423);
+
+    assert.equal((await moderate('alice', 'active')).status, 200);
+    const resolved = await service.request('GET', '/api/resolve/pay.alice');
+    assert.equal(resolved.status, 200);
+    assert.equal(resolved.body.address, alice.address);
+  });
+
+  it('rejects unknown moderation states and missing names', async () => {
+    assert.equal((await moderate('alice', 'banned')).status, 400);
+    assert.equal((await moderate('nobody', 'frozen')).status, 404);
+  });
+
+  it('reassigns a disputed name, registering it when it is unregistered', async () => {
+    const fields = { name: 'alice', owner: bob.address, address: bob.address };
+    const res = await adminRequest('PUT', '/api/admin/names/alice/reassign', 'admin-reassign', fields, { reason: 'Ruling #12' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.created, false);
+
+    const resolved = (await service.request('GET', '/api/resolve/alice')).body;
+    assert.equal(resolved.owner, bob.address);
+    assert.equal(resolved.address, bob.address);
+    // Subnames the old owner held follow the parent
+    assert.equal((await service.request('GET', '/api/resolve/pay.alice')).body.owner, bob.address);
+
+    const reserved = { name: 'registry', owner: bob.address, address: bob.address };
+    const created = await adminRequest('PUT', '/api/admin/names/registry/reassign', 'admin-reassign', reserved);
+    assert.equal(created.status, 201);
+    assert.equal((await service.request('GET', '/api/resolve/registry')).body.owner, bob.address);
+  });
+
+  it('records every admin action in the public audit log, newest first', async () => {
+    const { body } = await service.request('GET', '/api/admin/audit?limit=3');
+    assert.deepEqual(body.entries.map(e => [e.action, e.target]), [
+      ['reassign', 'registry'],
+      ['reassign', 'alice'],
+      ['moderate', 'alice']
+    ]);
+    assert.equal(body.entries[1].admin, admin.address);
+    assert.equal(body.entries[1].data.previous_owner, alice.address);
+    assert.ok(body.entries[1].signature);
+
+    const rest = (await service.request('GET', `/api/admin/audit?before=${body.next_cursor}`)).body.entries;
+    assert.deepEqual(rest.map(e => e.action), ['moderate', 'moderate', 'unreserve', 'reserve', 'reserve']);
+  });
+});
+
+describe('admin API without ADMIN_KEYS', () => {
+  let service;
+  const key = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+  });
+  after(() => service.close());
+
+  it('is disabled', async () => {
+    const auth = await signAction(service, 'admin-reserve', { admin: key.address, pattern: 'mine' }, key);
+    const res = await service.request('POST', '/api/admin/reserved', { admin: key.address, pattern: 'mine', ...auth });
+    assert.equal(res.status, 503);
+  });
+});
@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const nacl = require('tweetnacl');
+const bs58 = require('bs58');
+const { startService, keyPair, registerName, signAction, loadClient } = require('./helpers');
+
+const serviceKey = nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(7));
+const servicePublicKey = bs58.encode(serviceKey.publicKey);
+
+// Whether attestation is the service's signature over these answer lines
+function verifies(kind, attestation, lines) {
+  const message = [
+    `xrs-names ${kind} attestation`,
+    'version: 1',
+    `domain: ${attestation.domain}`,
+    `chain: ${attestation.chain}`,
+    `timestamp: ${attestation.timestamp}`,
+    `expires: ${attestation.expires}`,
+    ...lines
+  ].join('\n');
+  return nacl.sign.detached.verify(new TextEncoder().encode(message), bs58.decode(attestation.signature), serviceKey.publicKey);
+}
+
+/**
+ * Pass every fetch response body through edit(body) until restore(),
+ * as a proxy between the client and the service could
+ */
+function tamperResponses(edit) {
+  const original = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    const response = await original(url, init);
+    const body = edit(await response.json());
+    return new Response(JSON.stringify(body), { status: response.status, headers: response.headers });
+  };
+  return { restore: () => { globalThis.fetch = original; } };
+}
+
+describe('resolve attestations', () => {
+  let service;
+  const alice = keyPair();
+  const admin = keyPair();
+
+  before(async () => {
+    service = await startService({
+      commitMinDelaySeconds: 0,
+      serviceSecretKey: bs58.encode(serviceKey.secretKey),
+      adminKeys: [admin.address]
+    });
+    await registerName(service, 'alice', alice);
+    await registerName(service, 'held', alice);
+    const auth = await signAction(service, 'admin-moderate', { admin: admin.address, name: 'held', status: 'frozen' }, admin);
+    await service.request('PUT', '/api/admin/names/held/moderation', { admin: admin.address, name: 'held', status: 'frozen', ...auth });
+  });
+  after(() => service.close());
+
+  it('signs the name and address of a resolving name', async () => {
+    const { body } = await service.request('GET', '/api/resolve/alice');
+    assert.equal(body.attestation.public_key, servicePublicKey);
+    assert.ok(verifies('resolve', body.attestation, [`alice: ${alice.address}`]));
+    assert.ok(!verifies('resolve', body.attestation, [`alice: ${keyPair().address}`]));
+  });
+
+  it('signs answers for names that do not resolve', async () => {
+    const missing = await service.request('GET', '/api/resolve/nobody');
+    assert.equal(missing.status, 404);
+    assert.ok(verifies('resolve', missing.body.attestation, ['nobody: -']));
+
+    const held = await service.request('GET', '/api/resolve/held');
+    assert.equal(held.status, 423);
+    assert.ok(verifies('resolve', held.body.attestation, ['held: -']));
+  });
+
+  it('signs a line for every valid name in a batch', async () => {
+    const { body } = await service.request('POST', '/api/resolve/batch', { names: ['alice', 'a--b', 'nobody', 'held'] });
+    assert.ok(verifies('resolve', body.attestation, [`alice: ${alice.address}`, 'nobody: -', 'held: -']));
+  });
+
+  describe('in the client', () => {
+    let XRSNames;
+    let XRSVerificationError;
+
+    before(async () => {
+      ({ XRSNames, XRSVerificationError } = await loadClient());
+    });
+
+    const client = () => new XRSNames(`${service.url}/api`, { serviceKey: servicePublicKey });
+
+    it('returns verified answers, "not found" included', async () => {
+      const xrs = client();
+      assert.equal(await xrs.resolve('alice'), alice.address);
+      assert.equal(await xrs.resolve('nobody'), null);
+      assert.equal(await xrs.resolve('held'), null);
+      assert.deepEqual(await Promise.all([xrs.resolve('bob'), xrs.resolve('carol')]), [null, null]);
+    });
+
+    it('refuses a redirected address', async () => {
+      const tampered = tamperResponses(body => (body.address ? { ...body, address: keyPair().address } : body));
+      try {
+        await assert.rejects(client().resolve('alice'), XRSVerificationError);
+      } finally {
+        tampered.restore();
+      }
+    });
+
+    it('refuses a tampered signature', async () => {
+      const forged = bs58.encode(nacl.sign.detached(new TextEncoder().encode('forged'), keyPair().secretKey));
+      const tampered = tamperResponses(body => ({ ...body, attestation: { ...body.attestation, signature: forged } }));
+      try {
+        await assert.rejects(client().resolve('alice'), /Invalid signature/);
+        await assert.rejects(client().resolve('nobody'), /Invalid signature/);
+      } finally {
+        tampered.restore();
+      }
+    });
+
+    it('refuses a "not found" that hides a name', async () => {
+      // A proxy answering alice with nobody's signed 404 has no signature over "alice: -"
+      const original = globalThis.fetch;
+      globalThis.fetch = async (url, init) => {
+        const response = await original(String(url).replace('/resolve/alice', '/resolve/nobody'), init);
+        const body = await response.json();
+        return new Response(JSON.stringify({ ...body, name: 'alice.xrs' }), { status: response.status, headers: response.headers });
+      };
+      try {
+        await assert.rejects(client().resolve('alice'), XRSVerificationError);
+      } finally {
+        globalThis.fetch = original;
+      }
+    });
+
+    it('refuses an unsigned "not found"', async () => {
+      const tampered = tamperResponses(({ attestation, ...body }) => body);
+      try {
+        await assert.rejects(client().resolve('nobody'), /Unsigned resolve response/);
+      } finally {
+        tampered.restore();
+      }
+    });
+  });
+});
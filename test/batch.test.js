@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startService, keyPair, registerName, loadClient, recordFetches } = require('./helpers');
+
+describe('batch lookups', () => {
+  let service;
+  const alice = keyPair();
+  const bob = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+    await registerName(service, 'alice', alice);
+    await registerName(service, 'bob', bob);
+    await registerName(service, 'bobby', bob);
+  });
+  after(() => service.close());
+
+  it('resolves names in request order, with an error for each miss', async () => {
+    const { status, body } = await service.request('POST', '/api/resolve/batch', { names: ['bob.xrs', 'nobody', 'ALICE', 'a--b', 'bob'] });
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(r => [r.address, r.error]), [
+      [bob.address, undefined],
+      [null, 'Name not found'],
+      [alice.address, undefined],
+      [null, 'Invalid name format'],
+      [bob.address, undefined]
+    ]);
+    assert.ok(body.attestation.signature);
+  });
+
+  it('reverses addresses in request order', async () => {
+    const { body } = await service.request('POST', '/api/reverse/batch', { addresses: [bob.address, 'not-an-address', alice.address] });
+    assert.deepEqual(body.results.map(r => r.names.map(n => n.name)), [['bob.xrs', 'bobby.xrs'], [], ['alice.xrs']]);
+    assert.equal(body.results[1].error, 'Invalid address format');
+    assert.deepEqual(body.results.map(r => r.primary), ['bob.xrs', null, 'alice.xrs']);
+  });
+
+  it('takes between 1 and 300 entries', async () => {
+    assert.equal((await service.request('POST', '/api/resolve/batch', { names: [] })).status, 400);
+    assert.equal((await service.request('POST', '/api/resolve/batch', { names: 'alice' })).status, 400);
+    const names = Array.from({ length: 301 }, (_, i) => `name${i}`);
+    assert.equal((await service.request('POST', '/api/resolve/batch', { names })).status, 400);
+    assert.equal((await service.request('POST', '/api/resolve/batch', { names: names.slice(1) })).status, 200);
+    assert.equal((await service.request('POST', '/api/reverse/batch', { addresses: [] })).status, 400);
+  });
+});
+
+describe('client request coalescing', () => {
+  let service;
+  let XRSNames;
+  const alice = keyPair();
+  const bob = keyPair();
+
+  before(async () => {
+    ({ XRSNames } = await loadClient());
+    service = await startService({ commitMinDelaySeconds: 0 });
+    await registerName(service, 'alice', alice);
+    await registerName(service, 'bob', bob);
+  });
+  after(() => service.close());
+
+  // Run fn and return the requests it made
+  const requestsDuring = async fn => {
+    const fetches = recordFetches();
+    try {
+      return { result: await fn(), calls: fetches.calls };
+    } finally {
+      fetches.restore();
+    }
+  };
+
+  it('sends lookups made in the same tick as one batch request', async () => {
+    const xrs = new XRSNames(`${service.url}/api`);
+    const { result, calls } = await requestsDuring(() => Promise.all([
+      xrs.resolve('alice.xrs'), xrs.resolve('bob'), xrs.resolve('nobody.xrs'), xrs.resolve('ALICE')
+    ]));
+    assert.deepEqual(result, [alice.address, bob.address, null, alice.address]);
+    assert.deepEqual(calls.map(c => [c.method, c.url.slice(service.url.length)]), [['POST', '/api/resolve/batch']]);
+  });
+
+  it('uses the plain lookup for a single name and then the cache', async () => {
+    const xrs = new XRSNames(`${service.url}/api`);
+    const first = await requestsDuring(() => xrs.resolve('alice'));
+    assert.equal(first.result, alice.address);
+    assert.deepEqual(first.calls.map(c => c.url.slice(service.url.length)), ['/api/resolve/alice']);
+
+    const second = await requestsDuring(() => xrs.resolve('alice'));
+    assert.equal(second.result, alice.address);
+    assert.equal(second.calls.length, 0);
+  });
+
+  it('splits batches at maxBatchSize', async () => {
+    const xrs = new XRSNames(`${service.url}/api`);
+    xrs.maxBatchSize = 2;
+    const { result, calls } = await requestsDuring(() => Promise.all(['alice', 'bob', 'carol', 'dave', 'erin'].map(n => xrs.resolve(n))));
+    assert.deepEqual(result, [alice.address, bob.address, null, null, null]);
+    // Two full batches, then the last name alone on the plain endpoint
+    assert.deepEqual(calls.map(c => c.url.slice(service.url.length)), ['/api/resolve/batch', '/api/resolve/batch', '/api/resolve/erin']);
+  });
+
+  it('coalesces reverse lookups too', async () => {
+    const xrs = new XRSNames(`${service.url}/api`);
+    const { result, calls } = await requestsDuring(() => Promise.all([
+      xrs.reverse(alice.address), xrs.getPrimaryName(bob.address), xrs.reverse(alice.address)
+    ]));
+    assert.deepEqual(result, [['alice.xrs'], 'bob.xrs', ['alice.xrs']]);
+    // One reverse batch, then the primary name's check that it resolves back
+    assert.deepEqual(calls.map(c => c.url.slice(service.url.length)), ['/api/reverse/batch', '/api/resolve/bob']);
+  });
+});
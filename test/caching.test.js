@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startService, keyPair, registerName, signAction } = require('./helpers');
+
+// Wait for the start of the next second
+const nextSecond = () => new Promise(resolve => setTimeout(resolve, 1000 - (Date.now() % 1000) + 5));
+
+describe('HTTP caching', () => {
+  let service;
+  const alice = keyPair();
+  const bob = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+    await registerName(service, 'alice', alice);
+  });
+  after(() => service.close());
+
+  const update = async address => {
+    const auth = await signAction(service, 'update', { name: 'alice', address }, alice);
+    const res = await service.request('PUT', '/api/update/alice', { address, ...auth });
+    assert.equal(res.status, 200);
+  };
+
+  it('answers a matching If-None-Match with 304 and a changed name with 200', async () => {
+    const first = await service.request('GET', '/api/resolve/alice');
+    const etag = first.headers.get('ETag');
+    assert.match(etag, /^W\/"/);
+    assert.equal((await service.request('GET', '/api/resolve/alice', undefined, { 'If-None-Match': etag })).status, 304);
+
+    await update(bob.address);
+    const changed = await service.request('GET', '/api/resolve/alice', undefined, { 'If-None-Match': etag });
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.address, bob.address);
+  });
+
+  it('prefers If-None-Match over If-Modified-Since', async () => {
+    const future = new Date(Date.now() + 60000).toUTCString();
+    const res = await service.request('GET', '/api/resolve/alice', undefined, { 'If-None-Match': 'W/"other"', 'If-Modified-Since': future });
+    assert.equal(res.status, 200);
+  });
+
+  it('sends Last-Modified only once the second of the last change is over', async () => {
+    await nextSecond();
+    await update(alice.address);
+    // A second change in this second would share the date, so none is sent yet
+    assert.equal((await service.request('GET', '/api/resolve/alice')).headers.get('Last-Modified'), null);
+
+    await nextSecond();
+    const dated = await service.request('GET', '/api/resolve/alice');
+    const lastModified = dated.headers.get('Last-Modified');
+    assert.ok(lastModified);
+    assert.equal((await service.request('GET', '/api/resolve/alice', undefined, { 'If-Modified-Since': lastModified })).status, 304);
+
+    await update(bob.address);
+    const changed = await service.request('GET', '/api/resolve/alice', undefined, { 'If-Modified-Since': lastModified });
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.address, bob.address);
+  });
+});
@@ -0,0 +1,298 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const nacl = require('tweetnacl');
+const { startService, keyPair, registerName, loadClient, recordFetches } = require('./helpers');
+
+// A wallet-style signer: base58 publicKey and signMessage(bytes) -> { signature }
+function wallet(key) {
+  return {
+    publicKey: key.address,
+    signMessage: async bytes => ({ signature: nacl.sign.detached(bytes, key.secretKey) })
+  };
+}
+
+describe('client writes', () => {
+  let service;
+  let client;
+  const integration = keyPair();
+  const alice = keyPair();
+  const bob = keyPair();
+
+  before(async () => {
+    client = await loadClient();
+    service = await startService({ commitMinDelaySeconds: 0, registrationKeys: [integration.address] });
+  });
+  after(() => service.close());
+
+  const xrs = options => new client.XRSNames(`${service.url}/api`, options);
+
+  it('registers with commit-reveal for the signer\'s address', async () => {
+    const committed = [];
+    const result = await xrs().register('Alice.xrs', { signer: alice.secretKey, onCommitted: c => committed.push(c) });
+    assert.equal(result.name, 'alice.xrs');
+    assert.equal(result.address, alice.address);
+    assert.equal(committed.length, 1);
+    assert.match(committed[0].commitment, /^[0-9a-f]{64}$/);
+    assert.equal((await service.request('GET', '/api/resolve/alice')).body.owner, alice.address);
+  });
+
+  it('registers in one signed step with a registration key', async () => {
+    const result = await xrs().registerDirect('partner', { signer: integration.secretKey, address: bob.address, years: 2 });
+    assert.equal(result.owner, bob.address);
+
+    const refused = xrs().registerDirect('other', { signer: alice.secretKey, address: alice.address });
+    await assert.rejects(refused, client.XRSAuthError);
+  });
+
+  it('signs updates and records with a wallet', async () => {
+    const names = xrs();
+    assert.equal(await names.resolve('alice'), alice.address);
+
+    await names.update('alice', { signer: wallet(alice), address: bob.address });
+    // The write dropped the cached answer
+    assert.equal(await names.resolve('alice'), bob.address);
+
+    const { records } = await names.setRecords('alice', { text: { url: 'https://alice.example' }, addresses: { 60: `0x${'ab'.repeat(20)}` } }, { signer: wallet(alice) });
+    assert.deepEqual(records.text, { url: 'https://alice.example' });
+    await names.setRecords('alice', { text: { url: null } }, { signer: alice.secretKey });
+    assert.deepEqual((await names.getRecords('alice')).records.text, {});
+  });
+
+  it('throws typed errors for refused requests', async () => {
+    const taken = await xrs().register('alice', { signer: bob.secretKey }).catch(err => err);
+    assert.ok(taken instanceof client.XRSNameTakenError);
+    assert.equal(taken.status, 409);
+    assert.equal(taken.existingName, 'alice.xrs');
+
+    const notOwner = await xrs().update('alice', { signer: bob.secretKey, address: bob.address }).catch(err => err);
+    assert.ok(notOwner instanceof client.XRSAuthError);
+    assert.equal(notOwner.details.error, notOwner.message);
+
+    await assert.rejects(xrs().update('not a name!', { signer: alice.secretKey, address: alice.address }), client.XRSValidationError);
+    await assert.rejects(xrs().update('alice', { signer: 'secret', address: alice.address }), TypeError);
+  });
+
+  it('throws XRSRateLimitError with the retry delay', async () => {
+    const limited = await startService({
+      commitMinDelaySeconds: 0,
+      rateLimits: {
+        general: { windowMs: 60000, max: 100 },
+        registration: { windowMs: 60000, max: 1 },
+        export: { windowMs: 60000, max: 10 }
+      }
+    });
+    try {
+      const names = new client.XRSNames(`${limited.url}/api`);
+      await names.register('first', { signer: alice.secretKey });
+      const err = await names.register('second', { signer: alice.secretKey }).catch(e => e);
+      assert.ok(err instanceof client.XRSRateLimitError);
+      assert.equal(err.status, 429);
+      assert.ok(err.retryAfter > 0);
+    } finally {
+      await limited.close();
+    }
+  });
+});
+
+describe('client cache', () => {
+  let service;
+  let client;
+  const alice = keyPair();
+  const bob = keyPair();
+
+  before(async () => {
+    client = await loadClient();
+    service = await startService({ commitMinDelaySeconds: 0 });
+    await registerName(service, 'alice', alice);
+  });
+  after(() => service.close());
+
+  // Mark every entry in a MemoryCache as expired, ago ms ago
+  const expire = (cache, ago = 1) => {
+    for (const entry of cache.entries.values()) entry.expiresAt = Date.now() - ago;
+  };
+
+  const requestsDuring = async fn => {
+    const fetches = recordFetches();
+    try {
+      return { result: await fn(), calls: fetches.calls };
+    } finally {
+      fetches.restore();
+    }
+  };
+
+  it('answers fresh entries from the cache, "not found" included', async () => {
+    const xrs = new client.XRSNames(`${service.url}/api`);
+    assert.equal(await xrs.resolve('alice'), alice.address);
+    assert.equal(await xrs.resolve('nobody'), null);
+
+    const { result, calls } = await requestsDuring(() => Promise.all([xrs.resolveResult('alice'), xrs.resolveResult('nobody')]));
+    assert.deepEqual(calls, []);
+    assert.deepEqual(result.map(r => [r.status, r.value, r.stale]), [['found', alice.address, false], ['not_found', null, false]]);
+  });
+
+  it('keeps "not found" for negativeCacheTTL only', async () => {
+    const cache = new client.MemoryCache();
+    const xrs = new client.XRSNames(`${service.url}/api`, { cache, cacheTTL: 60000, negativeCacheTTL: 1000, staleTTL: 0 });
+    await xrs.resolve('alice');
+    await xrs.resolve('later');
+    const expiry = Object.fromEntries([...cache.entries].map(([key, entry]) => [key.split('|').pop(), entry.expiresAt - entry.storedAt]));
+    assert.deepEqual(expiry, { 'name:alice': 60000, 'name:later': 1000 });
+
+    await registerName(service, 'later', bob);
+    assert.equal(await xrs.resolve('later'), null);
+    expire(cache);
+    assert.equal(await xrs.resolve('later'), bob.address);
+  });
+
+  it('serves an expired answer as stale and refreshes it in the background', async () => {
+    const cache = new client.MemoryCache();
+    const invalidated = [];
+    let refreshed;
+    const changed = new Promise(resolve => { refreshed = resolve; });
+    const xrs = new client.XRSNames(`${service.url}/api`, {
+      cache,
+      onInvalidate: change => { invalidated.push(change); refreshed(); }
+    });
+    assert.equal(await xrs.resolve('alice'), alice.address);
+
+    // Another client moves the name; this one still holds the old answer
+    await new client.XRSNames(`${service.url}/api`).update('alice', { signer: alice.secretKey, address: bob.address });
+    expire(cache);
+
+    const stale = await xrs.resolveResult('alice');
+    assert.deepEqual([stale.status, stale.value, stale.stale], ['found', alice.address, true]);
+    await changed;
+    assert.deepEqual(invalidated, [{ name: 'alice.xrs' }]);
+    assert.deepEqual(await xrs.resolveResult('alice'), { status: 'found', value: bob.address, stale: false, error: null });
+  });
+
+  it('asks the service when the answer is too old or allowStale is false', async () => {
+    const cache = new client.MemoryCache();
+    const xrs = new client.XRSNames(`${service.url}/api`, { cache, staleTTL: 1000 });
+    await xrs.resolve('alice');
+
+    expire(cache);
+    const { result, calls } = await requestsDuring(() => xrs.resolveResult('alice', { allowStale: false }));
+    assert.equal(result.stale, false);
+    assert.equal(calls.length, 1);
+
+    expire(cache, 2000);
+    assert.equal((await xrs.resolveResult('alice')).stale, false);
+  });
+
+  it('reports a failed lookup as an error, not "not found"', async () => {
+    const xrs = new client.XRSNames('http://127.0.0.1:1/api');
+    const logged = console.error;
+    console.error = () => {};
+    try {
+      const result = await xrs.resolveResult('alice');
+      assert.equal(result.status, 'error');
+      assert.equal(result.value, null);
+      assert.ok(result.error instanceof Error);
+      assert.equal(await xrs.resolve('alice'), null);
+    } finally {
+      console.error = logged;
+    }
+  });
+
+  it('drops cached answers with clearCache and tells onInvalidate about writes', async () => {
+    const cache = new client.MemoryCache();
+    const invalidated = [];
+    const xrs = new client.XRSNames(`${service.url}/api`, { cache, onInvalidate: change => invalidated.push(change) });
+    await xrs.resolve('alice');
+    await xrs.update('alice', { signer: alice.secretKey, address: alice.address });
+    assert.deepEqual(invalidated, [{ name: 'alice.xrs' }]);
+
+    await xrs.resolve('alice');
+    // Entries of another service in the same storage are left alone
+    await cache.set('elsewhere|name:alice', { value: 'x', storedAt: 0, expiresAt: 0 });
+    await xrs.clearCache();
+    assert.deepEqual(await cache.keys(), ['elsewhere|name:alice']);
+  });
+
+  it('keeps answers in a FileCache across clients', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'xrs-cache-'));
+    const file = path.join(dir, 'cache.json');
+    try {
+      await new client.XRSNames(`${service.url}/api`, { cache: new client.FileCache(file) }).resolve('alice');
+
+      const xrs = new client.XRSNames(`${service.url}/api`, { cache: new client.FileCache(file) });
+      const { result, calls } = await requestsDuring(() => xrs.resolve('alice'));
+      assert.equal(result, alice.address);
+      assert.deepEqual(calls, []);
+
+      // A damaged file is an empty cache
+      await fs.writeFile(file, '{not json');
+      const damaged = new client.FileCache(file);
+      assert.deepEqual(await damaged.keys(), []);
+      await damaged.set('key', { value: 1 });
+      assert.deepEqual(JSON.parse(await fs.readFile(file, 'utf8')), { key: { value: 1 } });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('client conditional requests', () => {
+  let service;
+  let client;
+  const alice = keyPair();
+  const bob = keyPair();
+
+  before(async () => {
+    client = await loadClient();
+    service = await startService({ commitMinDelaySeconds: 0 });
+    await registerName(service, 'alice', alice);
+  });
+  after(() => service.close());
+
+  // Run fn and return the statuses of the responses it got
+  const statusesDuring = async fn => {
+    const original = globalThis.fetch;
+    const statuses = [];
+    globalThis.fetch = async (url, init) => {
+      const response = await original(url, init);
+      statuses.push(response.status);
+      return response;
+    };
+    try {
+      return { result: await fn(), statuses };
+    } finally {
+      globalThis.fetch = original;
+    }
+  };
+
+  it('revalidates an expired answer with its ETag and keeps it on 304', async () => {
+    const cache = new client.MemoryCache();
+    const xrs = new client.XRSNames(`${service.url}/api`, { cache, staleTTL: 0 });
+    await xrs.resolve('alice');
+    const [entry] = cache.entries.values();
+    assert.match(entry.etag, /^W\/"/);
+
+    entry.expiresAt = Date.now() - 1;
+    const fetches = recordFetches();
+    const { result, statuses } = await statusesDuring(() => xrs.resolve('alice'));
+    fetches.restore();
+    assert.equal(result, alice.address);
+    assert.deepEqual(statuses, [304]);
+    assert.equal(fetches.calls[0].headers['If-None-Match'], entry.etag);
+    // The kept answer is fresh again
+    assert.ok([...cache.entries.values()][0].expiresAt > Date.now());
+  });
+
+  it('takes the new answer when the name has changed', async () => {
+    const cache = new client.MemoryCache();
+    const xrs = new client.XRSNames(`${service.url}/api`, { cache, staleTTL: 0 });
+    await xrs.resolve('alice');
+    await new client.XRSNames(`${service.url}/api`).update('alice', { signer: alice.secretKey, address: bob.address });
+
+    for (const entry of cache.entries.values()) entry.expiresAt = Date.now() - 1;
+    const { result, statuses } = await statusesDuring(() => xrs.resolve('alice'));
+    assert.equal(result, bob.address);
+    assert.deepEqual(statuses, [200]);
+  });
+});
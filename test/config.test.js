@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig } = require('../config');
+const { createStore } = require('../store');
+
+describe('configuration', () => {
+  it('keeps an explicit 0 for DNS TTLs', () => {
+    const config = loadConfig({ DNS_TTL: '0', DNS_NEGATIVE_TTL: '0' });
+    assert.equal(config.dnsTtl, 0);
+    assert.equal(config.dnsNegativeTtl, 0);
+  });
+
+  it('falls back to defaults when unset or not a number', () => {
+    const config = loadConfig({ DNS_TTL: 'soon' });
+    assert.equal(config.dnsTtl, 300);
+    assert.equal(config.dnsNegativeTtl, 60);
+  });
+
+  it('keeps an explicit 0 for the registration term and grace period', () => {
+    const config = loadConfig({ REGISTRATION_TERM_DAYS: '0', GRACE_PERIOD_DAYS: '0' });
+    assert.equal(config.registrationTermDays, 0);
+    assert.equal(config.gracePeriodDays, 0);
+    assert.equal(loadConfig({}).gracePeriodDays, 30);
+  });
+
+  it('keeps an explicit 0 for MAX_SSE_CLIENTS', () => {
+    assert.equal(loadConfig({ MAX_SSE_CLIENTS: '0' }).maxSseClients, 0);
+    assert.equal(loadConfig({}).maxSseClients, 1000);
+  });
+
+  it('keeps an explicit 0 for the commit-reveal window', () => {
+    const config = loadConfig({ COMMIT_MIN_DELAY_SECONDS: '0', COMMIT_MAX_AGE_HOURS: '0' });
+    assert.equal(config.commitMinDelaySeconds, 0);
+    assert.equal(config.commitMaxAgeHours, 0);
+    assert.equal(loadConfig({}).commitMinDelaySeconds, 60);
+  });
+
+  it('keeps an explicit 0 for the snapshot interval', () => {
+    assert.equal(loadConfig({ SNAPSHOT_INTERVAL_SECONDS: '0' }).snapshotIntervalSeconds, 0);
+    assert.equal(loadConfig({}).snapshotIntervalSeconds, 60);
+    assert.equal(loadConfig({}).snapshotRetentionDays, 30);
+  });
+
+  it('reads the attestation lifetime as a number', () => {
+    assert.equal(loadConfig({ ATTESTATION_TTL_SECONDS: '90' }).attestationTtlSeconds, 90);
+    assert.equal(loadConfig({ ATTESTATION_TTL_SECONDS: 'soon' }).attestationTtlSeconds, 300);
+  });
+
+  it('keeps PORT=0 (any free port)', () => {
+    assert.equal(loadConfig({ PORT: '0' }).port, 0);
+    assert.equal(loadConfig({}).port, 3000);
+  });
+
+  it('uses the in-memory store only when STORE=memory asks for it', () => {
+    assert.equal(loadConfig({}).storeDriver, 'postgres');
+    assert.equal(loadConfig({ NODE_ENV: 'development' }).storeDriver, 'postgres');
+    assert.equal(loadConfig({ STORE: 'memory' }).storeDriver, 'memory');
+    assert.throws(() => createStore({ driver: loadConfig({}).storeDriver }), /DATABASE_URL .*STORE=memory/);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startService, keyPair, registerName } = require('./helpers');
+const { createMemoryStore } = require('../store');
+const { EXPORT_COLUMNS } = require('../routes/directory');
+
+describe('directory', () => {
+  let service;
+  let since;
+  const alice = keyPair();
+  const bob = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+    await registerName(service, 'carol', alice);
+    await registerName(service, 'alice', alice, { metadata: { description: 'Says "hi", often' } });
+    since = new Date().toISOString();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await registerName(service, 'bob', bob);
+    await registerName(service, 'bobbybobby', bob);
+  });
+  after(() => service.close());
+
+  // The names on each page of the directory, following next_cursor to the end
+  const names = async query => {
+    const pages = [];
+    let cursor = null;
+    do {
+      const { status, body } = await service.request('GET', `/api/directory?${query}${cursor ? `&cursor=${cursor}` : ''}`);
+      assert.equal(status, 200);
+      pages.push(body.entries.map(e => e.name));
+      cursor = body.next_cursor;
+    } while (cursor);
+    return pages;
+  };
+
+  it('lists every name a page at a time', async () => {
+    assert.deepEqual(await names('limit=3'), [['alice.xrs', 'bob.xrs', 'bobbybobby.xrs'], ['carol.xrs']]);
+    assert.deepEqual(await names('limit=2&order=desc'), [['carol.xrs', 'bobbybobby.xrs'], ['bob.xrs', 'alice.xrs']]);
+
+    const { body } = await service.request('GET', '/api/directory?limit=1');
+    assert.equal(body.entries[0].owner, alice.address);
+    assert.equal(body.entries[0].parent, null);
+    assert.equal(body.sort, 'name');
+  });
+
+  it('sorts by registration with a cursor that keeps its place', async () => {
+    assert.deepEqual(await names('sort=registered&limit=1'), [['carol.xrs'], ['alice.xrs'], ['bob.xrs'], ['bobbybobby.xrs']]);
+    assert.deepEqual((await names('sort=updated&order=desc')).flat(), ['bobbybobby.xrs', 'bob.xrs', 'alice.xrs', 'carol.xrs']);
+  });
+
+  it('filters by length, registration time and text records', async () => {
+    assert.deepEqual((await names('min_length=4&max_length=5')).flat(), ['alice.xrs', 'carol.xrs']);
+    assert.deepEqual((await names(`registered_after=${since}`)).flat(), ['bob.xrs', 'bobbybobby.xrs']);
+    assert.deepEqual((await names('has_metadata=true')).flat(), ['alice.xrs']);
+    assert.deepEqual((await names('has_metadata=false')).flat(), ['bob.xrs', 'bobbybobby.xrs', 'carol.xrs']);
+  });
+
+  it('rejects bad parameters', async () => {
+    for (const query of ['sort=size', 'order=up', 'min_length=0', 'registered_after=soon', 'has_metadata=yes', 'cursor=nope']) {
+      assert.equal((await service.request('GET', `/api/directory?${query}`)).status, 400, query);
+    }
+    // A cursor from another sort order doesn't fit
+    const { body } = await service.request('GET', '/api/directory?limit=1');
+    assert.equal((await service.request('GET', `/api/directory?sort=registered&cursor=${body.next_cursor}`)).status, 400);
+  });
+
+  it('exports NDJSON with records', async () => {
+    const res = await fetch(`${service.url}/api/export?min_length=4`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('Content-Type'), 'application/x-ndjson');
+    assert.match(res.headers.get('Content-Disposition'), /^attachment; filename="xrs-names-\d{4}-\d\d-\d\d\.ndjson"$/);
+    assert.equal(res.headers.get('Cache-Control'), 'no-store');
+
+    const entries = (await res.text()).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(entries.map(e => e.name), ['alice.xrs', 'bobbybobby.xrs', 'carol.xrs']);
+    assert.deepEqual(entries[0].records.text, { description: 'Says "hi", often' });
+    assert.equal(entries[1].address, bob.address);
+  });
+
+  it('exports CSV with a header row and quoted fields', async () => {
+    const res = await fetch(`${service.url}/api/export?format=csv&has_metadata=true`);
+    assert.equal(res.headers.get('Content-Type'), 'text/csv; charset=utf-8');
+    const [header, row, end] = (await res.text()).split('\n');
+    assert.equal(header, EXPORT_COLUMNS.join(','));
+    assert.ok(row.startsWith(`alice.xrs,alice.xrs,${alice.address},${alice.address},,`));
+    assert.match(row, /,"\{""text"":\{""description"":""Says \\""hi\\"", often""\}/);
+    assert.equal(end, '');
+  });
+
+  it('rejects an unknown export format', async () => {
+    const { status, body } = await service.request('GET', '/api/export?format=xml');
+    assert.equal(status, 400);
+    assert.equal(body.error, 'format must be one of csv, ndjson');
+  });
+});
+
+describe('export of a large registry', () => {
+  let service;
+  const owner = keyPair();
+
+  before(async () => {
+    const store = createMemoryStore();
+    const now = new Date();
+    for (let i = 0; i < 1201; i++) {
+      await store.insertName({
+        name: `name${String(i).padStart(4, '0')}`,
+        address: owner.address,
+        owner: owner.address,
+        registered_at: now,
+        updated_at: now,
+        expires_at: now.getTime() + 86400000
+      });
+    }
+    service = await startService({}, { store });
+  });
+  after(() => service.close());
+
+  it('streams every name across batches, once each and in order', async () => {
+    for (const sort of ['name', 'registered']) {
+      const text = await (await fetch(`${service.url}/api/export?sort=${sort}`)).text();
+      const exported = text.trim().split('\n').map(line => JSON.parse(line).name);
+      assert.equal(exported.length, 1201);
+      assert.equal(new Set(exported).size, 1201);
+      assert.deepEqual(exported, [...exported].sort());
+    }
+  });
+});
@@ -0,0 +1,198 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const net = require('net');
+const wire = require('../dns/wire');
+const { startDnsServer } = require('../dns');
+const { startService, keyPair, registerName } = require('./helpers');
+
+const { TYPES, RCODES, CLASS_IN } = wire;
+
+function query(name, type = TYPES.TXT, { id = 0x1234, flags = 0x0100, edns = false } = {}) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(flags, 2);
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(edns ? 1 : 0, 10);
+  const labels = name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label, 'latin1')]));
+  const question = Buffer.alloc(4);
+  question.writeUInt16BE(type, 0);
+  question.writeUInt16BE(CLASS_IN, 2);
+  const opt = edns ? Buffer.from([0, 0, 41, 0x10, 0x00, 0, 0, 0, 0, 0, 0]) : Buffer.alloc(0);
+  return Buffer.concat([header, ...labels, Buffer.from([0]), question, opt]);
+}
+
+function responseHeader(buf) {
+  return {
+    id: buf.readUInt16BE(0),
+    qr: Boolean(buf.readUInt16BE(2) & 0x8000),
+    tc: Boolean(buf.readUInt16BE(2) & 0x0200),
+    rcode: buf.readUInt16BE(2) & 0x0f,
+    answers: buf.readUInt16BE(6),
+    authority: buf.readUInt16BE(8)
+  };
+}
+
+describe('DNS wire format', () => {
+  it('parses a query', () => {
+    const parsed = wire.parseQuery(query('alice.xrs', TYPES.TXT, { edns: true }));
+    assert.equal(parsed.id, 0x1234);
+    assert.equal(parsed.rd, true);
+    assert.deepEqual(parsed.question, { labels: ['alice', 'xrs'], type: TYPES.TXT, klass: CLASS_IN });
+    assert.deepEqual(parsed.edns, { udpSize: 4096 });
+  });
+
+  it('rejects malformed messages with FormatError', () => {
+    const valid = query('alice.xrs');
+    const cases = {
+      'short header': valid.subarray(0, 11),
+      'response flag': Buffer.concat([valid.subarray(0, 2), Buffer.from([0x81, 0x00]), valid.subarray(4)]),
+      'two questions': Buffer.concat([valid.subarray(0, 4), Buffer.from([0, 2]), valid.subarray(6)]),
+      'label past the end': valid.subarray(0, 16),
+      'truncated question': valid.subarray(0, valid.length - 2),
+      'pointer loop': Buffer.concat([valid.subarray(0, 12), Buffer.from([0xc0, 12, 0, 16, 0, 1])]),
+      'record past the end': Buffer.concat([valid.subarray(0, 10), Buffer.from([0, 1]), valid.subarray(12)])
+    };
+    for (const [label, message] of Object.entries(cases)) {
+      assert.throws(() => wire.parseQuery(message), wire.FormatError, label);
+    }
+  });
+
+  it('keeps the message id on FormatErrors after the header', () => {
+    const valid = query('alice.xrs');
+    assert.throws(() => wire.parseQuery(valid.subarray(0, 16)), err => err.id === 0x1234);
+  });
+
+  it('splits long TXT values into 255-byte strings', () => {
+    const data = wire.txtData('x'.repeat(300));
+    assert.equal(data[0], 255);
+    assert.equal(data[256], 45);
+    assert.equal(data.length, 302);
+  });
+
+  it('truncates responses that do not fit', () => {
+    const parsed = wire.parseQuery(query('alice.xrs'));
+    const answers = Array.from({ length: 10 }, () => ({ type: TYPES.TXT, ttl: 60, data: wire.txtData('y'.repeat(100)) }));
+    const header = responseHeader(wire.buildResponse(parsed, { answers, maxSize: 512 }));
+    assert.equal(header.tc, true);
+    assert.equal(header.answers, 0);
+  });
+});
+
+describe('DNS gateway', () => {
+  let service;
+  const key = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+    await registerName(service, 'alice', key);
+  });
+  after(() => service.close());
+
+  it('answers TXT queries for a registered name', async () => {
+    const { response, ttl } = await service.app.answerDns(query('alice.xrs'));
+    const header = responseHeader(response);
+    assert.equal(header.id, 0x1234);
+    assert.equal(header.qr, true);
+    assert.equal(header.rcode, RCODES.NOERROR);
+    assert.equal(header.answers, 1);
+    assert.ok(response.includes(Buffer.from(`address=${key.address}`)));
+    assert.ok(ttl > 0);
+  });
+
+  it('answers NXDOMAIN for names that do not exist', async () => {
+    const header = responseHeader((await service.app.answerDns(query('nobody.xrs'))).response);
+    assert.equal(header.rcode, RCODES.NXDOMAIN);
+    assert.equal(header.authority, 1);
+  });
+
+  it('answers other record types on a name with no records', async () => {
+    const header = responseHeader((await service.app.answerDns(query('alice.xrs', TYPES.A))).response);
+    assert.equal(header.rcode, RCODES.NOERROR);
+    assert.equal(header.answers, 0);
+  });
+
+  it('answers FORMERR to malformed queries that carry an id', async () => {
+    const { response } = await service.app.answerDns(query('alice.xrs').subarray(0, 16));
+    assert.equal(responseHeader(response).rcode, RCODES.FORMERR);
+  });
+
+  it('serves DNS-over-HTTPS', async () => {
+    const res = await fetch(`${service.url}/dns-query?dns=${query('alice.xrs').toString('base64url')}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/dns-message');
+    const header = responseHeader(Buffer.from(await res.arrayBuffer()));
+    assert.equal(header.answers, 1);
+  });
+});
+
+describe('DNS rate limits', () => {
+  it('counts DNS-over-HTTPS against the general limit', async () => {
+    const service = await startService({
+      rateLimits: {
+        general: { windowMs: 60000, max: 2 },
+        registration: { windowMs: 60000, max: 10 },
+        export: { windowMs: 60000, max: 10 }
+      }
+    });
+    try {
+      const doh = () => fetch(`${service.url}/dns-query?dns=${query('nobody.xrs').toString('base64url')}`);
+      assert.equal((await doh()).status, 200);
+      assert.equal((await service.request('GET', '/api/resolve/nobody')).status, 404);
+      assert.equal((await doh()).status, 429);
+    } finally {
+      await service.close();
+    }
+  });
+
+  describe('UDP', () => {
+    let server;
+    let answered = 0;
+
+    before(async () => {
+      const answer = async message => {
+        answered += 1;
+        return { response: message, ttl: 0 };
+      };
+      server = await startDnsServer(answer, { port: 0, host: '127.0.0.1', rateLimit: { windowMs: 60000, max: 3 } });
+    });
+    after(() => server.close());
+
+    // Send count queries from a new socket; resolves to the number of replies
+    const sendFrom = async count => {
+      const socket = dgram.createSocket('udp4');
+      let replies = 0;
+      socket.on('message', () => { replies += 1; });
+      for (let i = 0; i < count; i++) {
+        await new Promise(resolve => socket.send(query('alice.xrs', TYPES.TXT, { id: i }), server.port, '127.0.0.1', resolve));
+      }
+      await new Promise(resolve => setTimeout(resolve, 200));
+      socket.close();
+      return replies;
+    };
+
+    it('drops queries past the limit for a source address', async () => {
+      assert.equal(await sendFrom(5), 3);
+      // A new port on the same address shares the count
+      assert.equal(await sendFrom(1), 0);
+      assert.equal(answered, 3);
+    });
+
+    it('still answers over TCP', async () => {
+      const reply = await new Promise((resolve, reject) => {
+        const socket = net.connect(server.port, '127.0.0.1', () => {
+          const message = query('alice.xrs');
+          const length = Buffer.alloc(2);
+          length.writeUInt16BE(message.length);
+          socket.write(Buffer.concat([length, message]));
+        });
+        socket.once('data', data => {
+          socket.destroy();
+          resolve(data);
+        });
+        socket.on('error', reject);
+      });
+      assert.equal(reply.readUInt16BE(0), reply.length - 2);
+    });
+  });
+});
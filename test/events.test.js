@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startService, keyPair, registerName } = require('./helpers');
+
+// Read an event stream until it ends or goes quiet; resolves to its events
+async function readEvents(url, headers = {}, quietMs = 300) {
+  const controller = new AbortController();
+  const res = await fetch(url, { headers, signal: controller.signal });
+  const reader = res.body.getReader();
+  let text = '';
+  for (;;) {
+    const timer = setTimeout(() => controller.abort(), quietMs);
+    try {
+      const { value, done } = await reader.read();
+      if (done) break;
+      text += Buffer.from(value).toString();
+    } catch {
+      break;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  return text.split('\n\n').filter(block => /^(id|event):/m.test(block)).map(block => ({
+    id: (block.match(/^id: (\d+)$/m) || [])[1],
+    event: (block.match(/^event: (.+)$/m) || [])[1],
+    data: JSON.parse((block.match(/^data: (.+)$/m) || [])[1])
+  }));
+}
+
+describe('event stream', () => {
+  let service;
+  const key = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+    for (const name of ['alice', 'bob', 'carol']) await registerName(service, name, key);
+  });
+  after(() => service.close());
+
+  it('replays events after Last-Event-ID', async () => {
+    const events = await readEvents(`${service.url}/api/events`, { 'Last-Event-ID': '1' });
+    assert.deepEqual(events.map(event => event.data.name), ['bob.xrs', 'carol.xrs']);
+    assert.deepEqual(events.map(event => event.event), ['register', 'register']);
+  });
+
+  it('sends events committed during the replay once, in order', async () => {
+    const eventsSince = service.store.eventsSince;
+    service.store.eventsSince = async (...args) => {
+      await registerName(service, 'dave', key);
+      return eventsSince.apply(service.store, args);
+    };
+    try {
+      const events = await readEvents(`${service.url}/api/events`, { 'Last-Event-ID': '2' });
+      assert.deepEqual(events.map(event => event.data.name), ['carol.xrs', 'dave.xrs']);
+      const ids = events.map(event => Number(event.id));
+      assert.deepEqual(ids, [...ids].sort((a, b) => a - b));
+    } finally {
+      service.store.eventsSince = eventsSince;
+    }
+  });
+
+  it('filters by name', async () => {
+    const events = await readEvents(`${service.url}/api/events?name=bob`, { 'Last-Event-ID': '1' });
+    assert.deepEqual(events.map(event => event.data.name), ['bob.xrs']);
+  });
+
+  it('reports a failed replay and ends the stream', async () => {
+    const eventsSince = service.store.eventsSince;
+    service.store.eventsSince = async () => {
+      throw new Error('connection lost');
+    };
+    try {
+      const events = await readEvents(`${service.url}/api/events`, { 'Last-Event-ID': '1' }, 2000);
+      assert.deepEqual(events, [{ id: undefined, event: 'error', data: { error: 'Could not replay missed events' } }]);
+    } finally {
+      service.store.eventsSince = eventsSince;
+    }
+  });
+});
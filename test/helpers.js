@@ -0,0 +1,127 @@
+// Shared test setup: the whole service in process against an in-memory
+// store, plus the v1 signed messages clients send (see `signing` in GET /api).
+
+const crypto = require('crypto');
+const nacl = require('tweetnacl');
+const bs58 = require('bs58');
+const { createApp } = require('../server');
+const { createMemoryStore } = require('../store');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Start createApp on a free port, on a new in-memory store unless one is
+ * given. Rate limits, background jobs and logs are off unless config turns
+ * them back on. Resolves to { app, store, request, url, close };
+ * request(method, path, body, headers) resolves to { status, headers, body }
+ * with body parsed when it is JSON.
+ */
+async function startService(config = {}, { store = createMemoryStore() } = {}) {
+  const app = createApp({
+    store,
+    config: { rateLimits: false, backgroundJobs: false, serveFrontend: false, logger: silentLogger, ...config }
+  });
+  await app.start();
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, body, headers = {}) => {
+    const res = await fetch(url + path, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {}
+    return { status: res.status, headers: res.headers, body: parsed };
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await app.close();
+  };
+
+  return { app, store, request, url, close };
+}
+
+function keyPair() {
+  const pair = nacl.sign.keyPair();
+  return { address: bs58.encode(pair.publicKey), secretKey: pair.secretKey };
+}
+
+function sign(message, key) {
+  return bs58.encode(nacl.sign.detached(new TextEncoder().encode(message), key.secretKey));
+}
+
+function signedMessage(action, fields, nonce, expires) {
+  return [
+    'xrs-names signed message',
+    'version: 1',
+    'domain: xrs-names',
+    'chain: xeris-mainnet',
+    `action: ${action}`,
+    ...Object.entries(fields).map(([name, value]) => `${name}: ${value}`),
+    `nonce: ${nonce}`,
+    `expires: ${expires}`
+  ].join('\n');
+}
+
+/**
+ * { signature, nonce, expires } for an action signed by key, with a fresh
+ * nonce from the service
+ */
+async function signAction(service, action, fields, key, { expires = Date.now() + 60000 } = {}) {
+  const { body } = await service.request('POST', '/api/nonce');
+  return { signature: sign(signedMessage(action, fields, body.nonce, expires), key), nonce: body.nonce, expires };
+}
+
+/**
+ * Register name for key through commit-reveal. The service must run with
+ * commitMinDelaySeconds: 0.
+ */
+async function registerName(service, name, key, extra = {}) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const commitment = crypto.createHash('sha256').update(`${name}:${key.address}:${secret}`).digest('hex');
+  const committed = await service.request('POST', '/api/commit', { commitment });
+  if (committed.status !== 201) throw new Error(`commit failed: ${JSON.stringify(committed.body)}`);
+  const revealed = await service.request('POST', '/api/reveal', { name, address: key.address, secret, ...extra });
+  if (revealed.status !== 201) throw new Error(`reveal failed: ${JSON.stringify(revealed.body)}`);
+  return revealed.body;
+}
+
+// The client library in public/ is an ES module; CommonJS tests import it
+function loadClient() {
+  return import('../public/xrs-names-lib.js');
+}
+
+/**
+ * Record every fetch (the client library's and request()'s) until restore().
+ * calls holds { url, method, headers } in order.
+ */
+function recordFetches() {
+  const original = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = (url, init = {}) => {
+    calls.push({ url: String(url), method: init.method || 'GET', headers: init.headers || {} });
+    return original(url, init);
+  };
+  return { calls, restore: () => { globalThis.fetch = original; } };
+}
+
+module.exports = {
+  startService,
+  keyPair,
+  sign,
+  signedMessage,
+  signAction,
+  registerName,
+  loadClient,
+  recordFetches,
+  silentLogger
+};
@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startService, keyPair, signAction, registerName } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('name lifecycle', () => {
+  let service;
+  const alice = keyPair();
+  const bob = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+  });
+  after(() => service.close());
+
+  // Move a name's expiry to `ms` from now
+  const expireIn = (name, ms) => service.store.updateName(name, { expires_at: Date.now() + ms });
+
+  const renew = async (name, signer, years = 1) => {
+    const auth = await signAction(service, 'renew', { name, years }, signer);
+    return service.request('POST', `/api/renew/${name}`, { years, ...auth });
+  };
+
+  it('registers a name for one term followed by a grace period', async () => {
+    await registerName(service, 'term', alice);
+    const { body } = await service.request('GET', '/api/resolve/term');
+    assert.equal(body.status, 'active');
+    const expires = Date.parse(body.expires);
+    assert.ok(Math.abs(expires - (Date.now() + 365 * DAY_MS)) < 60000);
+    assert.equal(Date.parse(body.grace_ends) - expires, 30 * DAY_MS);
+  });
+
+  it('stops resolving an expired name and refuses changes during the grace period', async () => {
+    await registerName(service, 'lapsed', alice);
+    await expireIn('lapsed', -DAY_MS);
+
+    const resolved = await service.request('GET', '/api/resolve/lapsed');
+    assert.equal(resolved.status, 410);
+    assert.equal(resolved.body.status, 'grace');
+
+    const check = await service.request('GET', '/api/check/lapsed');
+    assert.equal(check.body.available, false);
+    assert.equal(check.body.status, 'grace');
+
+    const auth = await signAction(service, 'update', { name: 'lapsed', address: bob.address }, alice);
+    assert.equal((await service.request('PUT', '/api/update/lapsed', { address: bob.address, ...auth })).status, 410);
+  });
+
+  it('renews from the old expiry, also during the grace period', async () => {
+    await registerName(service, 'renewed', alice);
+    const expiredAt = Date.now() - DAY_MS;
+    await service.store.updateName('renewed', { expires_at: expiredAt });
+
+    const res = await renew('renewed', alice);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'active');
+    assert.equal(Date.parse(res.body.expires), expiredAt + 365 * DAY_MS);
+    assert.equal((await service.request('GET', '/api/resolve/renewed')).status, 200);
+
+    const { events } = (await service.request('GET', '/api/history/renewed')).body;
+    assert.equal(events[0].type, 'renew');
+  });
+
+  it('only lets the owner renew, and at most five terms ahead', async () => {
+    await registerName(service, 'capped', alice);
+    assert.equal((await renew('capped', bob)).status, 401);
+    assert.equal((await renew('capped', alice, 5)).status, 400);
+    assert.equal((await renew('capped', alice, 4)).status, 200);
+    assert.equal((await renew('capped', alice, 1)).status, 400);
+  });
+
+  it('does not renew subnames on their own', async () => {
+    await registerName(service, 'family', alice);
+    const auth = await signAction(service, 'create-subname', { name: 'kid.family', address: alice.address, owner: alice.address }, alice);
+    assert.equal((await service.request('POST', '/api/subnames/family', { label: 'kid', address: alice.address, ...auth })).status, 201);
+    assert.equal((await renew('kid.family', alice)).status, 400);
+  });
+
+  it('frees a name after the grace period for anyone to register', async () => {
+    await registerName(service, 'gone', alice);
+    await expireIn('gone', -31 * DAY_MS);
+
+    assert.equal((await service.request('GET', '/api/resolve/gone')).status, 404);
+    assert.equal((await service.request('GET', '/api/check/gone')).body.available, true);
+    assert.equal((await renew('gone', alice)).status, 404);
+
+    const registered = await registerName(service, 'gone', bob);
+    assert.equal(registered.owner, bob.address);
+    const { events } = (await service.request('GET', '/api/history/gone')).body;
+    assert.deepEqual(events.slice(0, 2).map(event => [event.type, event.data && event.data.reason]), [['register', undefined], ['release', 'expired']]);
+  });
+});
+
+describe('expiry sweeper', () => {
+  it('releases names past their grace period when the service starts and on its interval', async () => {
+    const key = keyPair();
+    const first = await startService({ commitMinDelaySeconds: 0 });
+    await registerName(first, 'stale', key);
+    await registerName(first, 'fresh', key);
+    await first.store.updateName('stale', { expires_at: Date.now() - 31 * DAY_MS });
+    await first.store.updateName('fresh', { expires_at: Date.now() - DAY_MS });
+    await first.close();
+
+    const second = await startService({ backgroundJobs: true }, { store: first.store });
+    try {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.ok(!(await second.store.getName('stale')));
+      assert.ok(await second.store.getName('fresh'));
+      const { events } = (await second.request('GET', '/api/history/stale')).body;
+      assert.deepEqual(events[0].data, { reason: 'expired' });
+    } finally {
+      await second.close();
+    }
+  });
+});
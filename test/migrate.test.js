@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { migrate, rollback, status, loadMigrations } = require('../migrate');
+const { loadConfig } = require('../config');
+
+/**
+ * A pg Pool stand-in that records every statement and keeps schema_migrations
+ * in memory, with BEGIN / ROLLBACK restoring it. Statements containing
+ * failOn throw. applied: null means the table doesn't exist yet.
+ */
+function fakePool({ applied = null, failOn } = {}) {
+  let table = applied && applied.map(version => ({ version, name: `m${version}`, applied_at: new Date(0) }));
+  let saved = null;
+  const statements = [];
+
+  const query = async (text, params = []) => {
+    const sql = text.replace(/\s+/g, ' ').trim();
+    statements.push(sql);
+    if (failOn && sql.includes(failOn)) throw new Error(`failed: ${failOn}`);
+
+    if (sql === 'BEGIN') saved = table && [...table];
+    if (sql === 'ROLLBACK') table = saved;
+    if (sql.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) table = table || [];
+    if (sql.startsWith('SELECT to_regclass')) {
+      return { rows: [{ migrations_table: table ? 'schema_migrations' : null }] };
+    }
+    if (sql.startsWith('SELECT version, name, applied_at FROM schema_migrations')) {
+      if (!table) throw new Error('relation "schema_migrations" does not exist');
+      return { rows: [...table].sort((a, b) => a.version - b.version) };
+    }
+    if (sql.startsWith('INSERT INTO schema_migrations')) {
+      table.push({ version: params[0], name: params[1], applied_at: new Date() });
+    }
+    if (sql.startsWith('DELETE FROM schema_migrations')) {
+      table = table.filter(row => row.version !== params[0]);
+    }
+    return { rows: [], rowCount: 0 };
+  };
+
+  const pool = {
+    statements,
+    released: 0,
+    applied: () => (table ? table.map(row => row.version).sort((a, b) => a - b) : null),
+    query,
+    async connect() {
+      return { query, release: () => { pool.released += 1; } };
+    }
+  };
+  return pool;
+}
+
+const options = { log: () => {}, config: loadConfig({}) };
+const versions = loadMigrations().map(m => m.version);
+
+describe('migrations', () => {
+  it('finds the migration files in version order', () => {
+    assert.ok(versions.length > 0);
+    assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+  });
+
+  it('applies pending migrations under the advisory lock', async () => {
+    const pool = fakePool({ applied: [1] });
+    const ran = await migrate(pool, options);
+    assert.deepEqual(ran.map(m => m.version), versions.slice(1));
+    assert.deepEqual(pool.applied(), versions);
+
+    assert.match(pool.statements[0], /^SELECT pg_advisory_lock/);
+    assert.match(pool.statements[pool.statements.length - 1], /^SELECT pg_advisory_unlock/);
+    assert.equal(pool.statements.filter(sql => sql === 'BEGIN').length, versions.length - 1);
+    assert.equal(pool.released, 1);
+
+    assert.deepEqual(await migrate(pool, options), []);
+  });
+
+  it('rolls back a failed migration and stops there', async () => {
+    const pool = fakePool({ failOn: 'registry_snapshots' });
+    await assert.rejects(migrate(pool, options), /failed: registry_snapshots/);
+    assert.deepEqual(pool.applied(), [1]);
+    assert.ok(pool.statements.includes('ROLLBACK'));
+    assert.match(pool.statements[pool.statements.length - 1], /^SELECT pg_advisory_unlock/);
+    assert.equal(pool.released, 1);
+  });
+
+  it('reverts the newest migrations first', async () => {
+    const pool = fakePool({ applied: versions });
+    const reverted = await rollback(pool, { ...options, steps: 2 });
+    assert.deepEqual(reverted.map(m => m.version), versions.slice(-2).reverse());
+    assert.deepEqual(pool.applied(), versions.slice(0, -2));
+  });
+
+  it('reports status without locking or creating anything', async () => {
+    const fresh = fakePool();
+    const rows = await status(fresh);
+    assert.deepEqual(rows.map(r => [r.version, r.applied_at]), versions.map(v => [v, null]));
+    assert.equal(fresh.applied(), null);
+
+    const migrated = fakePool({ applied: [...versions, 999] });
+    const listed = await status(migrated);
+    assert.ok(listed.slice(0, -1).every(r => r.applied_at));
+    assert.deepEqual(listed[listed.length - 1], {
+      version: 999, name: 'm999', applied_at: new Date(0).toISOString(), missing: true
+    });
+
+    for (const pool of [fresh, migrated]) {
+      assert.ok(pool.statements.every(sql => sql.startsWith('SELECT') && !sql.includes('pg_advisory')), pool.statements.join('\n'));
+      assert.equal(pool.released, 0);
+    }
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../server');
+const { createMemoryStore } = require('../store');
+const { startService, silentLogger } = require('./helpers');
+
+describe('health, readiness and metrics', () => {
+  let service;
+
+  before(async () => {
+    service = await startService({ metricsToken: 'scrape-token' });
+  });
+  after(() => service.close());
+
+  it('is ready once started and the database answers', async () => {
+    const res = await service.request('GET', '/readyz');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { status: 'ready', checks: { database: 'ok' } });
+  });
+
+  it('is not ready when the database does not answer', async () => {
+    const ping = service.store.ping;
+    service.store.ping = async () => {
+      throw new Error('connection refused');
+    };
+    try {
+      const res = await service.request('GET', '/readyz');
+      assert.equal(res.status, 503);
+      assert.equal(res.body.checks.database, 'unavailable');
+      assert.equal((await service.request('GET', '/healthz')).status, 200);
+    } finally {
+      service.store.ping = ping;
+    }
+  });
+
+  it('is not ready before start', async () => {
+    const app = createApp({ store: createMemoryStore(), config: { logger: silentLogger, backgroundJobs: false } });
+    const { ready, checks } = await readyOf(app);
+    assert.equal(ready, false);
+    assert.equal(checks.database, 'not initialized');
+  });
+
+  it('echoes a sensible X-Request-Id and replaces anything else', async () => {
+    const given = await service.request('GET', '/api/health', undefined, { 'X-Request-Id': 'edge-42' });
+    assert.equal(given.headers.get('x-request-id'), 'edge-42');
+    const replaced = await service.request('GET', '/api/health', undefined, { 'X-Request-Id': 'x'.repeat(129) });
+    assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('needs the token for metrics', async () => {
+    assert.equal((await service.request('GET', '/metrics')).status, 401);
+    assert.equal((await service.request('GET', '/metrics', undefined, { Authorization: 'Bearer wrong' })).status, 401);
+  });
+
+  it('labels request metrics by route, not path', async () => {
+    await service.request('GET', '/api/resolve/someone');
+    const res = await service.request('GET', '/metrics', undefined, { Authorization: 'Bearer scrape-token' });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(res.body, /xrs_http_requests_total\{method="GET",route="\/api\/resolve\/:name",status="404"\} 1/);
+    assert.doesNotMatch(res.body, /someone/);
+    assert.match(res.body, /^process_resident_memory_bytes \d+/m);
+  });
+});
+
+describe('rate limits', () => {
+  let service;
+
+  before(async () => {
+    service = await startService({
+      rateLimits: {
+        general: { windowMs: 60000, max: 100 },
+        registration: { windowMs: 60000, max: 1 },
+        export: { windowMs: 60000, max: 10 }
+      }
+    });
+  });
+  after(() => service.close());
+
+  it('rejects with 429 and counts the rejection', async () => {
+    await service.request('POST', '/api/reveal', {});
+    const limited = await service.request('POST', '/api/reveal', {});
+    assert.equal(limited.status, 429);
+    assert.ok(limited.body.error);
+    const metrics = (await service.request('GET', '/metrics')).body;
+    assert.match(metrics, /xrs_rate_limit_rejections_total\{limiter="registration"\} 1/);
+  });
+});
+
+// Readiness of an app that was never started, through its /readyz route
+async function readyOf(app) {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/readyz`);
+    const body = await res.json();
+    return { ready: res.status === 200, checks: body.checks };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startService, keyPair, signAction, registerName } = require('./helpers');
+
+describe('primary names', () => {
+  let service;
+  const wallet = keyPair();
+  const other = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+    for (const name of ['first', 'second', 'third']) await registerName(service, name, wallet);
+    await registerName(service, 'elsewhere', other);
+  });
+  after(() => service.close());
+
+  const reverse = async address => (await service.request('GET', `/api/reverse/${address}`)).body;
+
+  const setPrimary = async (address, name, signer) => {
+    const auth = await signAction(service, 'set-primary', { address, name }, signer);
+    return service.request('PUT', `/api/primary/${address}`, { name, ...auth });
+  };
+
+  it('lists every name of an address with the oldest as primary by default', async () => {
+    const body = await reverse(wallet.address);
+    assert.deepEqual(body.names.map(n => n.name), ['first.xrs', 'second.xrs', 'third.xrs']);
+    assert.equal(body.primary, 'first.xrs');
+    assert.equal(body.primary_source, 'oldest');
+  });
+
+  it('lets the address choose its primary name', async () => {
+    const res = await setPrimary(wallet.address, 'second', wallet);
+    assert.equal(res.status, 200);
+    const body = await reverse(wallet.address);
+    assert.equal(body.primary, 'second.xrs');
+    assert.equal(body.primary_source, 'owner');
+  });
+
+  it('needs the address key and a name that resolves to the address', async () => {
+    assert.equal((await setPrimary(wallet.address, 'third', other)).status, 401);
+    assert.equal((await setPrimary(wallet.address, 'elsewhere', wallet)).status, 409);
+    assert.equal((await setPrimary(wallet.address, 'missing', wallet)).status, 404);
+    assert.equal((await reverse(wallet.address)).primary, 'second.xrs');
+  });
+
+  it('falls back to the oldest name once the primary points elsewhere', async () => {
+    const auth = await signAction(service, 'update', { name: 'second', address: other.address }, wallet);
+    assert.equal((await service.request('PUT', '/api/update/second', { address: other.address, ...auth })).status, 200);
+
+    const body = await reverse(wallet.address);
+    assert.deepEqual(body.names.map(n => n.name), ['first.xrs', 'third.xrs']);
+    assert.equal(body.primary, 'first.xrs');
+    assert.equal(body.primary_source, 'oldest');
+  });
+
+  it('lists owned names apart from the names that resolve to the address', async () => {
+    const body = await reverse(wallet.address);
+    assert.deepEqual(body.owned.map(n => n.name).sort(), ['first.xrs', 'second.xrs', 'third.xrs']);
+    assert.deepEqual((await reverse(other.address)).names.map(n => n.name), ['second.xrs', 'elsewhere.xrs']);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startService, keyPair, signAction, registerName } = require('./helpers');
+
+// Same key ordering as the server's canonicalJson
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+describe('records', () => {
+  let service;
+  const alice = keyPair();
+  const bob = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+    await registerName(service, 'alice', alice, { metadata: { description: 'Hello', constructor: 'hi', toString: 'x', nickname: 'al' } });
+  });
+  after(() => service.close());
+
+  // PUT /api/records/:name with a raw JSON body, so keys like __proto__ reach the server as sent
+  const setRecords = async (name, changes, signer) => {
+    const records = crypto.createHash('sha256').update(canonicalJson(changes)).digest('hex');
+    const auth = await signAction(service, 'set-records', { name, records }, signer);
+    const res = await fetch(`${service.url}/api/records/${name}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(auth).replace(/^\{/, `{${JSON.stringify(changes).slice(1, -1)},`)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const records = async name => (await service.request('GET', `/api/records/${name}`)).body.records;
+
+  it('keeps only valid text records from registration metadata', async () => {
+    assert.deepEqual(await records('alice'), { text: { description: 'Hello' }, addresses: {}, contenthash: null });
+  });
+
+  it('sets text, address and content hash records signed by the owner', async () => {
+    const changes = {
+      text: { url: 'https://alice.example', 'x-team': 'blue' },
+      addresses: { 60: '0x' + 'ab'.repeat(20), 501: alice.address },
+      contenthash: 'ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'
+    };
+    const res = await setRecords('alice', changes, alice);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await records('alice'), { ...changes, text: { description: 'Hello', ...changes.text } });
+
+    const resolved = (await service.request('GET', '/api/resolve/alice')).body;
+    assert.equal(resolved.records.addresses['60'], changes.addresses[60]);
+  });
+
+  it('deletes records set to null and leaves the rest alone', async () => {
+    assert.equal((await setRecords('alice', { text: { 'x-team': null }, contenthash: null }, alice)).status, 200);
+    const current = await records('alice');
+    assert.deepEqual(current.text, { description: 'Hello', url: 'https://alice.example' });
+    assert.equal(current.contenthash, null);
+    assert.equal(Object.keys(current.addresses).length, 2);
+  });
+
+  it('needs the owner signature over exactly these changes', async () => {
+    assert.equal((await setRecords('alice', { text: { display: 'Bob' } }, bob)).status, 401);
+
+    const signed = { text: { display: 'Alice' } };
+    const records = crypto.createHash('sha256').update(canonicalJson(signed)).digest('hex');
+    const auth = await signAction(service, 'set-records', { name: 'alice', records }, alice);
+    const res = await service.request('PUT', '/api/records/alice', { text: { display: 'Mallory' }, ...auth });
+    assert.equal(res.status, 401);
+  });
+
+  it('rejects invalid values and unknown keys', async () => {
+    for (const changes of [
+      { text: { url: 'http://insecure.example' } },
+      { text: { nickname: 'al' } },
+      { addresses: { 60: 'not-an-address' } },
+      { addresses: { eth: '0x' + 'ab'.repeat(20) } },
+      { contenthash: 'https://example.com' }
+    ]) {
+      assert.equal((await setRecords('alice', changes, alice)).status, 400, JSON.stringify(changes));
+    }
+  });
+
+  it('rejects keys inherited from Object.prototype', async () => {
+    for (const key of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+      const res = await setRecords('alice', { text: { [key]: 'anything' } }, alice);
+      assert.equal(res.status, 400, key);
+      assert.match(res.body.error, /Unknown text record key/);
+    }
+    const res = await setRecords('alice', { addresses: { constructor: 'anything' } }, alice);
+    assert.equal(res.status, 400);
+    assert.deepEqual(Object.keys((await records('alice')).text).sort(), ['description', 'url']);
+  });
+
+  it('limits the number of text records', async () => {
+    const text = Object.fromEntries(Array.from({ length: 31 }, (_, i) => [`x-key${i}`, 'v']));
+    const res = await setRecords('alice', { text }, alice);
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /At most 32 text records/);
+  });
+});
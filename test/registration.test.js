@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startService, keyPair, signAction } = require('./helpers');
+
+function commitmentFor(name, address, secret) {
+  return crypto.createHash('sha256').update(`${name}:${address}:${secret}`).digest('hex');
+}
+
+describe('commit-reveal registration', () => {
+  let service;
+  const key = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+  });
+  after(() => service.close());
+
+  it('registers the committed name, owned by its address', async () => {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const committed = await service.request('POST', '/api/commit', { commitment: commitmentFor('carol', key.address, secret) });
+    assert.equal(committed.status, 201);
+
+    const res = await service.request('POST', '/api/reveal', { name: 'carol', address: key.address, secret });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.owner, key.address);
+    assert.equal((await service.request('GET', '/api/check/carol')).body.available, false);
+  });
+
+  it('reveals a commitment only once', async () => {
+    const secret = crypto.randomBytes(32).toString('hex');
+    await service.request('POST', '/api/commit', { commitment: commitmentFor('dave', key.address, secret) });
+    assert.equal((await service.request('POST', '/api/reveal', { name: 'dave', address: key.address, secret })).status, 201);
+    // The commitment is used up, so a second reveal finds nothing
+    assert.equal((await service.request('POST', '/api/reveal', { name: 'dave', address: key.address, secret })).status, 404);
+  });
+
+  it('needs the name, address and secret that were committed', async () => {
+    const secret = crypto.randomBytes(32).toString('hex');
+    await service.request('POST', '/api/commit', { commitment: commitmentFor('erin', key.address, secret) });
+    const res = await service.request('POST', '/api/reveal', { name: 'erin', address: keyPair().address, secret });
+    assert.equal(res.status, 404);
+  });
+
+  it('refuses to register a taken name and keeps the commitment', async () => {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const commitment = commitmentFor('carol', key.address, secret);
+    await service.request('POST', '/api/commit', { commitment });
+    assert.equal((await service.request('POST', '/api/reveal', { name: 'carol', address: key.address, secret })).status, 409);
+    assert.ok(await service.store.getCommitment(commitment));
+  });
+
+  it('registers once when the same commitment is revealed concurrently', async () => {
+    const secret = crypto.randomBytes(32).toString('hex');
+    await service.request('POST', '/api/commit', { commitment: commitmentFor('gina', key.address, secret) });
+    const reveals = await Promise.all([1, 2].map(() =>
+      service.request('POST', '/api/reveal', { name: 'gina', address: key.address, secret })
+    ));
+    // The loser either finds the commitment gone (404) or loses the claim (409)
+    assert.deepEqual(reveals.map(r => r.status === 201).sort(), [false, true]);
+    assert.ok(reveals.some(r => [404, 409].includes(r.status)));
+  });
+
+  it('rejects malformed commitments', async () => {
+    assert.equal((await service.request('POST', '/api/commit', { commitment: 'abc' })).status, 400);
+  });
+});
+
+describe('commit-reveal delay', () => {
+  let service;
+  after(() => service.close());
+
+  it('refuses a reveal before the minimum delay', async () => {
+    service = await startService({ commitMinDelaySeconds: 60 });
+    const key = keyPair();
+    const secret = crypto.randomBytes(32).toString('hex');
+    const committed = await service.request('POST', '/api/commit', { commitment: commitmentFor('frank', key.address, secret) });
+    const res = await service.request('POST', '/api/reveal', { name: 'frank', address: key.address, secret });
+    assert.equal(res.status, 425);
+    assert.equal(res.body.reveal_after, committed.body.reveal_after);
+  });
+});
+
+describe('one-step registration', () => {
+  let service;
+  const integration = keyPair();
+  const user = keyPair();
+
+  before(async () => {
+    service = await startService({ registrationKeys: [integration.address] });
+  });
+  after(() => service.close());
+
+  const register = async (name, signer) => {
+    const fields = { name, address: user.address, owner: user.address };
+    const auth = await signAction(service, 'register', fields, signer);
+    return service.request('POST', '/api/register', { ...fields, ...auth });
+  };
+
+  it('registers a name signed by an integration key', async () => {
+    const res = await register('grace', integration);
+    assert.equal(res.status, 201);
+    assert.equal(res.body.owner, user.address);
+  });
+
+  it('rejects a name signed by any other key, even the owner', async () => {
+    assert.equal((await register('heidi', user)).status, 401);
+    assert.equal((await register('heidi', keyPair())).status, 401);
+    assert.equal((await service.request('GET', '/api/check/heidi')).body.available, true);
+  });
+
+  it('requires a signature', async () => {
+    const res = await service.request('POST', '/api/register', { name: 'ivan', address: user.address });
+    assert.equal(res.status, 401);
+  });
+
+  it('is closed when no integration keys are configured', async () => {
+    const closed = await startService();
+    try {
+      const fields = { name: 'judy', address: user.address, owner: user.address };
+      const auth = await signAction(closed, 'register', fields, user);
+      assert.equal((await closed.request('POST', '/api/register', { ...fields, ...auth })).status, 403);
+    } finally {
+      await closed.close();
+    }
+  });
+});
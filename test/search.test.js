@@ -0,0 +1,50 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startService, keyPair, registerName } = require('./helpers');
+
+describe('search', () => {
+  let service;
+  const key = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+    for (const name of ['alice', 'malice', 'xn--lice-poa', 'xn--e28ha', 'bob-web']) await registerName(service, name, key);
+  });
+  after(() => service.close());
+
+  const search = async q => (await service.request('GET', `/api/search?q=${encodeURIComponent(q)}`)).body;
+
+  it('ranks exact, prefix and substring matches', async () => {
+    const { results } = await search('alice');
+    assert.deepEqual(results.slice(0, 2).map(r => [r.name, r.match]), [['alice.xrs', 'exact'], ['malice.xrs', 'substring']]);
+  });
+
+  it('finds Unicode and emoji names by their Unicode form', async () => {
+    for (const [q, unicode] of [['ålice', 'ålice.xrs'], ['ÅLICE.xrs', 'ålice.xrs'], ['😀😀', '😀😀.xrs']]) {
+      const { query, results } = await search(q);
+      assert.ok(query.startsWith('xn--'), q);
+      assert.equal(results[0].unicode, unicode, q);
+      assert.equal(results[0].match, 'exact', q);
+    }
+  });
+
+  it('keeps partial ASCII labels', async () => {
+    const { query, results } = await search('bob-');
+    assert.equal(query, 'bob-');
+    assert.equal(results[0].name, 'bob-web.xrs');
+  });
+
+  it('rejects queries no name could match', async () => {
+    const res = await service.request('GET', `/api/search?q=${encodeURIComponent('аlice')}`);
+    assert.equal(res.status, 400);
+    assert.ok(res.body.reason);
+  });
+
+  it('suggests free alternatives to a taken name', async () => {
+    const { suggestions } = (await service.request('GET', '/api/suggest/alice')).body;
+    assert.ok(suggestions.length > 0);
+    for (const { name } of suggestions) {
+      assert.equal((await service.request('GET', `/api/check/${name.replace(/\.xrs$/, '')}`)).body.available, true);
+    }
+  });
+});
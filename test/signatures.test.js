@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startService, keyPair, sign, signedMessage, signAction, registerName } = require('./helpers');
+
+describe('v1 signed actions', () => {
+  let service;
+  const owner = keyPair();
+  const other = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+    await registerName(service, 'alice', owner);
+  });
+  after(() => service.close());
+
+  it('updates the address with the owner signature', async () => {
+    const target = keyPair().address;
+    const auth = await signAction(service, 'update', { name: 'alice', address: target }, owner);
+    const res = await service.request('PUT', '/api/update/alice', { address: target, ...auth });
+    assert.equal(res.status, 200);
+    assert.equal((await service.request('GET', '/api/resolve/alice')).body.address, target);
+  });
+
+  it('rejects a signature from anyone but the owner', async () => {
+    const auth = await signAction(service, 'update', { name: 'alice', address: other.address }, other);
+    const res = await service.request('PUT', '/api/update/alice', { address: other.address, ...auth });
+    assert.equal(res.status, 401);
+  });
+
+  it('rejects a signature over different fields', async () => {
+    const auth = await signAction(service, 'update', { name: 'alice', address: owner.address }, owner);
+    const res = await service.request('PUT', '/api/update/alice', { address: other.address, ...auth });
+    assert.equal(res.status, 401);
+  });
+
+  it('accepts each nonce once', async () => {
+    const auth = await signAction(service, 'update', { name: 'alice', address: owner.address }, owner);
+    assert.equal((await service.request('PUT', '/api/update/alice', { address: owner.address, ...auth })).status, 200);
+    const replay = await service.request('PUT', '/api/update/alice', { address: owner.address, ...auth });
+    assert.equal(replay.status, 401);
+    assert.match(replay.body.error, /Nonce/);
+  });
+
+  it('rejects nonces the service never issued', async () => {
+    const nonce = '0'.repeat(32);
+    const expires = Date.now() + 60000;
+    const signature = sign(signedMessage('update', { name: 'alice', address: owner.address }, nonce, expires), owner);
+    const res = await service.request('PUT', '/api/update/alice', { address: owner.address, signature, nonce, expires });
+    assert.equal(res.status, 401);
+  });
+
+  it('rejects expired and far-future messages', async () => {
+    const fields = { name: 'alice', address: owner.address };
+    const expired = await signAction(service, 'update', fields, owner, { expires: Date.now() - 1 });
+    assert.equal((await service.request('PUT', '/api/update/alice', { address: owner.address, ...expired })).status, 401);
+    const distant = await signAction(service, 'update', fields, owner, { expires: Date.now() + 2 * 60 * 60 * 1000 });
+    assert.equal((await service.request('PUT', '/api/update/alice', { address: owner.address, ...distant })).status, 400);
+  });
+
+  it('marks legacy signatures as deprecated', async () => {
+    const signature = sign(`xrs-names:update:alice:${owner.address}`, owner);
+    const res = await service.request('PUT', '/api/update/alice', { address: owner.address, signature });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('deprecation'), 'true');
+  });
+
+  it('counts failed signatures by action and reason', async () => {
+    const res = await service.request('GET', '/metrics');
+    assert.match(res.body, /xrs_signature_failures_total\{action="update",reason="invalid"\} [1-9]/);
+    assert.match(res.body, /xrs_signature_failures_total\{action="update",reason="nonce"\} [1-9]/);
+  });
+});
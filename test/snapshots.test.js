@@ -0,0 +1,162 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const nacl = require('tweetnacl');
+const bs58 = require('bs58');
+const merkle = require('../merkle');
+const { createMemoryStore, ConflictError } = require('../store');
+const { startService, keyPair, registerName } = require('./helpers');
+
+// Canonical JSON as snapshot entries are hashed: keys sorted, no whitespace
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Root implied by a leaf hash, its index and sibling path, as a verifier works it out
+function rootFromPath(leaf, index, size, path) {
+  let hash = leaf;
+  let used = 0;
+  for (let width = size; width > 1; width = Math.ceil(width / 2)) {
+    if (index % 2 === 1) hash = merkle.nodeHash(path[used++], hash);
+    else if (index + 1 < width) hash = merkle.nodeHash(hash, path[used++]);
+    index = Math.floor(index / 2);
+  }
+  return used === path.length ? hash : null;
+}
+
+describe('merkle tree', () => {
+  const leaves = count => Array.from({ length: count }, (_, i) => ({ key: `name${String(i).padStart(2, '0')}`, data: `entry ${i}` }));
+
+  it('has the hash of nothing as the root of an empty tree', () => {
+    assert.equal(merkle.buildTree([]).root, 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  });
+
+  it('separates leaf and node hashes', () => {
+    const leaf = merkle.leafHash('x');
+    assert.notEqual(leaf, merkle.nodeHash(leaf, leaf));
+    assert.equal(merkle.buildTree([{ key: 'a', data: 'x' }]).root, leaf);
+  });
+
+  it('proves every leaf of trees of every shape up to 17 leaves', () => {
+    for (let size = 1; size <= 17; size++) {
+      const tree = merkle.buildTree(leaves(size));
+      for (let index = 0; index < size; index++) {
+        const path = merkle.proofPath(tree, index);
+        assert.equal(rootFromPath(merkle.leafHash(`entry ${index}`), index, size, path), tree.root, `size ${size}, index ${index}`);
+      }
+    }
+  });
+
+  it('does not prove a leaf at another index or with other data', () => {
+    const tree = merkle.buildTree(leaves(6));
+    const path = merkle.proofPath(tree, 2);
+    assert.notEqual(rootFromPath(merkle.leafHash('entry 2'), 3, 6, path), tree.root);
+    assert.notEqual(rootFromPath(merkle.leafHash('entry 3'), 2, 6, path), tree.root);
+  });
+
+  it('finds keys and insertion points', () => {
+    const tree = merkle.buildTree(leaves(4));
+    assert.deepEqual(merkle.findKey(tree, 'name02'), { found: true, index: 2 });
+    assert.deepEqual(merkle.findKey(tree, 'name015'), { found: false, index: 2 });
+    assert.deepEqual(merkle.findKey(tree, 'zzz'), { found: false, index: 4 });
+  });
+});
+
+describe('registry snapshots', () => {
+  let service;
+  const key = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+    for (const name of ['alice', 'bob', 'dave', 'erin', 'frank']) await registerName(service, name, key);
+  });
+  after(() => service.close());
+
+  it('signs the root with the service key', async () => {
+    const snapshot = (await service.request('GET', '/api/snapshot')).body;
+    assert.equal(snapshot.size, 5);
+    assert.match(snapshot.message, new RegExp(`^root: ${snapshot.root}$`, 'm'));
+    const valid = nacl.sign.detached.verify(
+      new TextEncoder().encode(snapshot.message),
+      bs58.decode(snapshot.signature),
+      bs58.decode(snapshot.public_key)
+    );
+    assert.ok(valid);
+  });
+
+  it('proves a registered name is in the snapshot', async () => {
+    const { proof, ...resolved } = (await service.request('GET', '/api/resolve/dave?proof=true')).body;
+    assert.equal(proof.included, true);
+    assert.equal(proof.entry.address, resolved.address);
+    const leaf = merkle.leafHash(canonicalJson(proof.entry));
+    assert.equal(rootFromPath(leaf, proof.index, proof.snapshot.size, proof.path), proof.snapshot.root);
+  });
+
+  it('proves an unregistered name is not, with both neighbours', async () => {
+    const res = await service.request('GET', '/api/resolve/carol?proof=true');
+    assert.equal(res.status, 404);
+    const { proof } = res.body;
+    assert.equal(proof.included, false);
+    assert.equal(proof.left.entry.name, 'bob');
+    assert.equal(proof.right.entry.name, 'dave');
+    assert.equal(proof.right.index, proof.left.index + 1);
+    for (const side of [proof.left, proof.right]) {
+      const leaf = merkle.leafHash(canonicalJson(side.entry));
+      assert.equal(rootFromPath(leaf, side.index, proof.snapshot.size, side.path), proof.snapshot.root);
+    }
+  });
+
+  it('serves proofs from the latest snapshot without rebuilding after a change', async () => {
+    const before = (await service.request('GET', '/api/snapshot')).body;
+    await registerName(service, 'carol', key);
+    const { proof } = (await service.request('GET', '/api/resolve/carol?proof=true')).body;
+    assert.equal(proof.included, false);
+    assert.equal(proof.snapshot.sequence, before.sequence);
+    assert.equal((await service.store.latestSnapshot()).sequence, before.sequence);
+  });
+
+  it('moves to a new snapshot on the next refresh', async () => {
+    const before = (await service.request('GET', '/api/snapshot')).body;
+    await service.app.refreshSnapshot();
+    const after = (await service.request('GET', '/api/snapshot')).body;
+    assert.equal(after.size, before.size + 1);
+    assert.ok(after.sequence > before.sequence);
+    assert.notEqual(after.root, before.root);
+    assert.equal((await service.request('GET', '/api/resolve/carol?proof=true')).body.proof.included, true);
+  });
+});
+
+describe('snapshot retention', () => {
+  const row = (sequence, created_at) => ({ sequence, root: 'r', size: 0, public_key: 'k', signature: 's', created_at });
+  // Whether a snapshot with this sequence is still stored (inserting it again conflicts)
+  const stored = (store, sequence) => store.insertSnapshot(row(sequence, 0)).then(() => false, err => err instanceof ConflictError);
+
+  it('prunes old snapshots but always keeps the latest', async () => {
+    const store = createMemoryStore();
+    for (const sequence of [1, 2, 3, 4]) await store.insertSnapshot(row(sequence, sequence * 1000));
+
+    await store.pruneSnapshots(2500);
+    assert.equal(await stored(store, 3), true);
+    assert.equal(await stored(store, 2), false);
+
+    await store.pruneSnapshots(Date.now());
+    assert.equal((await store.latestSnapshot()).sequence, 4);
+    assert.equal(await stored(store, 3), false);
+  });
+
+  it('prunes on each refresh', async () => {
+    const service = await startService({ snapshotRetentionDays: 0, commitMinDelaySeconds: 0 });
+    try {
+      await service.app.refreshSnapshot();
+      await registerName(service, 'alice', keyPair());
+      await service.app.refreshSnapshot();
+      assert.equal((await service.store.latestSnapshot()).sequence, 2);
+      assert.equal(await stored(service.store, 1), false);
+    } finally {
+      await service.close();
+    }
+  });
+});
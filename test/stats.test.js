@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const stats = require('../stats');
+const { startService, keyPair, signAction, registerName } = require('./helpers');
+
+describe('statistics rules', () => {
+  it('buckets times by UTC hour, day and Monday-based week', () => {
+    const t = Date.parse('2026-10-15T13:45:00Z'); // a Thursday
+    assert.equal(new Date(stats.bucketStart(t, 'hour')).toISOString(), '2026-10-15T13:00:00.000Z');
+    assert.equal(new Date(stats.bucketStart(t, 'day')).toISOString(), '2026-10-15T00:00:00.000Z');
+    assert.equal(new Date(stats.bucketStart(t, 'week')).toISOString(), '2026-10-12T00:00:00.000Z');
+  });
+
+  it('classifies labels', () => {
+    const classes = ['alice', '123', 'web3', 'web-3', 'ålice', '😀'].map(stats.characterClass);
+    assert.deepEqual(classes, ['letters', 'digits', 'alphanumeric', 'hyphenated', 'unicode', 'emoji']);
+  });
+
+  it('counts top-level names by Unicode length and subnames apart', () => {
+    assert.deepEqual(stats.distributionBuckets('xn--lice-poa'), [['level', 'top_level'], ['length', '5'], ['class', 'unicode']]);
+    assert.deepEqual(stats.distributionBuckets('pay.alice'), [['level', 'subname']]);
+  });
+
+  it('counts an update as an address change only when the address moved', () => {
+    assert.equal(stats.activityCounts({ event_type: 'update', address: 'a', previous_address: 'b' }).address_changes, 1);
+    assert.equal(stats.activityCounts({ event_type: 'records', address: 'a', previous_address: 'a' }).address_changes, 0);
+    assert.deepEqual(stats.activityCounts({ event_type: 'release', address: null, previous_address: 'a' }),
+      { registrations: 0, updates: 0, address_changes: 0, releases: 1 });
+  });
+});
+
+describe('statistics endpoints', () => {
+  let service;
+  const key = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+    for (const name of ['alice', '12345', 'xn--lice-poa']) await registerName(service, name, key);
+    const address = keyPair().address;
+    const auth = await signAction(service, 'update', { name: 'alice', address }, key);
+    await service.request('PUT', '/api/update/alice', { address, ...auth });
+  });
+  after(() => service.close());
+
+  it('counts activity per hour, zero-filled', async () => {
+    const from = Date.now() - 3 * 60 * 60 * 1000;
+    const { points } = (await service.request('GET', `/api/stats/timeseries?interval=hour&from=${from}`)).body;
+    assert.equal(points.length, 4);
+    assert.deepEqual(points.slice(0, 2).map(point => point.registrations), [0, 0]);
+    const total = field => points.reduce((sum, point) => sum + point[field], 0);
+    assert.equal(total('registrations'), 3);
+    assert.equal(total('updates'), 1);
+    assert.equal(total('address_changes'), 1);
+  });
+
+  it('breaks names down by length and character class', async () => {
+    const distribution = (await service.request('GET', '/api/stats/distribution')).body;
+    assert.equal(distribution.total_names, 3);
+    assert.deepEqual(distribution.length.find(row => row.length === 5), { length: 5, names: 3 });
+    assert.deepEqual(distribution.character_class.filter(row => row.names > 0).map(row => row.class).sort(), ['digits', 'letters', 'unicode']);
+  });
+
+  it('rejects unknown intervals and reversed ranges', async () => {
+    assert.equal((await service.request('GET', '/api/stats/timeseries?interval=month')).status, 400);
+    assert.equal((await service.request('GET', '/api/stats/timeseries?from=2026-12-01&to=2026-11-01')).status, 400);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startService, keyPair, signAction, registerName } = require('./helpers');
+
+describe('subnames', () => {
+  let service;
+  const alice = keyPair();
+  const bob = keyPair();
+  const carol = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+    await registerName(service, 'alice', alice);
+  });
+  after(() => service.close());
+
+  const createSubname = async (parent, label, signer, { address = signer.address, owner } = {}) => {
+    const name = `${label}.${parent}`;
+    const auth = await signAction(service, 'create-subname', { name, address, owner: owner || signer.address }, signer);
+    return service.request('POST', `/api/subnames/${parent}`, { label, address, ...(owner && { owner }), ...auth });
+  };
+
+  const revoke = async (name, signer) => {
+    const auth = await signAction(service, 'revoke-subname', { name }, signer);
+    return service.request('DELETE', `/api/subnames/${name}`, auth);
+  };
+
+  it('lets the parent owner create a subname with the parent expiry', async () => {
+    const res = await createSubname('alice', 'pay', alice, { address: bob.address });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.name, 'pay.alice.xrs');
+    assert.equal(res.body.owner, alice.address);
+
+    const parent = (await service.request('GET', '/api/resolve/alice')).body;
+    const resolved = (await service.request('GET', '/api/resolve/pay.alice')).body;
+    assert.equal(resolved.address, bob.address);
+    assert.equal(resolved.parent, 'alice.xrs');
+    assert.equal(resolved.expires, parent.expires);
+
+    const { subnames } = (await service.request('GET', '/api/subnames/alice')).body;
+    assert.deepEqual(subnames.map(s => s.name), ['pay.alice.xrs']);
+  });
+
+  it('refuses subnames from anyone but the parent owner', async () => {
+    const res = await createSubname('alice', 'shop', bob);
+    assert.equal(res.status, 401);
+    assert.equal((await service.request('GET', '/api/resolve/shop.alice')).status, 404);
+  });
+
+  it('refuses duplicates, bad labels and parents that do not exist', async () => {
+    assert.equal((await createSubname('alice', 'pay', alice)).status, 409);
+    assert.equal((await createSubname('alice', 'a--b', alice)).status, 400);
+    assert.equal((await createSubname('nobody', 'pay', alice)).status, 404);
+  });
+
+  it('nests at most four labels deep', async () => {
+    assert.equal((await createSubname('alice', 'one', alice)).status, 201);
+    assert.equal((await createSubname('one.alice', 'two', alice)).status, 201);
+    assert.equal((await createSubname('two.one.alice', 'three', alice)).status, 201);
+    assert.equal((await createSubname('three.two.one.alice', 'four', alice)).status, 400);
+  });
+
+  it('lets either the subname owner or the parent owner update it', async () => {
+    assert.equal((await createSubname('alice', 'desk', alice, { owner: carol.address })).status, 201);
+    for (const signer of [carol, alice]) {
+      const address = keyPair().address;
+      const auth = await signAction(service, 'update', { name: 'desk.alice', address }, signer);
+      const res = await service.request('PUT', '/api/update/desk.alice', { address, ...auth });
+      assert.equal(res.status, 200);
+    }
+    const address = keyPair().address;
+    const auth = await signAction(service, 'update', { name: 'desk.alice', address }, bob);
+    assert.equal((await service.request('PUT', '/api/update/desk.alice', { address, ...auth })).status, 401);
+  });
+
+  it('moves subnames the previous owner held along with a transfer', async () => {
+    await registerName(service, 'firm', alice);
+    await createSubname('firm', 'sales', alice);
+    await createSubname('firm', 'legal', alice, { owner: carol.address });
+
+    const fields = { name: 'firm', new_owner: bob.address, require_acceptance: false };
+    const auth = await signAction(service, 'transfer', fields, alice);
+    const res = await service.request('PUT', '/api/transfer/firm', { new_owner: bob.address, require_acceptance: false, ...auth });
+    assert.equal(res.status, 200);
+
+    assert.equal((await service.request('GET', '/api/resolve/sales.firm')).body.owner, bob.address);
+    assert.equal((await service.request('GET', '/api/resolve/legal.firm')).body.owner, carol.address);
+  });
+
+  it('revokes a subname with everything below it', async () => {
+    assert.equal((await revoke('one.alice', bob)).status, 401);
+    const res = await revoke('one.alice', alice);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.revoked, ['one.alice.xrs', 'three.two.one.alice.xrs', 'two.one.alice.xrs']);
+    assert.equal((await service.request('GET', '/api/resolve/two.one.alice')).status, 404);
+    assert.equal((await service.request('GET', '/api/resolve/alice')).status, 200);
+  });
+});
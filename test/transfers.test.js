@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startService, keyPair, signAction, registerName } = require('./helpers');
+
+describe('transfers', () => {
+  let service;
+  const alice = keyPair();
+  const bob = keyPair();
+  const carol = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+    await registerName(service, 'alice', alice);
+    await registerName(service, 'shop', alice);
+  });
+  after(() => service.close());
+
+  const transfer = async (name, signer, newOwner, requireAcceptance) => {
+    const fields = { name, new_owner: newOwner, require_acceptance: requireAcceptance };
+    const auth = await signAction(service, 'transfer', fields, signer);
+    return service.request('PUT', `/api/transfer/${name}`, { new_owner: newOwner, require_acceptance: requireAcceptance, ...auth });
+  };
+
+  const accept = async (name, signer) => {
+    const auth = await signAction(service, 'accept-transfer', { name, owner: signer.address }, signer);
+    return service.request('PUT', `/api/transfer/${name}/accept`, auth);
+  };
+
+  it('moves ownership at once and leaves the address alone', async () => {
+    const label = 'pay';
+    const fields = { name: `${label}.alice`, address: alice.address, owner: alice.address };
+    const auth = await signAction(service, 'create-subname', fields, alice);
+    assert.equal((await service.request('POST', '/api/subnames/alice', { label, address: alice.address, ...auth })).status, 201);
+
+    const res = await transfer('alice', alice, bob.address, false);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.owner, bob.address);
+
+    const resolved = (await service.request('GET', '/api/resolve/alice')).body;
+    assert.equal(resolved.owner, bob.address);
+    assert.equal(resolved.address, alice.address);
+    // Subnames still held by the previous owner move with the name
+    assert.equal((await service.request('GET', '/api/resolve/pay.alice')).body.owner, bob.address);
+  });
+
+  it('only lets the current owner transfer', async () => {
+    assert.equal((await transfer('alice', alice, carol.address, false)).status, 401);
+  });
+
+  it('holds a transfer that needs acceptance until the recipient signs', async () => {
+    const res = await transfer('shop', alice, carol.address, true);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.pending_owner, carol.address);
+    assert.equal((await service.request('GET', '/api/resolve/shop')).body.owner, alice.address);
+
+    assert.equal((await accept('shop', bob)).status, 401);
+    const accepted = await accept('shop', carol);
+    assert.equal(accepted.status, 200);
+    const resolved = (await service.request('GET', '/api/resolve/shop')).body;
+    assert.equal(resolved.owner, carol.address);
+    assert.equal(resolved.pending_owner, null);
+  });
+
+  it('has nothing to accept without a pending transfer', async () => {
+    assert.equal((await accept('shop', carol)).status, 409);
+  });
+
+  it('records transfers in the name history', async () => {
+    const { events } = (await service.request('GET', '/api/history/shop')).body;
+    assert.deepEqual(events.map(event => event.type).slice(0, 2), ['transfer', 'transfer-pending']);
+  });
+});
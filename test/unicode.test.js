@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const nameRules = require('../public/xrs-name-rules');
+const { startService, keyPair, registerName } = require('./helpers');
+
+describe('name normalization', () => {
+  it('stores Unicode names as punycode and displays them folded', () => {
+    assert.deepEqual(nameRules.prepareName('Ålice.xrs'), { ascii: 'xn--lice-poa', unicode: 'ålice' });
+    assert.deepEqual(nameRules.prepareName('ΑΛΦΑ'), { ascii: 'xn--mxaa3a7b', unicode: 'αλφα' });
+    assert.deepEqual(nameRules.prepareName('😀😀'), { ascii: 'xn--e28ha', unicode: '😀😀' });
+    assert.deepEqual(nameRules.prepareName('pay。Ålice'), { ascii: 'pay.xn--lice-poa', unicode: 'pay.ålice' });
+  });
+
+  it('folds full-width and compatibility forms to ASCII', () => {
+    assert.equal(nameRules.toASCII('ａｌｉｃｅ'), 'alice');
+  });
+
+  it('accepts punycode only in normalized form', () => {
+    assert.equal(nameRules.toASCII('XN--LICE-POA'), 'xn--lice-poa');
+    assert.match(nameRules.prepareName(`xn--${nameRules.punycode.encode('Ålice')}`).error, /not in normalized form/);
+    assert.match(nameRules.prepareName('xn--alice-').error, /decodes to plain ASCII/);
+    assert.match(nameRules.prepareName('xn--a€').error, /Invalid punycode/);
+  });
+
+  it('rejects confusables, mixed scripts and stray joiners', () => {
+    assert.equal(nameRules.prepareName('аррӏе').error, 'Label is confusable with "apple"');
+    assert.equal(nameRules.prepareName('pаypal').error, 'Labels cannot mix scripts');
+    assert.match(nameRules.prepareName('a‍b').error, /Zero-width joiner/);
+    assert.match(nameRules.prepareName('ål ce').error, /not allowed/);
+    assert.equal(nameRules.isValidName('日本語'), true);
+  });
+
+  it('gives lookalike names the same skeleton', () => {
+    assert.equal(nameRules.skeleton('ålıce'), nameRules.skeleton('ålice'));
+    assert.notEqual(nameRules.skeleton('ålice'), nameRules.skeleton('alice'));
+  });
+});
+
+describe('Unicode registration', () => {
+  let service;
+  const key = keyPair();
+
+  before(async () => {
+    service = await startService({ commitMinDelaySeconds: 0 });
+    await registerName(service, nameRules.toASCII('ålice'), key);
+  });
+  after(() => service.close());
+
+  const reveal = async name => {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const cleanName = nameRules.toASCII(name) || name;
+    const commitment = crypto.createHash('sha256').update(`${cleanName}:${key.address}:${secret}`).digest('hex');
+    await service.request('POST', '/api/commit', { commitment });
+    return service.request('POST', '/api/reveal', { name, address: key.address, secret });
+  };
+
+  it('resolves a Unicode name by either form', async () => {
+    for (const form of ['Ålice.xrs', 'xn--lice-poa', encodeURIComponent('ålice')]) {
+      const { status, body } = await service.request('GET', `/api/resolve/${form}`);
+      assert.equal(status, 200, form);
+      assert.equal(body.name, 'xn--lice-poa.xrs');
+      assert.equal(body.unicode, 'ålice.xrs');
+    }
+  });
+
+  it('refuses names that look like a registered name', async () => {
+    const check = await service.request('GET', `/api/check/${encodeURIComponent('ålıce')}`);
+    assert.equal(check.body.available, false);
+    assert.equal(check.body.confusable_with, 'xn--lice-poa.xrs');
+
+    const res = await reveal('ålıce');
+    assert.equal(res.status, 409);
+    assert.equal(res.body.confusable_with, 'xn--lice-poa.xrs');
+  });
+
+  it('refuses names IDNA rules reject', async () => {
+    for (const name of ['аррӏе', 'pаypal', 'xn--alice-']) {
+      const res = await reveal(name);
+      assert.equal(res.status, 400, name);
+      assert.ok(res.body.reason, name);
+    }
+    assert.equal((await service.request('GET', `/api/resolve/${encodeURIComponent('аррӏе')}`)).status, 400);
+  });
+});